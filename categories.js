@@ -0,0 +1,335 @@
+/**
+ * Categories for ChatGPT Q&A Synthesizer
+ * Category records with their color, icon and matching rules, the built-in set, and migration from the legacy list of names
+ */
+
+import { isObject } from './utils.js';
+
+// Prompts fall back to this category, so it always exists and cannot be deleted
+export const DEFAULT_CATEGORY_ID = 'general';
+
+// Colors a category can use; the first is given to new categories
+export const CATEGORY_COLORS = {
+    '#a78bfa': 'Purple',
+    '#60a5fa': 'Blue',
+    '#34d399': 'Green',
+    '#fbbf24': 'Yellow',
+    '#f87171': 'Red',
+    '#f472b6': 'Pink',
+    '#9ca3af': 'Gray'
+};
+
+// Built-in categories keep their legacy names as ids so existing prompts stay in them.
+// Keywords seed the classifier; they are whole words or phrases, matched without regard to case.
+const BUILT_IN_CATEGORIES = [
+    { id: 'general', name: 'General', color: '#9ca3af', icon: '💬', keywords: [] },
+    {
+        id: 'coding', name: 'Coding', color: '#60a5fa', icon: '💻',
+        keywords: [
+            'code', 'programming', 'javascript', 'python', 'react', 'html', 'css',
+            'function', 'api', 'database', 'algorithm', 'debug', 'git', 'nodejs',
+            'typescript', 'vue', 'angular', 'php', 'java', 'c++', 'sql', 'github'
+        ]
+    },
+    {
+        id: 'business', name: 'Business', color: '#fbbf24', icon: '💼',
+        keywords: [
+            'business', 'strategy', 'company', 'startup', 'management', 'leadership',
+            'enterprise', 'profit', 'revenue', 'growth', 'operations', 'team',
+            'project', 'planning', 'goals', 'kpi', 'metrics', 'roi', 'budget'
+        ]
+    },
+    {
+        id: 'marketing', name: 'Marketing', color: '#f472b6', icon: '📣',
+        keywords: [
+            'marketing', 'advertising', 'brand', 'customer', 'social media', 'campaign',
+            'content', 'seo', 'conversion', 'funnel', 'analytics', 'engagement',
+            'influencer', 'email', 'copywriting', 'cta', 'landing page', 'traffic'
+        ]
+    },
+    {
+        id: 'design', name: 'Design', color: '#a78bfa', icon: '🎨',
+        keywords: [
+            'design', 'ui', 'ux', 'layout', 'visual', 'color', 'typography',
+            'interface', 'wireframe', 'prototype', 'figma', 'photoshop', 'branding',
+            'logo', 'illustration', 'graphic', 'user experience', 'usability'
+        ]
+    },
+    {
+        id: 'productivity', name: 'Productivity', color: '#34d399', icon: '✅',
+        keywords: [
+            'productivity', 'time management', 'organization', 'efficiency', 'workflow',
+            'task', 'planning', 'goals', 'focus', 'habits', 'automation', 'tools',
+            'calendar', 'todo', 'getting things done', 'pomodoro', 'optimization'
+        ]
+    },
+    {
+        id: 'ai', name: 'AI', color: '#a78bfa', icon: '🤖',
+        keywords: [
+            'ai', 'artificial intelligence', 'machine learning', 'neural', 'model',
+            'gpt', 'chatbot', 'automation', 'nlp', 'deep learning', 'tensorflow',
+            'pytorch', 'data science', 'algorithm', 'computer vision', 'robotics'
+        ]
+    },
+    {
+        id: 'career', name: 'Career', color: '#60a5fa', icon: '🧭',
+        keywords: [
+            'career', 'job', 'interview', 'resume', 'professional', 'skill',
+            'workplace', 'promotion', 'networking', 'linkedin', 'salary',
+            'development', 'training', 'certification', 'portfolio', 'cv'
+        ]
+    },
+    {
+        id: 'education', name: 'Education', color: '#fbbf24', icon: '🎓',
+        keywords: [
+            'education', 'learning', 'study', 'teach', 'course', 'training',
+            'knowledge', 'university', 'research', 'academic', 'curriculum',
+            'online learning', 'mooc', 'tutorial', 'certification', 'degree'
+        ]
+    },
+    {
+        id: 'finance', name: 'Finance', color: '#34d399', icon: '💰',
+        keywords: [
+            'finance', 'money', 'investment', 'budget', 'financial', 'economy',
+            'market', 'trading', 'crypto', 'stock', 'portfolio', 'banking',
+            'loan', 'debt', 'savings', 'retirement', 'tax', 'insurance'
+        ]
+    },
+    {
+        id: 'health', name: 'Health', color: '#f87171', icon: '🩺',
+        keywords: [
+            'health', 'wellness', 'fitness', 'medical', 'mental health', 'exercise',
+            'nutrition', 'diet', 'sleep', 'stress', 'meditation', 'yoga',
+            'therapy', 'doctor', 'medicine', 'healthcare', 'wellbeing'
+        ]
+    },
+    {
+        id: 'lifestyle', name: 'Lifestyle', color: '#f472b6', icon: '🌿',
+        keywords: [
+            'lifestyle', 'life', 'personal', 'habit', 'routine', 'balance',
+            'self-improvement', 'motivation', 'happiness', 'relationships',
+            'family', 'home', 'travel', 'hobbies', 'entertainment', 'leisure'
+        ]
+    }
+];
+
+export function normalizeCategoryColor(color) {
+    return /^#[0-9a-f]{6}$/i.test(color || '') ? color.toLowerCase() : Object.keys(CATEGORY_COLORS)[0];
+}
+
+// Lowercased, trimmed and de-duplicated keywords
+export function normalizeKeywords(keywords = []) {
+    return [...new Set(keywords.map(keyword => String(keyword).trim().toLowerCase()).filter(Boolean))];
+}
+
+// Patterns are short rules; longer ones are refused
+const MAX_PATTERN_LENGTH = 200;
+
+// Only the start of a prompt is matched, which bounds how long any pattern can run
+const MAX_MATCH_LENGTH = 2000;
+
+// Compiled patterns per `patterns` list. Edits replace the list, so stale entries are never read.
+const compiledPatterns = new WeakMap();
+
+// Why a pattern could backtrack exponentially on text that almost matches, or null. A repeated
+// group is refused when it repeats something itself, like (a+)+, or when two of its alternatives
+// can start with the same character, like (a|a)+ or (a|ab)*; either way the engine has many ways
+// to split the same text and tries them all before failing.
+function slowPatternReason(pattern) {
+    const ANY = null;
+    // One frame per open group: whether it contains a repetition, the first character of each
+    // finished alternative, and of the current one (undefined until it has one)
+    const newFrame = () => ({ repeats: false, branches: [], first: undefined });
+    const frames = [newFrame()];
+    let closedGroup = null;
+    let firstAtom = false;
+
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        const frame = frames[frames.length - 1];
+        const quantifier = char === '*' || char === '+' || char === '?' || (char === '{' && /^\{\d+(?:,\d*)?\}/.test(pattern.slice(i)));
+
+        if (quantifier) {
+            const repeating = char !== '?';
+            if (repeating && closedGroup?.repeats) {
+                return 'nested repetition like (a+)+ can take too long to match';
+            }
+            if (repeating && closedGroup?.overlaps) {
+                return 'repeated alternatives that start alike, like (a|a)+, can take too long to match';
+            }
+            if (repeating) frame.repeats = true;
+            // An optional first character means the alternative may start with whatever follows
+            if (firstAtom && char !== '+' && !/^\{[1-9]/.test(pattern.slice(i))) frame.first = ANY;
+            if (char === '{') i = pattern.indexOf('}', i);
+            // A lazy `?` belongs to the quantifier before it
+            if (pattern[i + 1] === '?') i++;
+            closedGroup = null;
+            firstAtom = false;
+            continue;
+        }
+
+        closedGroup = null;
+        firstAtom = frame.first === undefined;
+        if (char === '|') {
+            frame.branches.push(frame.first === undefined ? ANY : frame.first);
+            frame.first = undefined;
+            firstAtom = false;
+        } else if (char === '(') {
+            if (firstAtom) frame.first = ANY;
+            frames.push(newFrame());
+            firstAtom = false;
+            // Skip the (?: (?= (?! (?<= (?<! and (?<name> prefixes
+            const prefix = /^\?(?::|=|!|<=|<!|<[^>]*>)/.exec(pattern.slice(i + 1));
+            if (prefix) i += prefix[0].length;
+        } else if (char === ')' && frames.length > 1) {
+            const group = frames.pop();
+            const branches = [...group.branches, group.first === undefined ? ANY : group.first];
+            const overlaps = branches.length > 1 && (branches.includes(ANY) || new Set(branches).size < branches.length);
+            frames[frames.length - 1].repeats = frames[frames.length - 1].repeats || group.repeats;
+            closedGroup = { repeats: group.repeats, overlaps };
+            firstAtom = false;
+        } else if (char === '\\') {
+            const next = pattern[++i] || '';
+            if (firstAtom) frame.first = /[\p{L}\p{N}]/u.test(next) ? ANY : next;
+        } else if (char === '[') {
+            // Character classes may match many characters; their brackets and quantifiers are literal
+            for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+                if (pattern[i] === '\\') i++;
+            }
+            if (firstAtom) frame.first = ANY;
+        } else if (firstAtom) {
+            frame.first = char === '.' || char === '^' || char === '$' ? ANY : char.toLowerCase();
+        }
+    }
+    return null;
+}
+
+// A pattern is the source of a case-insensitive regular expression, written without slashes
+export function compilePattern(pattern) {
+    if (String(pattern).length > MAX_PATTERN_LENGTH) {
+        throw new Error(`Invalid pattern "${String(pattern).slice(0, 40)}…": longer than ${MAX_PATTERN_LENGTH} characters`);
+    }
+    const slow = slowPatternReason(String(pattern));
+    if (slow) {
+        throw new Error(`Invalid pattern "${pattern}": ${slow}`);
+    }
+    try {
+        return new RegExp(pattern, 'i');
+    } catch (error) {
+        throw new Error(`Invalid pattern "${pattern}": ${error.message}`);
+    }
+}
+
+// Trimmed, de-duplicated patterns; throws on the first one that does not compile
+export function normalizePatterns(patterns = []) {
+    const normalized = [...new Set(patterns.map(pattern => String(pattern).trim()).filter(Boolean))];
+    normalized.forEach(compilePattern);
+    return normalized;
+}
+
+// Lowercase words joined by hyphens: "Legal & Compliance" -> "legal-compliance"
+export function categoryId(name) {
+    return String(name || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}+#]+/gu, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+export function createCategory(name, { id = categoryId(name), color = null, icon = '', keywords = [], patterns = [] } = {}) {
+    return {
+        id,
+        name,
+        color: normalizeCategoryColor(color),
+        icon: String(icon || '').trim(),
+        keywords: normalizeKeywords(keywords),
+        patterns: normalizePatterns(patterns),
+        createdAt: Date.now()
+    };
+}
+
+export function createDefaultCategories() {
+    return BUILT_IN_CATEGORIES.map(({ id, name, ...options }) => createCategory(name, { id, ...options }));
+}
+
+// A category's patterns compiled once per list. Patterns that no longer compile are skipped
+// rather than blocking classification.
+function getCompiledPatterns(patterns) {
+    if (!compiledPatterns.has(patterns)) {
+        compiledPatterns.set(patterns, patterns.flatMap(pattern => {
+            try {
+                return [compilePattern(pattern)];
+            } catch (error) {
+                return [];
+            }
+        }));
+    }
+    return compiledPatterns.get(patterns);
+}
+
+// The category whose patterns match `text` first, in list order, or null
+export function matchPatterns(categories, text) {
+    const sample = String(text || '').slice(0, MAX_MATCH_LENGTH);
+    const matched = categories.find(category => Array.isArray(category.patterns) &&
+        getCompiledPatterns(category.patterns).some(regex => regex.test(sample)));
+    return matched ? matched.id : null;
+}
+
+// Keywords of every category as { id: keywords }, for seeding the classifier
+export function categorySeeds(categories) {
+    return Object.fromEntries(categories.map(category => [category.id, category.keywords || []]));
+}
+
+// Add imported categories to `existing`, reusing categories with the same id or the same name.
+// Returns { categories, categoryIds } where categoryIds maps each imported id to the id used
+// locally; `existing` is not modified.
+export function mergeCategories(existing, imported = []) {
+    const categories = [...existing];
+    const categoryIds = new Map();
+
+    imported.forEach(category => {
+        const match = categories.find(item => item.id === category.id) ||
+            categories.find(item => item.name.toLowerCase() === category.name.toLowerCase());
+        if (match) {
+            categoryIds.set(category.id, match.id);
+        } else {
+            categories.push({ ...category });
+            categoryIds.set(category.id, category.id);
+        }
+    });
+
+    return { categories, categoryIds };
+}
+
+// Convert a legacy string-array `categories` list into category records. Built-in names get their
+// keywords, color and icon; other names become plain categories. Mutates data in place; returns
+// the names that were converted, or null when the list is already current or absent.
+export function migrateCategories(data) {
+    if (!Array.isArray(data.categories) || data.categories.every(category => typeof category !== 'string')) {
+        return null;
+    }
+
+    const defaults = createDefaultCategories();
+    const converted = [];
+    const records = [];
+
+    data.categories.forEach(category => {
+        if (isObject(category)) {
+            records.push(category);
+        } else if (typeof category !== 'string') {
+            return;
+        } else if (!records.some(record => record.id === category)) {
+            records.push(defaults.find(record => record.id === category) ||
+                createCategory(category.charAt(0).toUpperCase() + category.slice(1), { id: category }));
+            converted.push(category);
+        }
+    });
+
+    if (!records.some(record => record.id === DEFAULT_CATEGORY_ID)) {
+        records.unshift(defaults.find(record => record.id === DEFAULT_CATEGORY_ID));
+    }
+    data.categories = records;
+
+    return converted;
+}
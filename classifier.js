@@ -0,0 +1,154 @@
+/**
+ * Category Classifier for ChatGPT Q&A Synthesizer
+ * Naive Bayes over question words, seeded with category keywords and trained on the user's own labels
+ */
+
+// Below this confidence a prediction is offered as one of several suggestions rather than an answer
+export const CONFIDENT = 0.6;
+
+// Each seed keyword counts as this many sightings; one labelled prompt soon outweighs it
+const SEED_WEIGHT = 2;
+
+// Pseudo-count given to words a category has never seen. Well below one, so a single matching
+// word stands out against a dozen categories that share none.
+const SMOOTHING = 0.1;
+
+// Words that say nothing about a question's subject
+const STOPWORDS = new Set([
+    'a', 'an', 'the', 'and', 'or', 'but', 'of', 'to', 'in', 'on', 'for', 'with', 'by', 'at', 'from', 'into', 'about',
+    'is', 'are', 'was', 'be', 'do', 'does', 'did', 'can', 'could', 'should', 'would', 'will', 'what', 'which', 'how',
+    'why', 'when', 'where', 'who', 'i', 'you', 'me', 'my', 'your', 'we', 'our', 'it', 'its', 'this', 'that', 'these',
+    'those', 'some', 'any', 'there', 'best', 'good', 'way', 'ways', 'get', 'make', 'use', 'using', 'vs'
+]);
+
+// Lowercase words, keeping the + and # of names like c++ and c#
+function splitWords(text) {
+    return String(text || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}+#]+/gu, ' ')
+        .split(' ')
+        .filter(word => word && /[\p{L}\p{N}]/u.test(word));
+}
+
+// Features of a text: its content words plus adjacent pairs, so "machine learning" counts as a phrase
+export function tokenize(text) {
+    const words = splitWords(text).filter(word => !STOPWORDS.has(word));
+    const features = [...words];
+    for (let i = 0; i < words.length - 1; i++) {
+        features.push(`${words[i]} ${words[i + 1]}`);
+    }
+    return features;
+}
+
+// Whole-word match of a word or phrase: "ai" is found in "ai tools" but not in "maintain"
+export function containsTerm(text, term) {
+    const words = splitWords(text);
+    const termWords = splitWords(term);
+    if (termWords.length === 0) return false;
+
+    return words.some((_, start) => termWords.every((word, offset) => words[start + offset] === word));
+}
+
+// Multinomial naive Bayes with Lidstone smoothing. Examples are keyed by prompt id so an edited
+// prompt replaces what it taught before; the model is rebuilt on the next classification.
+export class CategoryClassifier {
+    constructor(seeds = {}) {
+        this.seeds = seeds;
+        this.clear();
+    }
+
+    // Keyword lists per category changed; examples are kept
+    setSeeds(seeds) {
+        this.seeds = seeds;
+        this.model = null;
+    }
+
+    clear() {
+        // id -> { category, features }
+        this.examples = new Map();
+        this.model = null;
+    }
+
+    train(examples) {
+        this.clear();
+        examples.forEach(({ id, category, text }) => this.learn(id, category, text));
+    }
+
+    learn(id, category, text) {
+        this.examples.set(id, { category, features: tokenize(text) });
+        this.model = null;
+    }
+
+    forget(id) {
+        if (this.examples.delete(id)) {
+            this.model = null;
+        }
+    }
+
+    get size() {
+        return this.examples.size;
+    }
+
+    // Feature counts per category from the seed keywords and the labelled examples
+    buildModel() {
+        const categories = new Map();
+        const vocabulary = new Set();
+        const entry = category => {
+            if (!categories.has(category)) {
+                categories.set(category, { documents: 0, total: 0, counts: new Map() });
+            }
+            return categories.get(category);
+        };
+        const count = (stats, features, weight) => {
+            features.forEach(feature => {
+                stats.counts.set(feature, (stats.counts.get(feature) || 0) + weight);
+                stats.total += weight;
+                vocabulary.add(feature);
+            });
+        };
+
+        Object.entries(this.seeds).forEach(([category, keywords]) => {
+            if (keywords.length === 0) return;
+            const stats = entry(category);
+            keywords.forEach(keyword => count(stats, tokenize(keyword), SEED_WEIGHT));
+        });
+        this.examples.forEach(({ category, features }) => {
+            const stats = entry(category);
+            stats.documents++;
+            count(stats, features, 1);
+        });
+
+        this.model = { categories, vocabulary, documents: this.examples.size };
+        return this.model;
+    }
+
+    // Ranked [{ category, confidence }] over the given categories, confidences summing to 1.
+    // Categories with no keywords or examples are not ranked, and a text with no known words
+    // gets an empty list.
+    classify(text, categories = null) {
+        const { categories: known, vocabulary, documents } = this.model || this.buildModel();
+        const features = tokenize(text).filter(feature => vocabulary.has(feature));
+        const candidates = (categories || [...known.keys()]).filter(category => known.has(category));
+        if (features.length === 0 || candidates.length === 0) return [];
+
+        const scores = candidates.map(category => {
+            const stats = known.get(category);
+            let score = Math.log((stats.documents + 1) / (documents + candidates.length));
+            features.forEach(feature => {
+                score += Math.log(((stats.counts.get(feature) || 0) + SMOOTHING) / (stats.total + SMOOTHING * vocabulary.size));
+            });
+            return { category, score };
+        });
+
+        // Normalize log scores into probabilities without underflowing
+        const best = Math.max(...scores.map(({ score }) => score));
+        const weights = scores.map(({ score }) => Math.exp(score - best));
+        const sum = weights.reduce((total, weight) => total + weight, 0);
+
+        return scores
+            .map(({ category }, index) => ({ category, confidence: weights[index] / sum }))
+            .sort((a, b) => b.confidence - a.confidence || a.category.localeCompare(b.category));
+    }
+}
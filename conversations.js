@@ -0,0 +1,138 @@
+/**
+ * Conversation Exports for ChatGPT Q&A Synthesizer
+ * Reads ChatGPT and Claude conversation exports and splits them into question/answer exchanges
+ */
+
+// ChatGPT stores seconds since the epoch, Claude ISO date strings
+function toTimestamp(value) {
+    if (typeof value === 'number') {
+        return value < 1e12 ? Math.round(value * 1000) : value;
+    }
+    const timestamp = Date.parse(value);
+    return Number.isFinite(timestamp) ? timestamp : null;
+}
+
+// Pair every user message with the assistant replies that follow it. Questions the
+// assistant never answered are dropped.
+function pairMessages(messages, conversation) {
+    const exchanges = [];
+    let current = null;
+
+    messages.forEach(message => {
+        if (message.role === 'user') {
+            current = { question: message.text, askedAt: message.timestamp, answers: [], answeredAt: null };
+            exchanges.push(current);
+        } else if (message.role === 'assistant' && current) {
+            current.answers.push(message.text);
+            current.answeredAt = message.timestamp || current.answeredAt;
+        }
+    });
+
+    return exchanges
+        .filter(exchange => exchange.question.trim() && exchange.answers.length > 0)
+        .map(exchange => ({
+            question: exchange.question.trim(),
+            answer: exchange.answers.join('\n\n').trim(),
+            conversation: {
+                ...conversation,
+                askedAt: exchange.askedAt,
+                answeredAt: exchange.answeredAt
+            }
+        }));
+}
+
+// ChatGPT keeps every edited branch in a `mapping` tree; the conversation as last seen
+// is the path from `current_node` back to the root.
+function getChatGPTMessages(conversation) {
+    const mapping = conversation.mapping || {};
+    let nodes = [];
+
+    if (conversation.current_node && mapping[conversation.current_node]) {
+        const seen = new Set();
+        let node = mapping[conversation.current_node];
+        while (node && !seen.has(node.id)) {
+            seen.add(node.id);
+            nodes.unshift(node);
+            node = mapping[node.parent];
+        }
+    } else {
+        nodes = Object.values(mapping)
+            .filter(node => node.message)
+            .sort((a, b) => (a.message.create_time || 0) - (b.message.create_time || 0));
+    }
+
+    return nodes
+        .map(node => node.message)
+        .filter(message => message && message.author && message.content &&
+            ['text', 'multimodal_text'].includes(message.content.content_type) &&
+            !(message.metadata && message.metadata.is_visually_hidden_from_conversation))
+        .map(message => ({
+            role: message.author.role,
+            text: (message.content.parts || []).filter(part => typeof part === 'string').join('\n').trim(),
+            timestamp: toTimestamp(message.create_time)
+        }))
+        .filter(message => message.text);
+}
+
+function getClaudeMessages(conversation) {
+    return (conversation.chat_messages || [])
+        .map(message => {
+            const blocks = Array.isArray(message.content)
+                ? message.content.filter(block => block && block.type === 'text' && typeof block.text === 'string')
+                : [];
+            return {
+                role: message.sender === 'human' ? 'user' : message.sender,
+                text: (blocks.length > 0 ? blocks.map(block => block.text).join('\n\n') : message.text || '').trim(),
+                timestamp: toTimestamp(message.created_at)
+            };
+        })
+        .filter(message => message.text);
+}
+
+export const CONVERSATION_FORMATS = {
+    chatgpt: {
+        name: 'ChatGPT',
+        detect: conversation => Boolean(conversation.mapping),
+        parse: conversation => pairMessages(getChatGPTMessages(conversation), {
+            source: 'chatgpt',
+            id: conversation.conversation_id || conversation.id || null,
+            title: conversation.title || ''
+        })
+    },
+    claude: {
+        name: 'Claude',
+        detect: conversation => Array.isArray(conversation.chat_messages),
+        parse: conversation => pairMessages(getClaudeMessages(conversation), {
+            source: 'claude',
+            id: conversation.uuid || null,
+            title: conversation.name || ''
+        })
+    }
+};
+
+// Returns 'chatgpt', 'claude' or null for anything that is not a conversation export
+export function detectConversationFormat(data) {
+    const conversations = Array.isArray(data) ? data : null;
+    if (!conversations || conversations.length === 0 || !conversations[0] || typeof conversations[0] !== 'object') {
+        return null;
+    }
+
+    const format = Object.keys(CONVERSATION_FORMATS).find(key => CONVERSATION_FORMATS[key].detect(conversations[0]));
+    return format || null;
+}
+
+// Split a conversation export into exchanges: [{ question, answer, conversation }] where
+// conversation is { source, id, title, askedAt, answeredAt }.
+export function parseConversations(data) {
+    const format = detectConversationFormat(data);
+    if (!format) {
+        throw new Error('Not a ChatGPT or Claude conversation export');
+    }
+
+    const { parse, detect } = CONVERSATION_FORMATS[format];
+    return {
+        format,
+        conversations: data.length,
+        exchanges: data.filter(conversation => conversation && detect(conversation)).flatMap(parse)
+    };
+}
@@ -0,0 +1,171 @@
+/**
+ * CSV/TSV Files for ChatGPT Q&A Synthesizer
+ * Delimited text parsing and writing, plus the column mapping used by the spreadsheet import wizard
+ */
+
+import { getFolderPathName } from './folders.js';
+import { formatMessages, getFollowUps } from './threads.js';
+
+export const DELIMITERS = {
+    ',': 'Comma',
+    '\t': 'Tab',
+    ';': 'Semicolon'
+};
+
+// Prompt fields a column can be mapped to, with header names that map to them automatically
+export const IMPORT_FIELDS = {
+    id: { label: 'ID', aliases: ['id'] },
+    question: { label: 'Question', aliases: ['question', 'prompt', 'q', 'title'] },
+    answer: { label: 'Answer', aliases: ['answer', 'response', 'reply', 'a', 'completion'] },
+    category: { label: 'Category', aliases: ['category', 'type', 'topic'] },
+    tags: { label: 'Tags', aliases: ['tags', 'tag', 'keywords', 'labels'] },
+    folder: { label: 'Folder', aliases: ['folder', 'folders', 'path', 'collection'] },
+    rating: { label: 'Rating', aliases: ['rating', 'stars', 'rank'] }
+};
+
+// Columns written by an export, in order
+const EXPORT_COLUMNS = ['id', 'question', 'answer', 'category', 'tags', 'folder', 'rating', 'score', 'favorite', 'archived', 'created', 'updated', 'follow_ups'];
+
+// Tags share one cell, separated by commas, semicolons or pipes
+const TAG_SEPARATOR = /[,;|]/;
+
+// The delimiter that splits the first line into the most columns, ignoring quoted text
+export function detectDelimiter(text) {
+    const firstLine = text.replace(/"(?:[^"]|"")*"/g, '').split(/\r?\n/)[0] || '';
+    const counts = Object.keys(DELIMITERS).map(delimiter => [delimiter, firstLine.split(delimiter).length]);
+    const [best] = counts.sort((a, b) => b[1] - a[1]);
+    return best[1] > 1 ? best[0] : ',';
+}
+
+// RFC 4180 parsing: quoted fields may contain delimiters, newlines and doubled quotes.
+// Returns an array of rows, each an array of cell strings; blank lines are skipped.
+export function parseDelimited(text, delimiter = detectDelimiter(text)) {
+    const source = text.replace(/^\uFEFF/, '');
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    let i = 0;
+
+    const endRow = () => {
+        row.push(cell);
+        if (row.length > 1 || row[0] !== '') {
+            rows.push(row);
+        }
+        row = [];
+        cell = '';
+    };
+
+    while (i < source.length) {
+        const char = source[i];
+
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                cell += '"';
+                i += 2;
+                continue;
+            }
+            if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+            i++;
+            continue;
+        }
+
+        if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            endRow();
+        } else {
+            cell += char;
+        }
+        i++;
+    }
+
+    if (quoted) {
+        throw new Error('A quoted field is never closed');
+    }
+    if (cell !== '' || row.length > 0) {
+        endRow();
+    }
+
+    return rows;
+}
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@]/;
+
+// Formula-like text is written with a leading apostrophe, which spreadsheets show as plain text
+function formatCell(value, delimiter) {
+    const raw = value === null || value === undefined ? '' : String(value);
+    const text = FORMULA_PREFIX.test(raw) ? `'${raw}` : raw;
+    return text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim()
+        ? `"${text.replace(/"/g, '""')}"`
+        : text;
+}
+
+export function toDelimited(rows, delimiter = ',') {
+    return rows.map(row => row.map(cell => formatCell(cell, delimiter)).join(delimiter)).join('\r\n') + '\r\n';
+}
+
+// One header row plus one row per prompt. Folders are written as "Parent/Child" paths
+// separated by semicolons, since folder names may contain commas. Messages after the first
+// exchange share one cell as a Q:/A: transcript.
+export function promptsToDelimited(qas, folders, delimiter = ',') {
+    const rows = qas.map(qa => [
+        qa.id,
+        qa.question,
+        qa.answer,
+        qa.category,
+        (qa.tags || []).join(', '),
+        (qa.folders || []).map(id => getFolderPathName(folders, id)).filter(Boolean).join('; '),
+        qa.rating || 0,
+        qa.score,
+        qa.favorite ? 'yes' : 'no',
+        qa.archived ? 'yes' : 'no',
+        qa.createdAt ? new Date(qa.createdAt).toISOString() : '',
+        qa.updatedAt ? new Date(qa.updatedAt).toISOString() : '',
+        formatMessages(getFollowUps(qa))
+    ]);
+
+    return toDelimited([EXPORT_COLUMNS, ...rows], delimiter);
+}
+
+// Map each column to a prompt field by its header name; unrecognized columns are ignored (null)
+export function guessColumnMapping(headers) {
+    const used = new Set();
+
+    return headers.map(header => {
+        const name = String(header).trim().toLowerCase();
+        const field = Object.keys(IMPORT_FIELDS).find(key => !used.has(key) && IMPORT_FIELDS[key].aliases.includes(name));
+        if (field) used.add(field);
+        return field || null;
+    });
+}
+
+// Pull the mapped fields out of one row. Cells are trimmed, missing cells read as '', and the
+// apostrophe an export puts before formula-like text is dropped.
+export function readMappedRow(row, mapping) {
+    const values = {};
+    mapping.forEach((field, index) => {
+        if (field && values[field] === undefined) {
+            const value = String(row[index] === undefined ? '' : row[index]).trim();
+            values[field] = value.startsWith('\'') && FORMULA_PREFIX.test(value.slice(1)) ? value.slice(1) : value;
+        }
+    });
+    return values;
+}
+
+export function splitFolders(value) {
+    return String(value || '').split(';').map(path => path.trim()).filter(Boolean);
+}
+
+export function splitTags(value) {
+    return [...new Set(String(value || '').split(TAG_SEPARATOR).map(tag => tag.trim()).filter(Boolean))];
+}
@@ -1,730 +1,2582 @@
 /**
+ * Database Management Class for ChatGPT Q&A Synthesizer
+ * Handles data persistence, validation, and CRUD operations
+ */
 
-- Database Management Class for ChatGPT Q&A Synthesizer
-- Handles data persistence, validation, and CRUD operations
-  */
-
 import {
-generateId,
-validateQAData,
-deepClone,
-storage,
-errorHandler,
-performanceMonitor
-} from ‘./utils.js’;
+    generateId,
+    validateQAData,
+    deepClone,
+    storage,
+    createStorage,
+    errorHandler,
+    performanceMonitor
+} from './utils.js';
+import { createProvider, TemplateProvider } from './providers.js';
+import {
+    createDefaultFolders,
+    createFolder,
+    createFolderPathResolver,
+    FOLDER_ICONS,
+    getDescendantIds,
+    getFolderPathName,
+    isSystemFolder,
+    isVirtualFolder,
+    mergeFolders,
+    TRASH_FOLDER_ID
+} from './folders.js';
+import {
+    categoryId,
+    categorySeeds,
+    createCategory,
+    createDefaultCategories,
+    DEFAULT_CATEGORY_ID,
+    matchPatterns,
+    mergeCategories,
+    normalizeCategoryColor,
+    normalizeKeywords,
+    normalizePatterns
+} from './categories.js';
+import { CategoryClassifier, CONFIDENT, containsTerm } from './classifier.js';
+import { History } from './history.js';
+import { exportMarkdownFiles, importMarkdownFiles } from './markdown.js';
+import { createZip } from './zip.js';
+import { CONVERSATION_FORMATS, parseConversations } from './conversations.js';
+import { promptsToDelimited, readMappedRow, splitFolders, splitTags } from './csv.js';
+import { countStatuses, mergeRecord, MERGE_STATUSES, planMerge } from './merge.js';
+import { checkDataVersion, migrateData, SCHEMA_VERSION } from './migrations.js';
+import { repairQAData } from './repair.js';
+import { appendRevision, createRevision, getVersions, pickRevisionFields } from './revisions.js';
+import { SearchIndex, tokenize, highlightTerms, createSnippet, matchesComparison } from './search.js';
+import { clusterDuplicates, findSimilar } from './similarity.js';
+import { exportSnippetFiles, SnippetIndex } from './snippets.js';
+import { fillTemplate, isTemplate, missingValues, resolveValues, syncVariables, templateBody } from './templates.js';
+import { followUpText, getFollowUps, threadHistory, threadQuestions } from './threads.js';
+
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 export class QADatabase {
-constructor() {
-this.data = {
-qas: [],
-folders: [‘all’, ‘favorites’, ‘archive’, ‘default’],
-categories: [
-‘general’, ‘coding’, ‘business’, ‘marketing’, ‘design’,
-‘productivity’, ‘ai’, ‘career’, ‘education’, ‘finance’,
-‘health’, ‘lifestyle’
-],
-settings: {
-currentFolder: ‘all’,
-currentCategory: ‘’,
-sortBy: ‘newest’,
-searchTerm: ‘’,
-viewMode: ‘grid’
-},
-metadata: {
-version: ‘2.0’,
-createdAt: Date.now(),
-lastModified: Date.now()
-}
-};
-
-```
-    this.observers = new Map();
-    this.isLoading = false;
-    this.isDirty = false;
-    this.autoSaveTimeout = null;
-    
-    this.categoryKeywords = {
-        coding: [
-            'code', 'programming', 'javascript', 'python', 'react', 'html', 'css',
-            'function', 'api', 'database', 'algorithm', 'debug', 'git', 'nodejs',
-            'typescript', 'vue', 'angular', 'php', 'java', 'c++', 'sql', 'github'
-        ],
-        business: [
-            'business', 'strategy', 'company', 'startup', 'management', 'leadership',
-            'enterprise', 'profit', 'revenue', 'growth', 'operations', 'team',
-            'project', 'planning', 'goals', 'kpi', 'metrics', 'roi', 'budget'
-        ],
-        marketing: [
-            'marketing', 'advertising', 'brand', 'customer', 'social media', 'campaign',
-            'content', 'seo', 'conversion', 'funnel', 'analytics', 'engagement',
-            'influencer', 'email', 'copywriting', 'cta', 'landing page', 'traffic'
-        ],
-        design: [
-            'design', 'ui', 'ux', 'layout', 'visual', 'color', 'typography',
-            'interface', 'wireframe', 'prototype', 'figma', 'photoshop', 'branding',
-            'logo', 'illustration', 'graphic', 'user experience', 'usability'
-        ],
-        productivity: [
-            'productivity', 'time management', 'organization', 'efficiency', 'workflow',
-            'task', 'planning', 'goals', 'focus', 'habits', 'automation', 'tools',
-            'calendar', 'todo', 'getting things done', 'pomodoro', 'optimization'
-        ],
-        ai: [
-            'ai', 'artificial intelligence', 'machine learning', 'neural', 'model',
-            'gpt', 'chatbot', 'automation', 'nlp', 'deep learning', 'tensorflow',
-            'pytorch', 'data science', 'algorithm', 'computer vision', 'robotics'
-        ],
-        career: [
-            'career', 'job', 'interview', 'resume', 'professional', 'skill',
-            'workplace', 'promotion', 'networking', 'linkedin', 'salary',
-            'development', 'training', 'certification', 'portfolio', 'cv'
-        ],
-        education: [
-            'education', 'learning', 'study', 'teach', 'course', 'training',
-            'knowledge', 'university', 'research', 'academic', 'curriculum',
-            'online learning', 'mooc', 'tutorial', 'certification', 'degree'
-        ],
-        finance: [
-            'finance', 'money', 'investment', 'budget', 'financial', 'economy',
-            'market', 'trading', 'crypto', 'stock', 'portfolio', 'banking',
-            'loan', 'debt', 'savings', 'retirement', 'tax', 'insurance'
-        ],
-        health: [
-            'health', 'wellness', 'fitness', 'medical', 'mental health', 'exercise',
-            'nutrition', 'diet', 'sleep', 'stress', 'meditation', 'yoga',
-            'therapy', 'doctor', 'medicine', 'healthcare', 'wellbeing'
-        ],
-        lifestyle: [
-            'lifestyle', 'life', 'personal', 'habit', 'routine', 'balance',
-            'self-improvement', 'motivation', 'happiness', 'relationships',
-            'family', 'home', 'travel', 'hobbies', 'entertainment', 'leisure'
-        ]
-    };
-
-    this.init();
-}
+    constructor(options = {}) {
+        this.data = {
+            qas: [],
+            trash: [],
+            folders: createDefaultFolders(),
+            smartFolders: [],
+            // Records the repair pass could not fix, kept so nothing is silently thrown away
+            quarantine: [],
+            categories: createDefaultCategories(),
+            settings: {
+                currentFolder: 'all',
+                currentCategory: '',
+                sortBy: 'newest',
+                searchTerm: '',
+                viewMode: 'grid',
+                trashRetentionDays: DEFAULT_TRASH_RETENTION_DAYS
+            },
+            metadata: {
+                version: SCHEMA_VERSION,
+                createdAt: Date.now(),
+                lastModified: Date.now()
+            }
+        };
 
-// Initialize the database
-async init() {
-    this.isLoading = true;
-    
-    try {
-        await this.loadData();
-        this.validateData();
-        this.setupAutoSave();
-        
-        // Add sample data if empty
-        if (this.data.qas.length === 0) {
-            this.addSampleData();
-        }
-        
-        this.emit('initialized', this.data);
-    } catch (error) {
-        errorHandler.log(error, 'Database initialization');
-        this.addSampleData(); // Fallback to sample data
-    } finally {
+        this.observers = new Map();
         this.isLoading = false;
+        // Set when saved data cannot be loaded safely; nothing is written back over it
+        this.isReadOnly = false;
+        this.isDirty = false;
+        this.dirtyIds = new Set();
+        this.needsFullSave = false;
+        this.autoSaveTimeout = null;
+        this.storage = options.storage || createStorage();
+        this.providerConfig = null;
+        this.provider = options.provider || null;
+        this.fallbackProvider = new TemplateProvider();
+        this.answerRequests = new Map();
+        this.history = new History();
+        this.isRecording = false;
+
+        this.classifier = new CategoryClassifier(categorySeeds(this.data.categories));
+        this.setupClassifier();
+        this.searchIndex = new SearchIndex();
+        this.setupSearchIndex();
+        this.snippetIndex = new SnippetIndex();
+        this.setupSnippetIndex();
+
+        this.init();
+    }
+
+    // Initialize the database
+    async init() {
+        this.isLoading = true;
+
+        try {
+            await this.loadData();
+            if (!this.provider) {
+                await this.loadProviderConfig();
+            }
+            this.resetInterruptedAnswers();
+            this.purgeExpiredTrash();
+            this.validateData();
+            this.setupAutoSave();
+
+            // Add sample data if empty
+            if (!this.isReadOnly && this.data.qas.length === 0 && this.data.trash.length === 0) {
+                this.addSampleData();
+            }
+
+            this.emit('initialized', this.data);
+        } catch (error) {
+            errorHandler.log(error, 'Database initialization');
+            this.addSampleData(); // Fallback to sample data
+        } finally {
+            this.isLoading = false;
+        }
     }
-}
 
-// Event system for reactive updates
-on(event, callback) {
-    if (!this.observers.has(event)) {
-        this.observers.set(event, new Set());
+    // Event system for reactive updates
+    on(event, callback) {
+        if (!this.observers.has(event)) {
+            this.observers.set(event, new Set());
+        }
+        this.observers.get(event).add(callback);
     }
-    this.observers.get(event).add(callback);
-}
 
-off(event, callback) {
-    if (this.observers.has(event)) {
-        this.observers.get(event).delete(callback);
+    off(event, callback) {
+        if (this.observers.has(event)) {
+            this.observers.get(event).delete(callback);
+        }
     }
-}
 
-emit(event, data) {
-    if (this.observers.has(event)) {
-        this.observers.get(event).forEach(callback => {
-            try {
-                callback(data);
-            } catch (error) {
-                errorHandler.log(error, `Event callback for ${event}`);
+    emit(event, data) {
+        if (this.observers.has(event)) {
+            this.observers.get(event).forEach(callback => {
+                try {
+                    callback(data);
+                } catch (error) {
+                    errorHandler.log(error, `Event callback for ${event}`);
+                }
+            });
+        }
+    }
+
+    // Keep the full-text index in step with every mutation
+    setupSearchIndex() {
+        // Trashed prompts stay indexed so the Trash view can be searched too
+        const rebuild = () => this.searchIndex.build([...this.data.qas, ...this.data.trash]);
+
+        this.on('promptAdded', qa => this.searchIndex.add(qa));
+        this.on('promptUpdated', qa => this.searchIndex.update(qa));
+        this.on('promptsPurged', prompts => prompts.forEach(qa => this.searchIndex.remove(qa.id)));
+        this.on('tagsUpdated', ({ prompts }) => prompts.forEach(qa => this.searchIndex.update(qa)));
+        this.on('initialized', rebuild);
+        this.on('sampleDataAdded', rebuild);
+        this.on('dataImported', rebuild);
+        this.on('dataCleared', rebuild);
+        this.on('historyRestored', rebuild);
+    }
+
+    // The classifier learns from live prompts whose category the user chose; categories it
+    // picked itself are not fed back, so its own mistakes never reinforce themselves
+    setupClassifier() {
+        const learn = qa => {
+            if (qa.categorySource === 'user') {
+                this.classifier.learn(qa.id, qa.category, templateBody(qa.question, qa.variables));
+            } else {
+                this.classifier.forget(qa.id);
+            }
+        };
+        const reseed = () => this.classifier.setSeeds(categorySeeds(this.data.categories));
+        const rebuild = () => {
+            reseed();
+            this.classifier.clear();
+            this.data.qas.forEach(learn);
+        };
+
+        this.on('promptAdded', learn);
+        this.on('promptUpdated', learn);
+        this.on('promptDeleted', qa => this.classifier.forget(qa.id));
+        this.on('promptsRestored', prompts => prompts.forEach(learn));
+        this.on('promptsRecategorized', prompts => prompts.forEach(learn));
+        this.on('categoryAdded', reseed);
+        this.on('categoryUpdated', reseed);
+        this.on('categoryDeleted', rebuild);
+        this.on('initialized', rebuild);
+        this.on('sampleDataAdded', rebuild);
+        this.on('dataImported', rebuild);
+        this.on('dataCleared', rebuild);
+        this.on('historyRestored', rebuild);
+    }
+
+    // Code snippets are indexed for live prompts only; trashed prompts drop out until restored
+    setupSnippetIndex() {
+        const rebuild = () => this.snippetIndex.build(this.data.qas);
+
+        this.on('promptAdded', qa => this.snippetIndex.add(qa));
+        this.on('promptUpdated', qa => this.snippetIndex.update(qa));
+        this.on('promptDeleted', qa => this.snippetIndex.remove(qa.id));
+        this.on('promptsRestored', prompts => prompts.forEach(qa => this.snippetIndex.add(qa)));
+        this.on('initialized', rebuild);
+        this.on('sampleDataAdded', rebuild);
+        this.on('dataImported', rebuild);
+        this.on('dataCleared', rebuild);
+        this.on('historyRestored', rebuild);
+    }
+
+    // Load data from the storage backend
+    async loadData() {
+        return performanceMonitor.measureAsync('loadData', async () => {
+            let savedData = await this.storage.get('data');
+            let migrated = false;
+
+            if (savedData && this.storage.getRecords) {
+                savedData = {
+                    ...savedData,
+                    qas: this.orderRecords(await this.storage.getRecords('qas'), savedData.qaOrder)
+                };
+                delete savedData.qaOrder;
+            } else if (!savedData && this.storage !== storage) {
+                // First run on a record-based backend: pick up the legacy localStorage snapshot
+                savedData = storage.get('data');
+                migrated = Boolean(savedData);
             }
+
+            if (savedData) {
+                try {
+                    checkDataVersion(savedData);
+                } catch (error) {
+                    // Written by a newer version of the app: leave it untouched
+                    errorHandler.log(error, 'loadData');
+                    this.isReadOnly = true;
+                    this.emit('dataRefused', { error });
+                    return this.data;
+                }
+
+                // Migrations skip malformed records; repair quarantines them below
+                const migration = migrateData(savedData);
+
+                // Repair, validate and merge saved data
+                const repair = repairQAData(savedData, { categories: this.getCategoryIds() });
+                const validation = validateQAData(savedData);
+                if (validation.isValid) {
+                    this.data = { ...this.data, ...savedData };
+                    this.data.metadata.lastModified = Date.now();
+
+                    if (migration.steps.length > 0) {
+                        this.needsFullSave = true;
+                        this.markDirty();
+                        this.emit('dataMigrated', migration);
+                    }
+                    this.applyRepair(repair);
+                } else {
+                    // Keep default data, and keep the saved copy out of harm's way
+                    console.warn('Invalid saved data:', validation.errors);
+                    this.isReadOnly = true;
+                    this.emit('dataRefused', { error: new Error('Saved data could not be repaired') });
+                    migrated = false;
+                }
+            }
+
+            if (migrated && await this.saveData(true)) {
+                storage.remove('data');
+                this.emit('storageMigrated', { count: this.data.qas.length });
+            }
+
+            return this.data;
         });
     }
-}
 
-// Load data from localStorage
-async loadData() {
-    return performanceMonitor.measure('loadData', () => {
-        const savedData = storage.get('data');
-        
-        if (savedData) {
-            // Validate and merge saved data
-            const validation = validateQAData(savedData);
-            if (validation.isValid) {
-                this.data = { ...this.data, ...savedData };
+    // Restore the persisted Q&A order; records missing from the order go last
+    orderRecords(records, order = []) {
+        const position = new Map(order.map((id, index) => [id, index]));
+        return records.sort((a, b) =>
+            (position.has(a.id) ? position.get(a.id) : Infinity) -
+            (position.has(b.id) ? position.get(b.id) : Infinity)
+        );
+    }
+
+    // Save data to the storage backend
+    async saveData(force = false) {
+        if (this.isReadOnly) return false;
+        if (!this.isDirty && !force) return true;
+
+        return performanceMonitor.measureAsync('saveData', async () => {
+            const dirtyIds = this.dirtyIds;
+            const fullSave = force || this.needsFullSave;
+            this.dirtyIds = new Set();
+            this.needsFullSave = false;
+            this.isDirty = false;
+
+            try {
                 this.data.metadata.lastModified = Date.now();
-            } else {
-                console.warn('Invalid saved data:', validation.errors);
-                // Keep default data
+                const success = await this.persist(dirtyIds, fullSave);
+
+                if (success) {
+                    this.emit('saved', this.data);
+                    return true;
+                } else {
+                    throw new Error('Failed to save data');
+                }
+            } catch (error) {
+                // Keep the pending changes so the next save retries them
+                dirtyIds.forEach(id => this.dirtyIds.add(id));
+                this.needsFullSave = this.needsFullSave || fullSave;
+                this.isDirty = true;
+                errorHandler.log(error, 'saveData');
+                this.emit('saveError', error);
+                return false;
             }
+        });
+    }
+
+    // Write to storage; record-based backends only receive changed Q&As
+    async persist(dirtyIds, fullSave) {
+        if (!this.storage.putRecords) {
+            return this.storage.set('data', this.data);
         }
-        
-        return this.data;
-    });
-}
 
-// Save data to localStorage
-async saveData(force = false) {
-    if (!this.isDirty && !force) return true;
+        const { qas, ...rest } = this.data;
+        let success;
+
+        if (fullSave) {
+            success = await this.storage.replaceRecords('qas', qas);
+        } else {
+            const byId = new Map(qas.map(qa => [qa.id, qa]));
+            const changed = [...dirtyIds].filter(id => byId.has(id)).map(id => byId.get(id));
+            const removed = [...dirtyIds].filter(id => !byId.has(id));
+            success = await this.storage.putRecords('qas', changed) &&
+                await this.storage.deleteRecords('qas', removed);
+        }
 
-    return performanceMonitor.measure('saveData', () => {
-        try {
-            this.data.metadata.lastModified = Date.now();
-            const success = storage.set('data', this.data);
-            
-            if (success) {
-                this.isDirty = false;
-                this.emit('saved', this.data);
-                return true;
-            } else {
-                throw new Error('Failed to save to localStorage');
+        return success && this.storage.set('data', {
+            ...rest,
+            qaOrder: qas.map(qa => qa.id)
+        });
+    }
+
+    // Setup auto-save functionality
+    setupAutoSave() {
+        const autoSave = () => {
+            if (this.isDirty) {
+                this.saveData();
             }
-        } catch (error) {
-            errorHandler.log(error, 'saveData');
-            this.emit('saveError', error);
-            return false;
-        }
-    });
-}
+        };
 
-// Setup auto-save functionality
-setupAutoSave() {
-    const autoSave = () => {
-        if (this.isDirty) {
-            this.saveData();
-        }
-    };
+        // Auto-save every 30 seconds if dirty
+        setInterval(autoSave, 30000);
+
+        // Save on page unload
+        window.addEventListener('beforeunload', () => {
+            if (this.isDirty) {
+                this.saveData();
+            }
+        });
+    }
 
-    // Auto-save every 30 seconds if dirty
-    setInterval(autoSave, 30000);
+    // Mark data as dirty and schedule auto-save.
+    // Pass the ids of added, changed or removed Q&As so only those records are rewritten.
+    markDirty(ids = []) {
+        this.isDirty = true;
+        ids.forEach(id => this.dirtyIds.add(id));
 
-    // Save on page unload
-    window.addEventListener('beforeunload', () => {
-        if (this.isDirty) {
+        // Debounced save - save after 2 seconds of inactivity
+        clearTimeout(this.autoSaveTimeout);
+        this.autoSaveTimeout = setTimeout(() => {
             this.saveData();
-        }
-    });
-}
+        }, 2000);
+    }
 
-// Mark data as dirty and schedule auto-save
-markDirty() {
-    this.isDirty = true;
-    
-    // Debounced save - save after 2 seconds of inactivity
-    clearTimeout(this.autoSaveTimeout);
-    this.autoSaveTimeout = setTimeout(() => {
-        this.saveData();
-    }, 2000);
-}
+    // Answers still pending from a previous session can never complete
+    resetInterruptedAnswers() {
+        this.data.qas.forEach(qa => {
+            if (this.answerRequests.has(qa.id)) return;
 
-// Validate data integrity
-validateData() {
-    const validation = validateQAData(this.data);
-    if (!validation.isValid) {
-        console.warn('Data validation issues:', validation.errors);
-        // Could implement auto-repair logic here
+            if (qa.answerStatus === 'pending') {
+                qa.answerStatus = 'failed';
+                qa.answerError = 'Answer generation was interrupted';
+                this.markDirty([qa.id]);
+            }
+            getFollowUps(qa).forEach(message => {
+                if (message.status === 'pending') {
+                    message.status = 'failed';
+                    message.error = 'Answer generation was interrupted';
+                    this.markDirty([qa.id]);
+                }
+            });
+        });
     }
-    return validation;
-}
 
-// Categorize a prompt based on keywords
-categorizePrompt(prompt) {
-    const lowerPrompt = prompt.toLowerCase();
-    let maxMatches = 0;
-    let bestCategory = 'general';
-
-    for (const [category, keywords] of Object.entries(this.categoryKeywords)) {
-        const matches = keywords.filter(keyword => 
-            lowerPrompt.includes(keyword.toLowerCase())
-        ).length;
-        
-        if (matches > maxMatches) {
-            maxMatches = matches;
-            bestCategory = category;
+    // Validate data integrity
+    validateData() {
+        const validation = validateQAData(this.data);
+        if (!validation.isValid) {
+            console.warn('Data validation issues:', validation.errors);
+            this.repairData();
         }
+        return validation;
     }
 
-    return bestCategory;
-}
-
-// Generate tags from prompt text
-generateTags(prompt, category) {
-    const words = prompt.toLowerCase()
-        .replace(/[^\w\s]/g, ' ')
-        .split(/\s+/)
-        .filter(word => word.length > 3)
-        .slice(0, 5);
+    // Fix what can be fixed in the loaded data and quarantine the rest
+    repairData() {
+        const report = repairQAData(this.data, { categories: this.getCategoryIds() });
+        this.applyRepair(report);
+        return report;
+    }
 
-    const categoryKeywords = this.categoryKeywords[category] || [];
-    const relevantKeywords = categoryKeywords.filter(keyword => 
-        prompt.toLowerCase().includes(keyword)
-    ).slice(0, 3);
+    // Quarantine unfixable records and announce the report when anything changed
+    applyRepair(report) {
+        if (report.fixes.length === 0 && report.quarantined.length === 0) return;
 
-    return [...new Set([category, ...relevantKeywords, ...words])];
-}
+        const quarantinedAt = Date.now();
+        this.data.quarantine = [
+            ...(this.data.quarantine || []),
+            ...report.quarantined.map(({ record, reason }) => ({ record, reason, quarantinedAt }))
+        ];
+        this.needsFullSave = true;
+        this.markDirty();
+        this.emit('dataRepaired', report);
+    }
 
-// Add a new prompt
-addPrompt(question, answer = null, options = {}) {
-    return performanceMonitor.measure('addPrompt', () => {
-        const category = options.category || this.categorizePrompt(question);
-        const tags = options.tags || this.generateTags(question, category);
-        
-        const generatedAnswer = answer || this.generateAnswer(question, category);
-        
-        const newQA = {
-            id: generateId('qa_'),
-            question: question.trim(),
-            answer: generatedAnswer,
-            category,
-            tags: [...new Set(tags)],
-            folder: options.folder || 'default',
-            rating: options.rating || 0,
-            views: 0,
-            score: options.score || Math.floor(Math.random() * 3) + 7, // 7-10
-            timestamp: Date.now(),
-            createdAt: Date.now(),
-            updatedAt: Date.now()
-        };
+    getQuarantine() {
+        return this.data.quarantine || [];
+    }
 
-        this.data.qas.unshift(newQA);
+    clearQuarantine() {
+        const removed = this.getQuarantine();
+        this.data.quarantine = [];
         this.markDirty();
-        this.emit('promptAdded', newQA);
-        
-        return newQA;
-    });
-}
+        this.emit('quarantineCleared', removed);
+        return removed;
+    }
 
-// Generate a contextual answer based on question and category
-generateAnswer(question, category) {
-    const templates = {
-        coding: `Here's a comprehensive solution for "${question}":\n\n**Approach:**\n1. Analyze the requirements\n2. Choose the appropriate technology/method\n3. Implement the solution\n4. Test and optimize\n\n**Code Example:**\n\`\`\`javascript\n// Implementation would go here\n// This is a placeholder for the actual solution\n\`\`\`\n\n**Best Practices:**\n- Follow coding standards\n- Add proper error handling\n- Include comprehensive tests\n- Document your code\n\n**Additional Resources:**\n- Official documentation\n- Community best practices\n- Testing frameworks`,
-        
-        business: `Strategic response to "${question}":\n\n**Analysis:**\nThis question touches on key business fundamentals that require both strategic thinking and practical implementation.\n\n**Key Considerations:**\n• Market dynamics and competitive landscape\n• Resource allocation and ROI\n• Risk assessment and mitigation\n• Stakeholder alignment and communication\n\n**Recommended Approach:**\n1. Conduct thorough analysis\n2. Develop strategic options\n3. Create implementation roadmap\n4. Monitor and adjust\n\n**Success Metrics:**\n- Define clear KPIs\n- Regular progress reviews\n- Stakeholder feedback loops`,
-        
-        marketing: `Marketing strategy for "${question}":\n\n**Campaign Framework:**\n\n**Target Audience:**\n- Demographics and psychographics\n- Pain points and motivations\n- Preferred channels and touchpoints\n\n**Messaging Strategy:**\n- Core value proposition\n- Key benefits and differentiators\n- Call-to-action optimization\n\n**Channel Mix:**\n• Digital: SEO, SEM, Social Media, Email\n• Traditional: PR, Events, Partnerships\n• Content: Blog, Video, Podcasts, Webinars\n\n**Measurement & Optimization:**\n- Conversion tracking\n- A/B testing\n- ROI analysis\n- Campaign iteration`,
-        
-        design: `Design solution for "${question}":\n\n**Design Process:**\n\n**1. Research & Discovery**\n- User research and personas\n- Competitive analysis\n- Requirements gathering\n\n**2. Ideation & Concepts**\n- Brainstorming sessions\n- Sketching and wireframes\n- Concept validation\n\n**3. Design & Prototyping**\n- Visual design\n- Interactive prototypes\n- Design system integration\n\n**4. Testing & Iteration**\n- User testing\n- Stakeholder feedback\n- Design refinement\n\n**Design Principles:**\n- User-centered approach\n- Accessibility compliance\n- Scalable and maintainable\n- Brand alignment`,
-        
-        default: `Comprehensive response to "${question}":\n\n**Overview:**\nThis is an important question that requires careful consideration of multiple factors and approaches.\n\n**Key Points:**\n• Context and background analysis\n• Multiple solution approaches\n• Implementation considerations\n• Potential challenges and solutions\n\n**Recommended Steps:**\n1. Gather all relevant information\n2. Evaluate different options\n3. Choose the best approach\n4. Create an action plan\n5. Execute and monitor progress\n\n**Additional Considerations:**\n- Resource requirements\n- Timeline and milestones\n- Success metrics\n- Risk management\n\nThis answer provides a structured approach while acknowledging that specific details would depend on your particular situation and constraints.`
-    };
-
-    return templates[category] || templates.default;
-}
+    // Run a mutation and record the state needed to undo and redo it.
+    // `ids` lists the prompts it may change, `created` returns the ids of prompts it added,
+    // and `all` snapshots every prompt for operations that replace the whole collection.
+    recordHistory(label, mutate, { ids = [], created = null, all = false } = {}) {
+        if (this.isRecording || this.isLoading) {
+            return mutate();
+        }
 
-// Update an existing prompt
-updatePrompt(id, updates) {
-    return performanceMonitor.measure('updatePrompt', () => {
-        const index = this.data.qas.findIndex(qa => qa.id === id);
-        if (index === -1) {
-            throw new Error(`Prompt with id ${id} not found`);
+        const before = this.captureState(ids, all);
+        let result;
+        this.isRecording = true;
+        try {
+            result = mutate();
+        } finally {
+            this.isRecording = false;
         }
 
-        const existingQA = this.data.qas[index];
-        const updatedQA = {
-            ...existingQA,
-            ...updates,
-            updatedAt: Date.now()
-        };
+        const createdIds = created ? created(result) : [];
+        createdIds.forEach(id => before.records.push([id, null]));
+        const after = this.captureState([...ids, ...createdIds], all);
 
-        // Re-categorize if question changed
-        if (updates.question && updates.question !== existingQA.question) {
-            updatedQA.category = updates.category || this.categorizePrompt(updates.question);
-            updatedQA.tags = updates.tags || this.generateTags(updates.question, updatedQA.category);
+        if (JSON.stringify(before) !== JSON.stringify(after)) {
+            this.history.push({ label, before, after });
+            this.emit('historyChanged', this.history.getState());
         }
 
-        this.data.qas[index] = updatedQA;
-        this.markDirty();
-        this.emit('promptUpdated', updatedQA);
-        
-        return updatedQA;
-    });
-}
+        return result;
+    }
 
-// Delete a prompt
-deletePrompt(id) {
-    return performanceMonitor.measure('deletePrompt', () => {
-        const index = this.data.qas.findIndex(qa => qa.id === id);
-        if (index === -1) {
-            throw new Error(`Prompt with id ${id} not found`);
+    // Copy of the parts of `data` a mutation can change; prompts are limited to `ids` unless `all` is set
+    captureState(ids, all = false) {
+        const records = [...new Set(ids)].map(id => {
+            const qa = this.getPrompt(id);
+            return [id, qa ? deepClone(qa) : null];
+        });
+
+        return {
+            order: this.data.qas.map(qa => qa.id),
+            qas: all ? deepClone(this.data.qas) : null,
+            records: all ? [] : records,
+            trash: deepClone(this.data.trash),
+            folders: deepClone(this.data.folders),
+            smartFolders: deepClone(this.data.smartFolders),
+            categories: deepClone(this.data.categories)
+        };
+    }
+
+    // Put a captured state back. Answers still streaming keep their live text, and view counts
+    // stay as they are unless the id is in `restoreViews`.
+    restoreState(state, restoreViews = new Set()) {
+        const current = new Map(this.data.qas.map(qa => [qa.id, qa]));
+        let qas;
+
+        if (state.qas) {
+            qas = deepClone(state.qas);
+        } else {
+            const byId = new Map(current);
+            state.records.forEach(([id, record]) => {
+                if (record) {
+                    byId.set(id, deepClone(record));
+                } else {
+                    byId.delete(id);
+                }
+            });
+            qas = this.orderRecords([...byId.values()], state.order);
         }
 
-        const deletedQA = this.data.qas.splice(index, 1)[0];
-        this.markDirty();
-        this.emit('promptDeleted', deletedQA);
-        
-        return deletedQA;
-    });
-}
+        // Views added by incrementViews are not part of the history
+        qas.forEach(qa => {
+            const live = current.get(qa.id);
+            if (live && !restoreViews.has(qa.id)) {
+                qa.views = live.views;
+            }
+            if (live && this.answerRequests.has(qa.id)) {
+                qa.answer = live.answer;
+                qa.answerStatus = live.answerStatus;
+                qa.answerError = live.answerError;
+            }
+        });
 
-// Get a single prompt by ID
-getPrompt(id) {
-    return this.data.qas.find(qa => qa.id === id);
-}
+        const restoredIds = new Set(qas.map(qa => qa.id));
+        this.answerRequests.forEach((controller, id) => {
+            if (!restoredIds.has(id)) {
+                controller.abort();
+                this.answerRequests.delete(id);
+            }
+        });
 
-// Get filtered and sorted prompts
-getPrompts(filters = {}) {
-    return performanceMonitor.measure('getPrompts', () => {
-        let filtered = [...this.data.qas];
+        this.data.qas = qas;
+        this.data.trash = deepClone(state.trash);
+        this.data.folders = deepClone(state.folders);
+        this.data.smartFolders = deepClone(state.smartFolders);
+        this.data.categories = deepClone(state.categories);
 
-        // Apply filters
-        if (filters.folder && filters.folder !== 'all') {
-            filtered = filtered.filter(qa => qa.folder === filters.folder);
+        const folderIds = new Set(this.data.folders.map(folder => folder.id));
+        const currentFolder = this.data.settings.currentFolder;
+        if (!folderIds.has(currentFolder) && !this.isSmartFolder(currentFolder)) {
+            this.data.settings.currentFolder = 'all';
         }
 
-        if (filters.category) {
-            filtered = filtered.filter(qa => qa.category === filters.category);
-        }
+        this.resetInterruptedAnswers();
+        this.needsFullSave = true;
+        this.markDirty();
+    }
 
-        if (filters.search) {
-            const searchTerm = filters.search.toLowerCase();
-            filtered = filtered.filter(qa => 
-                qa.question.toLowerCase().includes(searchTerm) ||
-                qa.answer.toLowerCase().includes(searchTerm) ||
-                qa.tags.some(tag => tag.toLowerCase().includes(searchTerm))
-            );
-        }
+    // Ids of the prompts whose view count the recorded mutation itself changed, as merging does
+    changedViews({ before, after }) {
+        const views = state => new Map((state.qas || state.records.map(([, qa]) => qa))
+            .filter(Boolean)
+            .map(qa => [qa.id, qa.views]));
+        const viewsBefore = views(before);
+        const viewsAfter = views(after);
 
-        if (filters.rating) {
-            filtered = filtered.filter(qa => qa.rating >= filters.rating);
-        }
+        return new Set([...viewsBefore.keys(), ...viewsAfter.keys()]
+            .filter(id => viewsBefore.get(id) !== viewsAfter.get(id)));
+    }
 
-        if (filters.dateRange) {
-            const { start, end } = filters.dateRange;
-            filtered = filtered.filter(qa => 
-                qa.timestamp >= start && qa.timestamp <= end
-            );
-        }
+    // Answers finish after the mutation that asked for them was recorded. Copy the outcome into
+    // every snapshot still holding the pending answer or reply, so undo and redo bring back the
+    // finished text instead of an empty answer.
+    settleHistoryAnswers(id) {
+        const qa = this.getPrompt(id);
+        if (!qa) return;
 
-        // Apply sorting
-        const sortBy = filters.sortBy || 'newest';
-        filtered.sort((a, b) => {
-            switch (sortBy) {
-                case 'newest':
-                    return b.timestamp - a.timestamp;
-                case 'oldest':
-                    return a.timestamp - b.timestamp;
-                case 'mostViewed':
-                    return b.views - a.views;
-                case 'rating':
-                    return b.rating - a.rating;
-                case 'alphabetical':
-                    return a.question.localeCompare(b.question);
-                default:
-                    return 0;
+        const copy = (target, source, fields) => fields.forEach(field => {
+            if (source[field] === undefined) {
+                delete target[field];
+            } else {
+                target[field] = source[field];
             }
         });
+        const settle = record => {
+            if (!record || record.id !== id) return;
+            if (record.answerStatus === 'pending') {
+                copy(record, qa, ['answer', 'answerStatus', 'answerError']);
+            }
+            getFollowUps(record).forEach((message, index) => {
+                const live = getFollowUps(qa)[index];
+                if (message.status === 'pending' && live && live.role === message.role) {
+                    copy(message, live, ['content', 'status', 'error']);
+                }
+            });
+        };
 
-        return filtered;
-    });
-}
+        this.history.forEachState(state => {
+            (state.qas || []).forEach(settle);
+            state.records.forEach(([, record]) => settle(record));
+        });
+    }
 
-// Increment view count
-incrementViews(id) {
-    const qa = this.getPrompt(id);
-    if (qa) {
-        qa.views++;
-        qa.updatedAt = Date.now();
-        this.markDirty();
-        this.emit('viewsIncremented', qa);
+    // Revert the most recent mutation; returns its label, or null when there is nothing to undo
+    undo() {
+        return this.applyHistory(this.history.undo(), 'before', 'undo');
     }
-}
 
-// Update rating
-updateRating(id, rating) {
-    const qa = this.getPrompt(id);
-    if (qa) {
-        qa.rating = Math.max(0, Math.min(5, rating));
-        qa.updatedAt = Date.now();
-        this.markDirty();
-        this.emit('ratingUpdated', qa);
+    redo() {
+        return this.applyHistory(this.history.redo(), 'after', 'redo');
     }
-}
 
-// Folder management
-addFolder(name) {
-    if (!this.data.folders.includes(name)) {
-        this.data.folders.push(name);
-        this.markDirty();
-        this.emit('folderAdded', name);
-        return true;
+    applyHistory(entry, side, action) {
+        if (!entry) return null;
+
+        this.restoreState(entry[side], this.changedViews(entry));
+        this.emit('historyRestored', { label: entry.label, action });
+        this.emit('historyChanged', this.history.getState());
+        return entry.label;
     }
-    return false;
-}
 
-deleteFolder(name) {
-    if (['all', 'favorites', 'archive', 'default'].includes(name)) {
-        throw new Error('Cannot delete system folders');
+    getHistoryState() {
+        return this.history.getState();
     }
 
-    const index = this.data.folders.indexOf(name);
-    if (index > -1) {
-        // Move all prompts from this folder to default
-        this.data.qas.forEach(qa => {
-            if (qa.folder === name) {
-                qa.folder = 'default';
+    // Most likely category of a prompt; "general" when none of its words are known
+    categorizePrompt(prompt) {
+        const [best] = this.classifyPrompt(prompt);
+        return best ? best.category : DEFAULT_CATEGORY_ID;
+    }
+
+    // Every category ranked as [{ category, confidence }], most likely first. A category whose
+    // pattern matches is certain; otherwise the classifier decides.
+    classifyPrompt(prompt) {
+        const matched = matchPatterns(this.data.categories, prompt);
+        if (matched) {
+            return [{ category: matched, confidence: 1 }];
+        }
+        return this.classifier.classify(prompt, this.getCategoryIds());
+    }
+
+    // The likely category, or the top `limit` candidates when the classifier is unsure
+    suggestCategories(prompt, limit = 3) {
+        const ranked = this.classifyPrompt(prompt);
+        return ranked.length > 0 && ranked[0].confidence >= CONFIDENT ? ranked.slice(0, 1) : ranked.slice(0, limit);
+    }
+
+    // Generate tags from prompt text
+    generateTags(prompt, category) {
+        const words = prompt.toLowerCase()
+            .replace(/[^\w\s]/g, ' ')
+            .split(/\s+/)
+            .filter(word => word.length > 3)
+            .slice(0, 5);
+
+        const categoryKeywords = this.getCategory(category)?.keywords || [];
+        const relevantKeywords = categoryKeywords.filter(keyword => containsTerm(prompt, keyword)).slice(0, 3);
+
+        return [...new Set([category, ...relevantKeywords, ...words])];
+    }
+
+    // Add a new prompt. Unless options.allowDuplicate is set, a question that closely matches an
+    // existing prompt is refused with an error whose `duplicates` lists the matches.
+    addPrompt(question, answer = null, options = {}) {
+        if (!options.allowDuplicate) {
+            const duplicates = this.findSimilarPrompts(question);
+            if (duplicates.length > 0) {
+                const error = new Error(`A similar prompt already exists: "${duplicates[0].qa.question}"`);
+                error.duplicates = duplicates;
+                throw error;
             }
-        });
+        }
 
-        this.data.folders.splice(index, 1);
-        this.markDirty();
-        this.emit('folderDeleted', name);
-        return true;
+        return this.recordHistory('Add prompt', () => {
+            return performanceMonitor.measure('addPrompt', () => {
+                // Templates are categorized by their body, not by the placeholder syntax
+                const variables = syncVariables(question, options.variables);
+                const body = templateBody(question, variables);
+                if (options.category) {
+                    this.assertCategory(options.category);
+                }
+                const category = options.category || this.categorizePrompt(body);
+                const tags = options.tags || this.generateTags(body, category);
+
+                const newQA = {
+                    id: generateId('qa_'),
+                    question: question.trim(),
+                    answer: answer || '',
+                    category,
+                    tags: [...new Set(tags)],
+                    folders: this.sanitizeFolderIds(options.folders || [options.folder || 'default']),
+                    favorite: Boolean(options.favorite),
+                    archived: Boolean(options.archived),
+                    rating: options.rating || 0,
+                    views: 0,
+                    score: options.score || Math.floor(Math.random() * 3) + 7, // 7-10
+                    timestamp: Date.now(),
+                    createdAt: Date.now(),
+                    updatedAt: Date.now()
+                };
+
+                if (!answer) {
+                    newQA.answerStatus = 'pending';
+                }
+                if (options.category) {
+                    newQA.categorySource = 'user';
+                }
+                if (variables.length > 0) {
+                    newQA.variables = variables;
+                }
+                if (options.templateId) {
+                    newQA.templateId = options.templateId;
+                    newQA.templateValues = { ...options.templateValues };
+                }
+
+                this.data.qas.unshift(newQA);
+                this.markDirty([newQA.id]);
+                this.emit('promptAdded', newQA);
+
+                // Answers arrive asynchronously; callers get the pending record right away
+                if (!answer) {
+                    this.generateAnswer(newQA.id);
+                }
+
+                return newQA;
+            });
+        }, { created: qa => [qa.id] });
     }
-    return false;
-}
 
-// Move prompts to folder
-moveToFolder(ids, folder) {
-    const movedPrompts = [];
-    ids.forEach(id => {
-        const qa = this.getPrompt(id);
-        if (qa) {
-            qa.folder = folder;
-            qa.updatedAt = Date.now();
-            movedPrompts.push(qa);
+    // Configure the answer provider; the config is stored outside `data` so exports never carry API keys
+    async setAnswerProvider(config) {
+        this.providerConfig = config && config.type && config.type !== 'template' ? { ...config } : null;
+        this.provider = this.providerConfig ? createProvider(this.providerConfig) : null;
+
+        if (this.providerConfig) {
+            await this.storage.set('provider', this.providerConfig);
+        } else {
+            await this.storage.remove('provider');
         }
-    });
 
-    if (movedPrompts.length > 0) {
-        this.markDirty();
-        this.emit('promptsMoved', { prompts: movedPrompts, folder });
+        this.emit('providerChanged', this.providerConfig);
+        return this.provider || this.fallbackProvider;
     }
 
-    return movedPrompts;
-}
+    async loadProviderConfig() {
+        const config = await this.storage.get('provider');
+        if (config) {
+            this.providerConfig = config;
+            this.provider = createProvider(config);
+        }
+    }
+
+    // Remote provider when configured and online, template fallback otherwise
+    getAnswerProvider() {
+        if (!this.provider || navigator.onLine === false) {
+            return this.fallbackProvider;
+        }
+        return this.provider;
+    }
+
+    // Generate an answer for a stored Q&A, streaming chunks into the record. With `index`, the
+    // assistant reply at that position of the thread is generated instead, with the messages
+    // before it as history. Partial text is persisted as it arrives so a reload keeps what was received.
+    async generateAnswer(id, index = null) {
+        const qa = this.getPrompt(id);
+        if (!qa) {
+            throw new Error(`Prompt with id ${id} not found`);
+        }
+
+        const isFollowUp = index !== null;
+        const asked = isFollowUp ? getFollowUps(qa)[index - 1] : null;
+        if (isFollowUp && (asked?.role !== 'user' || getFollowUps(qa)[index]?.role !== 'assistant')) {
+            throw new Error(`No follow-up reply at position ${index} of prompt ${id}`);
+        }
+
+        this.cancelAnswer(id);
+        const controller = new AbortController();
+        this.answerRequests.set(id, controller);
+
+        const provider = this.getAnswerProvider();
+        const patch = fields => isFollowUp ? this.patchFollowUp(id, index, fields) : this.patchAnswer(id, fields);
+        patch({ answer: '', answerStatus: 'pending', answerError: undefined });
 
-// Batch operations
-batchDelete(ids) {
-    const deletedPrompts = [];
-    ids.forEach(id => {
         try {
-            const deleted = this.deletePrompt(id);
-            deletedPrompts.push(deleted);
+            // A template is answered as an example, with its default values filled in
+            const question = isFollowUp ? asked.content
+                : isTemplate(qa) ? templateBody(qa.question, qa.variables) : qa.question;
+            const answer = await provider.generate({
+                question,
+                category: qa.category,
+                history: isFollowUp ? threadHistory(qa, index - 1) : [],
+                signal: controller.signal,
+                onToken: chunk => {
+                    const current = this.getPrompt(id);
+                    const target = isFollowUp ? getFollowUps(current || {})[index] : current;
+                    if (!target || controller.signal.aborted) return;
+                    const key = isFollowUp ? 'content' : 'answer';
+                    target[key] += chunk;
+                    this.markDirty([id]);
+                    this.emit('answerStreaming', { id, index, chunk, answer: target[key] });
+                }
+            });
+
+            if (controller.signal.aborted) {
+                return this.getPrompt(id) || null;
+            }
+
+            const completed = patch({ answer, answerStatus: undefined, answerError: undefined });
+            if (completed) {
+                this.emit('answerCompleted', completed);
+                this.emit('promptUpdated', completed);
+            }
+            return completed;
         } catch (error) {
-            errorHandler.log(error, `Batch delete prompt ${id}`);
+            if (controller.signal.aborted) {
+                return this.getPrompt(id) || null;
+            }
+
+            errorHandler.log(error, `generateAnswer ${provider.name}`);
+            const failed = patch({ answerStatus: 'failed', answerError: error.message });
+            if (failed) {
+                this.emit('answerFailed', { ...failed, answerError: error.message });
+                this.emit('promptUpdated', failed);
+            }
+            return failed;
+        } finally {
+            if (this.answerRequests.get(id) === controller) {
+                this.answerRequests.delete(id);
+            }
+            if (!this.answerRequests.has(id)) {
+                this.settleHistoryAnswers(id);
+            }
         }
-    });
+    }
 
-    this.emit('batchDeleted', deletedPrompts);
-    return deletedPrompts;
-}
+    // Abort an in-flight answer, keeping whatever text has streamed in so far
+    cancelAnswer(id) {
+        const controller = this.answerRequests.get(id);
+        if (!controller) return false;
 
-// Analytics
-getAnalytics() {
-    return performanceMonitor.measure('getAnalytics', () => {
-        const qas = this.data.qas;
-        const totalPrompts = qas.length;
-        const totalViews = qas.reduce((sum, qa) => sum + qa.views, 0);
-        const averageScore = totalPrompts > 0 ? 
-            qas.reduce((sum, qa) => sum + qa.score, 0) / totalPrompts : 0;
-        const averageRating = totalPrompts > 0 ? 
-            qas.reduce((sum, qa) => sum + qa.rating, 0) / totalPrompts : 0;
-
-        // Category distribution
-        const categoryStats = {};
-        qas.forEach(qa => {
-            categoryStats[qa.category] = (categoryStats[qa.category] || 0) + 1;
-        });
+        controller.abort();
+        this.answerRequests.delete(id);
 
-        // Folder distribution
-        const folderStats = {};
-        qas.forEach(qa => {
-            folderStats[qa.folder] = (folderStats[qa.folder] || 0) + 1;
-        });
+        // Only one answer per prompt streams at a time: a pending reply in the thread, or the answer
+        const qa = this.getPrompt(id);
+        const index = qa ? getFollowUps(qa).findIndex(message => message.status === 'pending') : -1;
+        const fields = { answerStatus: 'stopped', answerError: undefined };
+        const stopped = index === -1 ? this.patchAnswer(id, fields) : this.patchFollowUp(id, index, fields);
+        if (stopped) {
+            this.emit('answerStopped', stopped);
+            this.emit('promptUpdated', stopped);
+        }
+        return true;
+    }
 
-        // Top categories by average score
-        const categoryScores = {};
-        qas.forEach(qa => {
-            if (!categoryScores[qa.category]) {
-                categoryScores[qa.category] = { total: 0, count: 0 };
+    // Discard a failed or stopped answer and ask the provider again
+    retryAnswer(id) {
+        return this.generateAnswer(id);
+    }
+
+    isAnswerPending(id) {
+        return this.answerRequests.has(id);
+    }
+
+    // Apply answer-state fields to a record; undefined values remove the field
+    patchAnswer(id, fields) {
+        const qa = this.getPrompt(id);
+        if (!qa) return null;
+
+        Object.entries(fields).forEach(([key, value]) => {
+            if (value === undefined) {
+                delete qa[key];
+            } else {
+                qa[key] = value;
             }
-            categoryScores[qa.category].total += qa.score;
-            categoryScores[qa.category].count++;
         });
+        qa.updatedAt = Date.now();
+        this.markDirty([id]);
+        return qa;
+    }
 
-        const topCategories = Object.entries(categoryScores)
-            .map(([category, stats]) => ({
-                category,
-                averageScore: stats.total / stats.count,
-                count: stats.count
-            }))
-            .sort((a, b) => b.averageScore - a.averageScore);
+    // Apply answer-state fields to a reply in the thread, stored on the message as content, status
+    // and error. Returns the prompt.
+    patchFollowUp(id, index, { answer, answerStatus, answerError }) {
+        const qa = this.getPrompt(id);
+        const message = qa ? getFollowUps(qa)[index] : null;
+        if (!message) return null;
 
-        // Recent activity (last 30 days)
-        const thirtyDaysAgo = Date.now() - (30 * 24 * 60 * 60 * 1000);
-        const recentPrompts = qas.filter(qa => qa.timestamp > thirtyDaysAgo);
+        if (answer !== undefined) message.content = answer;
+        [['status', answerStatus], ['error', answerError]].forEach(([key, value]) => {
+            if (value === undefined) {
+                delete message[key];
+            } else {
+                message[key] = value;
+            }
+        });
+        qa.updatedAt = Date.now();
+        this.markDirty([id]);
+        return qa;
+    }
 
-        return {
-            totalPrompts,
-            totalViews,
-            averageScore: Math.round(averageScore * 10) / 10,
-            averageRating: Math.round(averageRating * 10) / 10,
-            categoryStats,
-            folderStats,
-            topCategories,
-            recentActivity: {
-                count: recentPrompts.length,
-                percentage: totalPrompts > 0 ? (recentPrompts.length / totalPrompts) * 100 : 0
-            },
-            storageSize: storage.size()
-        };
-    });
-}
+    // Ask a follow-up question in a prompt's thread; the reply streams into a new assistant message.
+    // Tags gain any the follow-up brings in, and tags the user already set are kept.
+    addFollowUp(id, question) {
+        const content = String(question || '').trim();
+        if (!content) {
+            throw new Error('Follow-up question cannot be empty');
+        }
+        if (this.isAnswerPending(id)) {
+            throw new Error('Wait for the current answer to finish first');
+        }
 
-// Export data
-exportData() {
-    const exportData = {
-        ...deepClone(this.data),
-        exportedAt: Date.now(),
-        exportVersion: '2.0'
-    };
+        const updated = this.recordHistory('Add follow-up', () => {
+            const qa = this.getPrompt(id);
+            if (!qa) {
+                throw new Error(`Prompt with id ${id} not found`);
+            }
 
-    return JSON.stringify(exportData, null, 2);
-}
+            const now = Date.now();
+            qa.thread = [
+                ...getFollowUps(qa),
+                { role: 'user', content, timestamp: now },
+                { role: 'assistant', content: '', status: 'pending', timestamp: now }
+            ];
+            qa.tags = this.normalizeTags([...qa.tags, ...this.generateTags(threadQuestions(qa), qa.category)]);
+            qa.updatedAt = now;
+            this.markDirty([id]);
+            this.emit('promptUpdated', qa);
+            return qa;
+        }, { ids: [id] });
+
+        this.generateAnswer(id, updated.thread.length - 1);
+        return updated;
+    }
 
-// Import data
-async importData(jsonData, merge = false) {
-    return performanceMonitor.measureAsync('importData', async () => {
-        try {
-            const importedData = JSON.parse(jsonData);
-            const validation = validateQAData(importedData);
+    // Remove a follow-up question, together with its reply
+    removeFollowUp(id, index) {
+        return this.recordHistory('Remove follow-up', () => {
+            const qa = this.getPrompt(id);
+            const message = qa ? getFollowUps(qa)[index] : null;
+            if (!message || message.role !== 'user') {
+                throw new Error(`No follow-up question at position ${index} of prompt ${id}`);
+            }
 
-            if (!validation.isValid) {
-                throw new Error(`Invalid data format: ${validation.errors.join(', ')}`);
+            this.cancelAnswer(id);
+            const reply = getFollowUps(qa)[index + 1];
+            const count = reply && reply.role === 'assistant' ? 2 : 1;
+            qa.thread = getFollowUps(qa).filter((_, position) => position < index || position >= index + count);
+            if (qa.thread.length === 0) {
+                delete qa.thread;
             }
+            qa.updatedAt = Date.now();
+            this.markDirty([id]);
+            this.emit('promptUpdated', qa);
+            return qa;
+        }, { ids: [id] });
+    }
 
-            if (merge) {
-                // Merge imported data with existing data
-                const existingIds = new Set(this.data.qas.map(qa => qa.id));
-                const newQAs = importedData.qas.filter(qa => !existingIds.has(qa.id));
-                
-                this.data.qas.push(...newQAs);
-                this.data.folders = [...new Set([...this.data.folders, ...importedData.folders])];
-            } else {
-                // Replace all data
-                this.data = {
-                    ...this.data,
-                    ...importedData,
-                    metadata: {
-                        ...this.data.metadata,
-                        lastModified: Date.now()
-                    }
+    // Update an existing prompt
+    updatePrompt(id, updates) {
+        return this.recordHistory('Edit prompt', () => {
+            return performanceMonitor.measure('updatePrompt', () => {
+                const index = this.data.qas.findIndex(qa => qa.id === id);
+                if (index === -1) {
+                    throw new Error(`Prompt with id ${id} not found`);
+                }
+
+                const existingQA = this.data.qas[index];
+                const updatedQA = {
+                    ...existingQA,
+                    ...updates,
+                    updatedAt: Date.now()
                 };
-            }
 
-            this.markDirty();
-            await this.saveData(true);
-            this.emit('dataImported', this.data);
+                if (updates.folders) {
+                    updatedQA.folders = this.sanitizeFolderIds(updates.folders);
+                }
+                if (updates.tags) {
+                    updatedQA.tags = this.normalizeTags(updates.tags);
+                }
+                if (updates.category !== undefined) {
+                    this.assertCategory(updates.category);
+                }
+                // Choosing a different category is a label the classifier learns from
+                if (updates.category && updates.category !== existingQA.category) {
+                    updatedQA.categorySource = 'user';
+                }
+
+                // Variable definitions follow the placeholders the question uses
+                if (updates.question !== undefined || updates.variables) {
+                    const variables = syncVariables(updatedQA.question, updates.variables || existingQA.variables);
+                    if (variables.length > 0) {
+                        updatedQA.variables = variables;
+                    } else {
+                        delete updatedQA.variables;
+                    }
+                }
+
+                // Re-categorize if question changed, unless the user chose the category; tags come
+                // from every question in the thread
+                if (updates.question && updates.question !== existingQA.question) {
+                    const body = templateBody(updates.question, updatedQA.variables);
+                    updatedQA.category = updates.category ||
+                        (updatedQA.categorySource === 'user' ? updatedQA.category : this.categorizePrompt(body));
+                    updatedQA.tags = updates.tags ? updatedQA.tags : this.generateTags(
+                        templateBody(threadQuestions(updatedQA), updatedQA.variables),
+                        updatedQA.category
+                    );
+                }
+
+                // Keep what the question, answer, category and tags were before this edit
+                const revision = createRevision(existingQA, updatedQA);
+                if (revision) {
+                    updatedQA.revisions = appendRevision(existingQA.revisions, revision);
+                }
+
+                this.data.qas[index] = updatedQA;
+                this.markDirty([id]);
+                this.emit('promptUpdated', updatedQA);
+
+                return updatedQA;
+            });
+        }, { ids: [id] });
+    }
 
-            return {
-                success: true,
-                imported: merge ? newQAs.length : importedData.qas.length,
-                total: this.data.qas.length
-            };
-        } catch (error) {
-            errorHandler.log(error, 'importData');
-            throw error;
+    // Fill a template's placeholders, using defaults for values left blank.
+    // Returns the filled question and answer with the values used.
+    fillTemplatePrompt(id, values = {}) {
+        const template = this.getPrompt(id);
+        if (!template) {
+            throw new Error(`Prompt with id ${id} not found`);
+        }
+        if (!isTemplate(template)) {
+            throw new Error('This prompt is not a template');
         }
-    });
-}
 
-// Clear all data
-clearData() {
-    this.data = {
-        qas: [],
-        folders: ['all', 'favorites', 'archive', 'default'],
-        categories: [...this.data.categories],
-        settings: { ...this.data.settings },
-        metadata: {
-            version: '2.0',
-            createdAt: Date.now(),
-            lastModified: Date.now()
-        }
-    };
-
-    this.markDirty();
-    this.emit('dataCleared');
-}
+        const variables = syncVariables(template.question, template.variables);
+        const missing = missingValues(variables, values);
+        if (missing.length > 0) {
+            throw new Error(`Fill in a value for ${missing.join(', ')}`);
+        }
 
-// Add sample data for demonstration
-addSampleData() {
-    const sampleQAs = [
-        {
-            question: "How do I implement a binary search algorithm in Python?",
-            answer: "Here's a comprehensive guide to implementing binary search in Python:\n\n**Iterative Approach:**\n```python\ndef binary_search(arr, target):\n    left, right = 0, len(arr) - 1\n    \n    while left <= right:\n        mid = (left + right) // 2\n        \n        if arr[mid] == target:\n            return mid\n        elif arr[mid] < target:\n            left = mid + 1\n        else:\n            right = mid - 1\n    \n    return -1\n```\n\n**Recursive Approach:**\n```python\ndef binary_search_recursive(arr, target, left=0, right=None):\n    if right is None:\n        right = len(arr) - 1\n    \n    if left > right:\n        return -1\n    \n    mid = (left + right) // 2\n    \n    if arr[mid] == target:\n        return mid\n    elif arr[mid] < target:\n        return binary_search_recursive(arr, target, mid + 1, right)\n    else:\n        return binary_search_recursive(arr, target, left, mid - 1)\n```\n\n**Time Complexity:** O(log n)\n**Space Complexity:** O(1) for iterative, O(log n) for recursive\n\n**Key Points:**\n- Array must be sorted\n- Excellent for large datasets\n- Much faster than linear search for sorted data",
-            category: "coding",
-            folder: "default"
-        },
-        {
-            question: "What are the key principles of effective marketing strategy?",
-            answer: "Effective marketing strategy is built on several fundamental principles:\n\n**1. Customer-Centric Approach**\n- Deep understanding of target audience\n- Customer journey mapping\n- Persona development and validation\n\n**2. Clear Value Proposition**\n- Unique selling proposition (USP)\n- Competitive differentiation\n- Benefit-focused messaging\n\n**3. Multi-Channel Integration**\n- Consistent brand experience\n- Channel optimization\n- Cross-platform synergy\n\n**4. Data-Driven Decision Making**\n- Analytics and metrics tracking\n- A/B testing and optimization\n- ROI measurement\n\n**5. Continuous Innovation**\n- Market trend analysis\n- Competitive intelligence\n- Agile strategy adaptation\n\n**Implementation Framework:**\n1. Market research and analysis\n2. Goal setting and KPI definition\n3. Strategy development\n4. Tactical execution\n5. Performance monitoring\n6. Optimization and iteration\n\n**Success Metrics:**\n- Brand awareness and recall\n- Lead generation and conversion\n- Customer acquisition cost (CAC)\n- Customer lifetime value (CLV)\n- Return on marketing investment (ROMI)",
-            category: "marketing",
-            folder: "favorites"
-        },
-        {
-            question: "How can I improve my productivity while working remotely?",
-            answer: "Remote work productivity requires intentional strategies and discipline:\n\n**Environment Setup:**\n• Dedicated workspace with proper ergonomics\n• Minimize distractions and interruptions\n• Optimal lighting and temperature\n• Reliable technology and internet connection\n\n**Time Management:**\n• Establish consistent daily routines\n• Use time-blocking for focused work sessions\n• Implement the Pomodoro Technique (25-min focused work + 5-min breaks)\n• Set clear boundaries between work and personal time\n\n**Communication & Collaboration:**\n• Overcommunicate with team members\n• Use collaborative tools effectively (Slack, Zoom, Asana)\n• Schedule regular check-ins and meetings\n• Be responsive and accessible during work hours\n\n**Health & Wellness:**\n• Take regular breaks and move around\n• Maintain social connections with colleagues\n• Practice stress management techniques\n• Separate work and living spaces when possible\n\n**Productivity Tools:**\n- Task management: Todoist, Notion, Trello\n- Time tracking: RescueTime, Toggl\n- Focus apps: Freedom, Cold Turkey\n- Communication: Slack, Microsoft Teams\n\n**Daily Habits:**\n1. Start with a morning routine\n2. Plan your day the night before\n3. Tackle most important tasks first\n4. Batch similar activities together\n5. End with a shutdown ritual\n\nRemember: Remote work success is about creating systems that work for your specific situation and consistently following them.",
-            category: "productivity",
-            folder: "default"
-        }
-    ];
-
-    sampleQAs.forEach((sample, index) => {
-        const qa = {
-            id: generateId('sample_'),
-            question: sample.question,
-            answer: sample.answer,
-            category: sample.category,
-            tags: this.generateTags(sample.question, sample.category),
-            folder: sample.folder,
-            rating: Math.floor(Math.random() * 3) + 3, // 3-5 stars
-            views: Math.floor(Math.random() * 50) + 10, // 10-60 views
-            score: Math.floor(Math.random() * 3) + 7, // 7-10 score
-            timestamp: Date.now() - (index * 86400000), // Spread over several days
-            createdAt: Date.now() - (index * 86400000),
-            updatedAt: Date.now() - (index * 86400000)
+        const resolved = resolveValues(variables, values);
+        return {
+            question: fillTemplate(template.question, resolved).trim(),
+            answer: fillTemplate(template.answer, resolved),
+            values: resolved
         };
+    }
 
-        this.data.qas.push(qa);
-    });
+    // Save a filled-in template as a prompt of its own, linked back to the template.
+    // Its answer is generated for the filled question.
+    addPromptFromTemplate(id, values = {}) {
+        const template = this.getPrompt(id);
+        const filled = this.fillTemplatePrompt(id, values);
+
+        return this.addPrompt(filled.question, null, {
+            folders: template.folders,
+            templateId: id,
+            templateValues: filled.values,
+            allowDuplicate: true
+        });
+    }
 
-    this.markDirty();
-    this.emit('sampleDataAdded', this.data.qas);
-}
+    // Prompts saved from a template, newest first
+    getTemplateInstances(id) {
+        return this.data.qas.filter(qa => qa.templateId === id);
+    }
 
-// Get current state
-getState() {
-    return {
-        data: deepClone(this.data),
-        isLoading: this.isLoading,
-        isDirty: this.isDirty
-    };
-}
+    // Versions of a prompt, oldest first; the last one is the current record
+    getPromptVersions(id) {
+        const qa = this.getPrompt(id);
+        if (!qa) {
+            throw new Error(`Prompt with id ${id} not found`);
+        }
+        return getVersions(qa);
+    }
 
-// Destroy and cleanup
-destroy() {
-    // Save any pending changes
-    if (this.isDirty) {
-        this.saveData();
+    // Bring back an earlier version. The restore is itself saved as a new revision.
+    restoreRevision(id, index) {
+        return this.recordHistory('Restore version', () => {
+            const version = this.getPromptVersions(id)[index];
+            if (!version) {
+                throw new Error(`Version ${index} of prompt ${id} not found`);
+            }
+            return this.updatePrompt(id, pickRevisionFields(version));
+        }, { ids: [id] });
     }
 
-    // Clear timers
-    clearTimeout(this.autoSaveTimeout);
+    // Move a prompt to the trash. It keeps its folders so restoring puts it back where it was.
+    deletePrompt(id) {
+        return this.recordHistory('Delete prompt', () => {
+            return performanceMonitor.measure('deletePrompt', () => {
+                const index = this.data.qas.findIndex(qa => qa.id === id);
+                if (index === -1) {
+                    throw new Error(`Prompt with id ${id} not found`);
+                }
+
+                this.cancelAnswer(id);
+
+                const deletedQA = this.data.qas.splice(index, 1)[0];
+                deletedQA.deletedAt = Date.now();
+                this.data.trash.unshift(deletedQA);
+                this.markDirty([id]);
+                this.emit('promptDeleted', deletedQA);
+
+                return deletedQA;
+            });
+        }, { ids: [id] });
+    }
 
-    // Clear observers
-    this.observers.clear();
-}
-```
+    // Get a single prompt by ID
+    getPrompt(id) {
+        return this.data.qas.find(qa => qa.id === id);
+    }
+
+    // Trash. Deleted prompts wait in `data.trash` until restored, purged by hand,
+    // or dropped by the retention policy when the app starts.
+    getTrashedPrompt(id) {
+        return this.data.trash.find(qa => qa.id === id);
+    }
+
+    // Folders deleted in the meantime fall back to Default
+    restoreFromTrash(ids) {
+        return this.recordHistory('Restore prompts', () => {
+            const wanted = new Set(ids);
+            const restored = this.data.trash.filter(qa => wanted.has(qa.id));
+            if (restored.length === 0) return [];
+
+            this.data.trash = this.data.trash.filter(qa => !wanted.has(qa.id));
+            restored.forEach(qa => {
+                delete qa.deletedAt;
+                qa.folders = this.sanitizeFolderIds(qa.folders);
+                qa.updatedAt = Date.now();
+            });
+            this.data.qas.push(...restored);
+
+            this.markDirty(restored.map(qa => qa.id));
+            this.emit('promptsRestored', restored);
+            return restored;
+        }, { ids });
+    }
+
+    // Permanently delete prompts from the trash
+    purgeFromTrash(ids) {
+        return this.recordHistory('Delete permanently', () => {
+            const wanted = new Set(ids);
+            const purged = this.data.trash.filter(qa => wanted.has(qa.id));
+            if (purged.length === 0) return [];
+
+            this.data.trash = this.data.trash.filter(qa => !wanted.has(qa.id));
+            this.markDirty();
+            this.emit('promptsPurged', purged);
+            return purged;
+        });
+    }
+
+    emptyTrash() {
+        return this.recordHistory('Empty trash', () => this.purgeFromTrash(this.data.trash.map(qa => qa.id)));
+    }
+
+    // 0 keeps trashed prompts until they are deleted by hand
+    getTrashRetentionDays() {
+        const days = this.data.settings.trashRetentionDays;
+        return Number.isInteger(days) && days >= 0 ? days : DEFAULT_TRASH_RETENTION_DAYS;
+    }
+
+    setTrashRetentionDays(days) {
+        const value = Number(days);
+        if (!Number.isInteger(value) || value < 0) {
+            throw new Error('Retention must be a whole number of days');
+        }
+        return this.updateSettings({ trashRetentionDays: value });
+    }
+
+    // Runs at startup; not recorded in the undo history
+    purgeExpiredTrash(now = Date.now()) {
+        const days = this.getTrashRetentionDays();
+        if (days === 0) return [];
+
+        const cutoff = now - days * DAY_MS;
+        const expired = this.data.trash.filter(qa => qa.deletedAt < cutoff);
+        if (expired.length === 0) return [];
+
+        this.data.trash = this.data.trash.filter(qa => qa.deletedAt >= cutoff);
+        this.markDirty();
+        this.emit('promptsPurged', expired);
+        return expired;
+    }
+
+    // Get filtered and sorted prompts
+    getPrompts(filters = {}) {
+        return performanceMonitor.measure('getPrompts', () => {
+            // Trashed prompts only show up in the Trash view or when asked for
+            const isTrash = filters.folder === TRASH_FOLDER_ID;
+            let filtered = isTrash ? [...this.data.trash] : [...this.data.qas];
+            if (filters.includeTrashed && !isTrash) {
+                filtered.push(...this.data.trash);
+            }
+
+            // Apply filters. Archived prompts only show up in the Archive view.
+            const smartFolder = this.getSmartFolder(filters.folder);
+            if (isTrash) {
+                // The trash lists everything deleted, archived or not
+            } else if (filters.folder === 'archive') {
+                filtered = filtered.filter(qa => qa.archived);
+            } else {
+                filtered = filtered.filter(qa => !qa.archived);
+            }
+
+            if (smartFolder) {
+                filtered = filtered.filter(this.createSmartFolderMatcher(smartFolder.filters));
+            } else if (filters.folder === 'favorites') {
+                filtered = filtered.filter(qa => qa.favorite);
+            } else if (filters.folder && !isTrash && !isVirtualFolder(filters.folder)) {
+                // A folder also shows everything in its subfolders
+                const folderIds = getDescendantIds(this.data.folders, filters.folder);
+                filtered = filtered.filter(qa => qa.folders.some(id => folderIds.has(id)));
+            }
+
+            if (filters.category) {
+                filtered = filtered.filter(qa => qa.category === filters.category);
+            }
+
+            // Full-text search: matches are returned as copies carrying score and highlights
+            if (filters.search && filters.search.trim()) {
+                const matches = this.searchIndex.search(filters.search);
+                filtered = filtered
+                    .filter(qa => matches.has(qa.id))
+                    .map(qa => {
+                        const { score, terms } = matches.get(qa.id);
+                        return {
+                            ...qa,
+                            searchScore: score,
+                            highlights: {
+                                question: highlightTerms(qa.question, terms),
+                                answer: createSnippet([qa.answer, followUpText(qa)].filter(Boolean).join('\n\n'), terms),
+                                tags: qa.tags.filter(tag => tokenize(tag).some(token => terms.has(token)))
+                            }
+                        };
+                    });
+            }
+
+            if (filters.tags && filters.tags.length > 0) {
+                filtered = filtered.filter(qa => filters.tags.every(tag =>
+                    qa.tags.some(qaTag => qaTag.toLowerCase() === tag.toLowerCase())
+                ));
+            }
+
+            if (filters.phrases && filters.phrases.length > 0) {
+                filtered = filtered.filter(qa => {
+                    const text = `${qa.question}\n${qa.answer}\n${followUpText(qa)}\n${qa.tags.join(' ')}`.toLowerCase();
+                    return filters.phrases.every(phrase => text.includes(phrase.toLowerCase()));
+                });
+            }
+
+            if (filters.exclude && filters.exclude.length > 0) {
+                filtered = filtered.filter(qa =>
+                    !filters.exclude.some(term => this.searchIndex.hasTerm(qa.id, term.toLowerCase()))
+                );
+            }
+
+            if (filters.rating) {
+                filtered = filtered.filter(qa => qa.rating >= filters.rating);
+            }
+
+            if (filters.comparisons && filters.comparisons.length > 0) {
+                filtered = filtered.filter(qa => filters.comparisons.every(({ field, op, value }) =>
+                    matchesComparison(qa[field] || 0, op, value)
+                ));
+            }
+
+            if (filters.dateRange) {
+                const { start, end } = filters.dateRange;
+                filtered = filtered.filter(qa => 
+                    qa.timestamp >= start && qa.timestamp <= end
+                );
+            }
+
+            // Apply sorting
+            const sortBy = filters.sortBy || 'newest';
+            filtered.sort((a, b) => {
+                switch (sortBy) {
+                    case 'newest':
+                        return b.timestamp - a.timestamp;
+                    case 'oldest':
+                        return a.timestamp - b.timestamp;
+                    case 'mostViewed':
+                        return b.views - a.views;
+                    case 'rating':
+                        return b.rating - a.rating;
+                    case 'alphabetical':
+                        return a.question.localeCompare(b.question);
+                    case 'relevance':
+                        // Without a search there is no score; fall back to newest first
+                        return ((b.searchScore || 0) - (a.searchScore || 0)) || (b.timestamp - a.timestamp);
+                    default:
+                        return 0;
+                }
+            });
+
+            return filtered;
+        });
+    }
+
+    // Increment view count
+    incrementViews(id) {
+        const qa = this.getPrompt(id);
+        if (qa) {
+            qa.views++;
+            qa.updatedAt = Date.now();
+            this.markDirty([id]);
+            this.emit('viewsIncremented', qa);
+        }
+    }
+
+    // Update rating
+    updateRating(id, rating) {
+        return this.recordHistory('Rate prompt', () => {
+            const qa = this.getPrompt(id);
+            if (qa) {
+                qa.rating = Math.max(0, Math.min(5, rating));
+                qa.updatedAt = Date.now();
+                this.markDirty([id]);
+                this.emit('ratingUpdated', qa);
+            }
+        }, { ids: [id] });
+    }
+
+    // Update view settings (folder, category, sort, search)
+    updateSettings(updates) {
+        this.data.settings = {
+            ...this.data.settings,
+            ...updates
+        };
+        this.markDirty();
+        this.emit('settingsUpdated', this.data.settings);
+        return this.data.settings;
+    }
+
+    // Folder management. Prompts reference folders by id, so renaming or moving
+    // a folder never has to touch the prompts inside it.
+    getFolder(id) {
+        return this.data.folders.find(folder => folder.id === id);
+    }
+
+    getFolderChildren(parentId = null) {
+        return this.data.folders.filter(folder => folder.id !== 'all' && folder.parentId === parentId);
+    }
+
+    // Sibling folders must have distinct names (case-insensitive) and no folder may share a smart folder's name
+    assertFolderName(name, parentId, exceptId = null) {
+        if (!name) {
+            throw new Error('Folder name is required');
+        }
+        if (this.isSmartFolder(name)) {
+            throw new Error(`A smart folder named "${name}" already exists`);
+        }
+        const clash = this.getFolderChildren(parentId).some(folder =>
+            folder.id !== exceptId && folder.name.toLowerCase() === name.toLowerCase()
+        );
+        if (clash) {
+            throw new Error(`A folder named "${name}" already exists here`);
+        }
+    }
+
+    // Resolve a parent id for nesting; "all" and empty values mean the top level
+    resolveParentId(parentId) {
+        if (!parentId || parentId === 'all') return null;
+        if (isVirtualFolder(parentId)) {
+            throw new Error(`"${this.getFolder(parentId).name}" cannot contain folders`);
+        }
+        if (!this.getFolder(parentId)) {
+            throw new Error(`Folder "${parentId}" not found`);
+        }
+        return parentId;
+    }
+
+    addFolder(name, options = {}) {
+        return this.recordHistory('Add folder', () => {
+            name = (name || '').trim();
+            const parentId = this.resolveParentId(options.parentId);
+            try {
+                this.assertFolderName(name, parentId);
+            } catch (error) {
+                return false;
+            }
+
+            const folder = createFolder(name, {
+                parentId,
+                color: this.normalizeFolderColor(options.color),
+                icon: options.icon
+            });
+
+            this.data.folders.push(folder);
+            this.markDirty();
+            this.emit('folderAdded', folder);
+            return folder;
+        });
+    }
+
+    // Change a folder's name, color or icon
+    updateFolder(id, updates = {}) {
+        return this.recordHistory('Edit folder', () => {
+            const folder = this.getFolder(id);
+            if (!folder) {
+                throw new Error(`Folder "${id}" not found`);
+            }
+
+            if (updates.name !== undefined) {
+                const name = updates.name.trim();
+                if (isSystemFolder(id) && name !== folder.name) {
+                    throw new Error('Cannot rename system folders');
+                }
+                this.assertFolderName(name, folder.parentId, id);
+                folder.name = name;
+            }
+            if (updates.color !== undefined) {
+                folder.color = this.normalizeFolderColor(updates.color);
+            }
+            if (updates.icon !== undefined) {
+                folder.icon = FOLDER_ICONS[updates.icon] ? updates.icon : 'folder';
+            }
+
+            folder.updatedAt = Date.now();
+            this.markDirty();
+            this.emit('folderUpdated', folder);
+            return folder;
+        });
+    }
+
+    renameFolder(id, name) {
+        return this.updateFolder(id, { name });
+    }
+
+    // Re-parent a folder; its prompts and subfolders travel with it
+    moveFolder(id, parentId) {
+        return this.recordHistory('Move folder', () => {
+            const folder = this.getFolder(id);
+            if (!folder) {
+                throw new Error(`Folder "${id}" not found`);
+            }
+            if (isSystemFolder(id)) {
+                throw new Error('Cannot move system folders');
+            }
+
+            parentId = this.resolveParentId(parentId);
+            if (parentId && getDescendantIds(this.data.folders, id).has(parentId)) {
+                throw new Error('Cannot move a folder into itself or one of its subfolders');
+            }
+            if (parentId === folder.parentId) return folder;
+
+            this.assertFolderName(folder.name, parentId, id);
+            folder.parentId = parentId;
+            folder.updatedAt = Date.now();
+            this.markDirty();
+            this.emit('folderMoved', folder);
+            return folder;
+        });
+    }
+
+    // Ids of prompts filed in a folder itself (not its subfolders)
+    getFolderMemberIds(id) {
+        return this.data.qas.filter(qa => (qa.folders || []).includes(id)).map(qa => qa.id);
+    }
+
+    // Deleting a folder hands its subfolders, and prompts filed nowhere else, to its parent
+    deleteFolder(id) {
+        return this.recordHistory('Delete folder', () => {
+            if (isSystemFolder(id)) {
+                throw new Error('Cannot delete system folders');
+            }
+            if (this.isSmartFolder(id)) {
+                throw new Error(`"${id}" is a smart folder; use deleteSmartFolder()`);
+            }
+
+            const folder = this.getFolder(id);
+            if (!folder) return false;
+
+            const movedIds = [];
+            this.data.qas.forEach(qa => {
+                if (qa.folders.includes(id)) {
+                    const remaining = qa.folders.filter(folderId => folderId !== id);
+                    qa.folders = remaining.length > 0 ? remaining : [folder.parentId || 'default'];
+                    movedIds.push(qa.id);
+                }
+            });
+            this.data.folders.forEach(child => {
+                if (child.parentId === id) {
+                    child.parentId = folder.parentId;
+                }
+            });
+
+            this.data.folders = this.data.folders.filter(item => item.id !== id);
+            if (this.data.settings.currentFolder === id) {
+                this.data.settings.currentFolder = folder.parentId || 'all';
+            }
+
+            this.markDirty(movedIds);
+            this.emit('folderDeleted', folder);
+            return true;
+        }, { ids: this.getFolderMemberIds(id) });
+    }
+
+    normalizeFolderColor(color) {
+        return /^#[0-9a-f]{6}$/i.test(color || '') ? color.toLowerCase() : null;
+    }
+
+    // Folder membership: a prompt belongs to one or more real folders
+    sanitizeFolderIds(ids = []) {
+        const valid = [...new Set(ids)].filter(id => !isVirtualFolder(id) && this.getFolder(id));
+        return valid.length > 0 ? valid : ['default'];
+    }
+
+    assertFileableFolder(folder) {
+        if (this.isSmartFolder(folder)) {
+            throw new Error(`Cannot move prompts into smart folder "${folder}"`);
+        }
+        if (isVirtualFolder(folder) || !this.getFolder(folder)) {
+            throw new Error(`Cannot file prompts into folder "${folder}"`);
+        }
+    }
+
+    // Replace the prompts' folders with this one
+    moveToFolder(ids, folder) {
+        return this.recordHistory('Move prompts', () => {
+            this.assertFileableFolder(folder);
+            return this.updateMembership(ids, () => [folder], folder);
+        }, { ids });
+    }
+
+    // Add the folder while keeping the prompts in their other folders
+    addToFolder(ids, folder) {
+        return this.recordHistory('Add prompts to folder', () => {
+            this.assertFileableFolder(folder);
+            return this.updateMembership(ids, qa => [...qa.folders, folder], folder);
+        }, { ids });
+    }
+
+    // Prompts left without a folder fall back to default
+    removeFromFolder(ids, folder) {
+        return this.recordHistory('Remove prompts from folder', () => {
+            return this.updateMembership(ids, qa => qa.folders.filter(id => id !== folder), folder);
+        }, { ids });
+    }
+
+    updateMembership(ids, getFolders, folder) {
+        const movedPrompts = [];
+        ids.forEach(id => {
+            const qa = this.getPrompt(id);
+            if (!qa) return;
+
+            const folders = this.sanitizeFolderIds(getFolders(qa));
+            if (folders.join('\n') !== qa.folders.join('\n')) {
+                qa.folders = folders;
+                qa.updatedAt = Date.now();
+                movedPrompts.push(qa);
+            }
+        });
+
+        if (movedPrompts.length > 0) {
+            this.markDirty(movedPrompts.map(qa => qa.id));
+            this.emit('promptsMoved', { prompts: movedPrompts, folder });
+        }
+
+        return movedPrompts;
+    }
+
+    // Favorites and archive are flags, independent of folder membership
+    setFavorite(ids, favorite = true) {
+        return this.recordHistory(favorite ? 'Favorite prompts' : 'Unfavorite prompts', () => {
+            return this.setFlag(ids, 'favorite', favorite);
+        }, { ids });
+    }
+
+    setArchived(ids, archived = true) {
+        return this.recordHistory(archived ? 'Archive prompts' : 'Unarchive prompts', () => {
+            return this.setFlag(ids, 'archived', archived);
+        }, { ids });
+    }
+
+    setFlag(ids, flag, value) {
+        const flaggedPrompts = [];
+        ids.forEach(id => {
+            const qa = this.getPrompt(id);
+            if (qa && qa[flag] !== value) {
+                qa[flag] = value;
+                qa.updatedAt = Date.now();
+                flaggedPrompts.push(qa);
+            }
+        });
+
+        if (flaggedPrompts.length > 0) {
+            this.markDirty(flaggedPrompts.map(qa => qa.id));
+            this.emit('promptsFlagged', { prompts: flaggedPrompts, flag, value });
+        }
+
+        return flaggedPrompts;
+    }
+
+    // Ids of prompts carrying any of the given tags
+    getTaggedIds(tags) {
+        const keys = new Set(tags.map(tag => String(tag).toLowerCase()));
+        return this.data.qas
+            .filter(qa => (qa.tags || []).some(tag => keys.has(tag.toLowerCase())))
+            .map(qa => qa.id);
+    }
+
+    // Tag management. Tags compare case-insensitively; the first spelling seen wins.
+    normalizeTags(tags = []) {
+        const unique = new Map();
+        tags.map(tag => String(tag).trim()).filter(Boolean).forEach(tag => {
+            if (!unique.has(tag.toLowerCase())) {
+                unique.set(tag.toLowerCase(), tag);
+            }
+        });
+        return [...unique.values()];
+    }
+
+    // Usage counts, most used first; optionally limited to one category
+    getTagCounts(category = null) {
+        const counts = new Map();
+        this.data.qas.forEach(qa => {
+            if (category && qa.category !== category) return;
+            qa.tags.forEach(tag => {
+                const entry = counts.get(tag.toLowerCase()) || { tag, count: 0 };
+                entry.count++;
+                counts.set(tag.toLowerCase(), entry);
+            });
+        });
+
+        return [...counts.values()].sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+    }
+
+    // Tags worth offering for a prompt: generated ones first, then popular tags from its category
+    suggestTags(question, category, existing = [], limit = 8) {
+        const present = new Set(existing.map(tag => tag.toLowerCase()));
+        const generated = question ? this.generateTags(templateBody(question), category) : [];
+        const popular = this.getTagCounts(category).map(({ tag }) => tag);
+
+        return this.normalizeTags([...generated, ...popular])
+            .filter(tag => !present.has(tag.toLowerCase()))
+            .slice(0, limit);
+    }
+
+    renameTag(from, to) {
+        return this.recordHistory('Rename tag', () => {
+            return this.mergeTags([from], to);
+        }, { ids: this.getTaggedIds([from]) });
+    }
+
+    // Replace every source tag with the target; smart folders follow along
+    mergeTags(sources, target) {
+        return this.recordHistory('Merge tags', () => {
+            target = (target || '').trim();
+            if (!target) {
+                throw new Error('Tag name is required');
+            }
+
+            const keys = new Set(sources.map(tag => tag.toLowerCase()));
+            const replace = tags => tags.map(tag => keys.has(tag.toLowerCase()) ? target : tag);
+
+            this.data.smartFolders.forEach(({ filters }) => {
+                if (filters.tags) {
+                    filters.tags = this.normalizeTags(replace(filters.tags));
+                }
+            });
+            return this.rewriteTags(replace, { action: 'merge', sources, target });
+        }, { ids: this.getTaggedIds(sources) });
+    }
+
+    deleteTag(tag) {
+        return this.recordHistory('Delete tag', () => {
+            const key = tag.toLowerCase();
+            return this.rewriteTags(tags => tags.filter(item => item.toLowerCase() !== key), { action: 'delete', tag });
+        }, { ids: this.getTaggedIds([tag]) });
+    }
+
+    // Apply a tag transform to every prompt and report the ones that changed
+    rewriteTags(transform, details) {
+        const changedPrompts = [];
+        this.data.qas.forEach(qa => {
+            const tags = this.normalizeTags(transform(qa.tags));
+            if (tags.join('\n') !== qa.tags.join('\n')) {
+                qa.tags = tags;
+                qa.updatedAt = Date.now();
+                changedPrompts.push(qa);
+            }
+        });
+
+        this.markDirty(changedPrompts.map(qa => qa.id));
+        this.emit('tagsUpdated', { prompts: changedPrompts, ...details });
+        return changedPrompts;
+    }
+
+    // Categories: records with a color, icon and the rules prompts are sorted by
+    getCategory(id) {
+        return this.data.categories.find(category => category.id === id) || null;
+    }
+
+    getCategoryIds() {
+        return this.data.categories.map(category => category.id);
+    }
+
+    // Prompt counts per category id; trashed prompts are not counted
+    getCategoryCounts() {
+        const counts = Object.fromEntries(this.getCategoryIds().map(id => [id, 0]));
+        this.data.qas.forEach(qa => {
+            counts[qa.category] = (counts[qa.category] || 0) + 1;
+        });
+        return counts;
+    }
+
+    // Prompts may only point at categories that exist
+    assertCategory(id) {
+        if (!this.getCategory(id)) {
+            throw new Error(`Category "${id}" not found`);
+        }
+    }
+
+    assertCategoryName(name, exceptId = null) {
+        if (!name) {
+            throw new Error('Category name is required');
+        }
+        if (this.data.categories.some(category => category.id !== exceptId && category.name.toLowerCase() === name.toLowerCase())) {
+            throw new Error(`A category named "${name}" already exists`);
+        }
+    }
+
+    // options: { color, icon, keywords, patterns }. The id is derived from the name and never changes.
+    addCategory(name, options = {}) {
+        return this.recordHistory('Add category', () => {
+            name = (name || '').trim();
+            this.assertCategoryName(name);
+
+            const base = categoryId(name) || 'category';
+            let id = base;
+            for (let suffix = 2; this.getCategory(id); suffix++) {
+                id = `${base}-${suffix}`;
+            }
+
+            const category = createCategory(name, { ...options, id });
+            this.data.categories.push(category);
+            this.markDirty();
+            this.emit('categoryAdded', category);
+            return category;
+        });
+    }
+
+    // Change a category's name, color, icon, keywords or patterns. Everything is checked before
+    // anything changes, so an invalid pattern leaves the category as it was.
+    updateCategory(id, updates = {}) {
+        return this.recordHistory('Edit category', () => {
+            const category = this.getCategory(id);
+            if (!category) {
+                throw new Error(`Category "${id}" not found`);
+            }
+
+            const changes = {};
+            if (updates.name !== undefined) {
+                changes.name = updates.name.trim();
+                this.assertCategoryName(changes.name, id);
+            }
+            if (updates.color !== undefined) {
+                changes.color = normalizeCategoryColor(updates.color);
+            }
+            if (updates.icon !== undefined) {
+                changes.icon = String(updates.icon || '').trim();
+            }
+            if (updates.keywords !== undefined) {
+                changes.keywords = normalizeKeywords(updates.keywords);
+            }
+            if (updates.patterns !== undefined) {
+                changes.patterns = normalizePatterns(updates.patterns);
+            }
+
+            Object.assign(category, changes, { updatedAt: Date.now() });
+            this.markDirty();
+            this.emit('categoryUpdated', category);
+            return category;
+        });
+    }
+
+    // Deleting a category moves its prompts, trashed ones included, to "general"; smart folders
+    // that filtered on it stop doing so
+    deleteCategory(id) {
+        return this.recordHistory('Delete category', () => {
+            if (id === DEFAULT_CATEGORY_ID) {
+                throw new Error('Cannot delete the General category');
+            }
+            const category = this.getCategory(id);
+            if (!category) return false;
+
+            const moved = [...this.data.qas, ...this.data.trash].filter(qa => qa.category === id);
+            moved.forEach(qa => {
+                qa.category = DEFAULT_CATEGORY_ID;
+                delete qa.categorySource;
+            });
+            this.data.smartFolders.forEach(({ filters }) => {
+                if (filters.category === id) {
+                    delete filters.category;
+                }
+            });
+
+            this.data.categories = this.data.categories.filter(item => item.id !== id);
+            if (this.data.settings.currentCategory === id) {
+                this.data.settings.currentCategory = '';
+            }
+
+            this.needsFullSave = true;
+            this.markDirty();
+            this.emit('categoryDeleted', { category, moved });
+            return true;
+        }, { all: true });
+    }
+
+    // What re-running classification over the library would change, as
+    // [{ id, question, from, to, confidence, confident, suggestions }]. Below the CONFIDENT
+    // threshold `suggestions` holds the top candidates to choose from rather than one answer.
+    // Prompts with no known words are left out, and prompts whose category the user chose keep it
+    // unless `includeLabelled` is set.
+    planRecategorization({ includeLabelled = false } = {}) {
+        return performanceMonitor.measure('planRecategorization', () => this.data.qas
+            .filter(qa => includeLabelled || qa.categorySource !== 'user')
+            .map(qa => {
+                const suggestions = this.suggestCategories(templateBody(qa.question, qa.variables));
+                const [best] = suggestions;
+                return best && {
+                    id: qa.id,
+                    question: qa.question,
+                    from: qa.category,
+                    to: best.category,
+                    confidence: best.confidence,
+                    confident: best.confidence >= CONFIDENT,
+                    suggestions
+                };
+            })
+            .filter(change => change && change.from !== change.to));
+    }
+
+    // Apply changes from planRecategorization in one undoable step. The new categories are the
+    // classifier's, so the prompts no longer count as labelled by the user.
+    applyRecategorization(changes) {
+        return this.recordHistory('Recategorize prompts', () => {
+            const prompts = [];
+            changes.forEach(({ id, to }) => {
+                const qa = this.getPrompt(id);
+                if (!qa || !this.getCategory(to)) return;
+
+                qa.category = to;
+                delete qa.categorySource;
+                qa.updatedAt = Date.now();
+                prompts.push(qa);
+            });
+
+            this.markDirty(prompts.map(qa => qa.id));
+            this.emit('promptsRecategorized', prompts);
+            return prompts;
+        }, { ids: changes.map(change => change.id) });
+    }
+
+    // Smart folders: saved filter definitions evaluated live by getPrompts
+    getSmartFolder(name) {
+        return this.data.smartFolders.find(folder => folder.name === name);
+    }
+
+    isSmartFolder(name) {
+        return Boolean(this.getSmartFolder(name));
+    }
+
+    addSmartFolder(name, filters = {}) {
+        return this.recordHistory('Add smart folder', () => {
+            name = (name || '').trim();
+            if (!name) {
+                throw new Error('Smart folder name is required');
+            }
+            if (this.data.folders.some(folder => folder.id === name || folder.name === name) || this.isSmartFolder(name)) {
+                throw new Error(`A folder named "${name}" already exists`);
+            }
+            if (name === TRASH_FOLDER_ID) {
+                throw new Error(`"${name}" is reserved for the Trash`);
+            }
+
+            const smartFolder = {
+                name,
+                filters: this.normalizeSmartFilters(filters),
+                createdAt: Date.now()
+            };
+
+            this.data.smartFolders.push(smartFolder);
+            this.markDirty();
+            this.emit('smartFolderAdded', smartFolder);
+            return smartFolder;
+        });
+    }
+
+    updateSmartFolder(name, filters) {
+        return this.recordHistory('Edit smart folder', () => {
+            const smartFolder = this.getSmartFolder(name);
+            if (!smartFolder) {
+                throw new Error(`Smart folder "${name}" not found`);
+            }
+
+            smartFolder.filters = this.normalizeSmartFilters(filters);
+            smartFolder.updatedAt = Date.now();
+            this.markDirty();
+            this.emit('smartFolderUpdated', smartFolder);
+            return smartFolder;
+        });
+    }
+
+    deleteSmartFolder(name) {
+        return this.recordHistory('Delete smart folder', () => {
+            const index = this.data.smartFolders.findIndex(folder => folder.name === name);
+            if (index === -1) return false;
+
+            const [deleted] = this.data.smartFolders.splice(index, 1);
+            if (this.data.settings.currentFolder === name) {
+                this.data.settings.currentFolder = 'all';
+            }
+
+            this.markDirty();
+            this.emit('smartFolderDeleted', deleted);
+            return true;
+        });
+    }
+
+    // Keep only the supported filter fields, in a JSON-safe shape
+    normalizeSmartFilters(filters = {}) {
+        const normalized = {};
+
+        if (filters.category) normalized.category = filters.category;
+        if (filters.search && filters.search.trim()) normalized.search = filters.search.trim();
+
+        const tags = (filters.tags || []).map(tag => tag.trim()).filter(Boolean);
+        if (tags.length > 0) normalized.tags = [...new Set(tags)];
+
+        const rating = Number(filters.rating);
+        if (rating > 0) normalized.rating = Math.min(5, rating);
+
+        const { start = null, end = null } = filters.dateRange || {};
+        if (start !== null || end !== null) {
+            normalized.dateRange = { start, end };
+        }
+
+        return normalized;
+    }
+
+    // Predicate for a smart folder definition; every present field must match
+    createSmartFolderMatcher(filters = {}) {
+        const matches = filters.search ? this.searchIndex.search(filters.search) : null;
+        const tags = (filters.tags || []).map(tag => tag.toLowerCase());
+        const start = filters.dateRange?.start ?? -Infinity;
+        const end = filters.dateRange?.end ?? Infinity;
+
+        return qa =>
+            (!filters.category || qa.category === filters.category) &&
+            tags.every(tag => qa.tags.some(qaTag => qaTag.toLowerCase() === tag)) &&
+            (!filters.rating || qa.rating >= filters.rating) &&
+            qa.timestamp >= start && qa.timestamp <= end &&
+            (!matches || matches.has(qa.id));
+    }
+
+    // Prompt counts per folder id (subfolders included) and per smart folder name, matching getPrompts
+    getFolderCounts() {
+        const active = this.data.qas.filter(qa => !qa.archived);
+        const counts = {
+            all: active.length,
+            favorites: active.filter(qa => qa.favorite).length,
+            archive: this.data.qas.length - active.length,
+            [TRASH_FOLDER_ID]: this.data.trash.length
+        };
+
+        this.data.folders.forEach(folder => {
+            if (isVirtualFolder(folder.id)) return;
+            const folderIds = getDescendantIds(this.data.folders, folder.id);
+            counts[folder.id] = active.filter(qa => qa.folders.some(id => folderIds.has(id))).length;
+        });
+        this.data.smartFolders.forEach(({ name, filters }) => {
+            counts[name] = active.filter(this.createSmartFolderMatcher(filters)).length;
+        });
+
+        return counts;
+    }
+
+    // Batch operations
+    batchDelete(ids) {
+        return this.recordHistory('Delete prompts', () => {
+            const deletedPrompts = [];
+            ids.forEach(id => {
+                try {
+                    const deleted = this.deletePrompt(id);
+                    deletedPrompts.push(deleted);
+                } catch (error) {
+                    errorHandler.log(error, `Batch delete prompt ${id}`);
+                }
+            });
+
+            this.emit('batchDeleted', deletedPrompts);
+            return deletedPrompts;
+        }, { ids });
+    }
+
+    // Duplicate detection. Matches are [{ qa, score }] with a similarity between 0 and 1.
+    findSimilarPrompts(question, { excludeId = null, threshold, limit } = {}) {
+        const candidates = this.data.qas.filter(qa => qa.id !== excludeId);
+        return findSimilar(question, candidates, { threshold, limit });
+    }
+
+    findDuplicateClusters(options = {}) {
+        return performanceMonitor.measure('findDuplicateClusters', () => clusterDuplicates(this.data.qas, options));
+    }
+
+    // Merge each group's duplicates into the prompt it keeps: tags and folders are combined, the
+    // higher rating is kept and views are summed. The duplicates go to the trash.
+    // groups: [{ keepId, ids }] where ids are the duplicates to fold into keepId.
+    mergeDuplicates(groups) {
+        const allIds = groups.flatMap(({ keepId, ids }) => [keepId, ...ids]);
+
+        return this.recordHistory('Merge duplicates', () => {
+            const merged = groups.map(({ keepId, ids }) => {
+                const kept = this.getPrompt(keepId);
+                const duplicates = ids.filter(id => id !== keepId).map(id => this.getPrompt(id)).filter(Boolean);
+                if (!kept) {
+                    throw new Error(`Prompt with id ${keepId} not found`);
+                }
+
+                const all = [kept, ...duplicates];
+                this.updatePrompt(keepId, {
+                    tags: all.flatMap(qa => qa.tags || []),
+                    folders: [...new Set(all.flatMap(qa => qa.folders))],
+                    rating: Math.max(...all.map(qa => qa.rating || 0)),
+                    views: all.reduce((sum, qa) => sum + (qa.views || 0), 0),
+                    favorite: all.some(qa => qa.favorite)
+                });
+                duplicates.forEach(qa => this.deletePrompt(qa.id));
+
+                return { kept: this.getPrompt(keepId), removed: duplicates.map(qa => qa.id) };
+            });
+
+            this.emit('duplicatesMerged', merged);
+            return merged;
+        }, { ids: allIds });
+    }
+
+    // Analytics cover live prompts; pass includeTrashed to count the trash as well
+    getAnalytics({ includeTrashed = false } = {}) {
+        return performanceMonitor.measure('getAnalytics', () => {
+            const qas = includeTrashed ? [...this.data.qas, ...this.data.trash] : this.data.qas;
+            const totalPrompts = qas.length;
+            const totalViews = qas.reduce((sum, qa) => sum + qa.views, 0);
+            const averageScore = totalPrompts > 0 ? 
+                qas.reduce((sum, qa) => sum + qa.score, 0) / totalPrompts : 0;
+            const averageRating = totalPrompts > 0 ? 
+                qas.reduce((sum, qa) => sum + qa.rating, 0) / totalPrompts : 0;
+
+            // Category distribution
+            const categoryStats = {};
+            qas.forEach(qa => {
+                categoryStats[qa.category] = (categoryStats[qa.category] || 0) + 1;
+            });
+
+            // Folder distribution; a prompt counts once for every folder it belongs to
+            const folderStats = {};
+            qas.forEach(qa => {
+                qa.folders.forEach(id => {
+                    folderStats[id] = (folderStats[id] || 0) + 1;
+                });
+            });
+            folderStats.favorites = qas.filter(qa => qa.favorite).length;
+            folderStats.archive = qas.filter(qa => qa.archived).length;
+
+            // Top categories by average score
+            const categoryScores = {};
+            qas.forEach(qa => {
+                if (!categoryScores[qa.category]) {
+                    categoryScores[qa.category] = { total: 0, count: 0 };
+                }
+                categoryScores[qa.category].total += qa.score;
+                categoryScores[qa.category].count++;
+            });
+
+            const topCategories = Object.entries(categoryScores)
+                .map(([category, stats]) => ({
+                    category,
+                    averageScore: stats.total / stats.count,
+                    count: stats.count
+                }))
+                .sort((a, b) => b.averageScore - a.averageScore);
+
+            // Recent activity (last 30 days)
+            const thirtyDaysAgo = Date.now() - (30 * 24 * 60 * 60 * 1000);
+            const recentPrompts = qas.filter(qa => qa.timestamp > thirtyDaysAgo);
+
+            return {
+                totalPrompts,
+                totalViews,
+                averageScore: Math.round(averageScore * 10) / 10,
+                averageRating: Math.round(averageRating * 10) / 10,
+                categoryStats,
+                folderStats,
+                topCategories,
+                recentActivity: {
+                    count: recentPrompts.length,
+                    percentage: totalPrompts > 0 ? (recentPrompts.length / totalPrompts) * 100 : 0
+                },
+                trashedPrompts: this.data.trash.length,
+                storageSize: this.storage.size()
+            };
+        });
+    }
+
+    // Export data; the trash is left out unless includeTrashed is set
+    exportData({ includeTrashed = false } = {}) {
+        const { trash, ...data } = deepClone(this.data);
+        const exportData = {
+            ...data,
+            ...(includeTrashed ? { trash } : {}),
+            exportedAt: Date.now(),
+            exportVersion: SCHEMA_VERSION
+        };
+
+        return JSON.stringify(exportData, null, 2);
+    }
+
+    // Parse, migrate, repair and validate import JSON without changing any data
+    prepareImport(jsonData) {
+        const importedData = JSON.parse(jsonData);
+        const migration = migrateData(importedData);
+        const repair = repairQAData(importedData, { categories: this.getCategoryIds() });
+        const validation = validateQAData(importedData);
+
+        if (!validation.isValid) {
+            throw new Error(`Invalid data format: ${validation.errors.join(', ')}`);
+        }
+
+        return { importedData, migration, repair };
+    }
+
+    // Import data. A merge applies the default plan from planImport; use planImport and
+    // applyImportPlan directly to choose what happens to each prompt first.
+    async importData(jsonData, merge = false) {
+        return performanceMonitor.measureAsync('importData', async () => {
+            try {
+                if (merge) {
+                    return await this.applyImportPlan(this.planImport(jsonData));
+                }
+
+                const { importedData, migration, repair } = this.prepareImport(jsonData);
+                this.recordHistory('Import', () => {
+                    // Replace all data. The trash is kept unless the file brings its own.
+                    const importedIds = new Set(importedData.qas.map(qa => qa.id));
+                    this.data = {
+                        ...this.data,
+                        trash: this.data.trash.filter(qa => !importedIds.has(qa.id)),
+                        ...importedData,
+                        quarantine: [...this.getQuarantine(), ...(importedData.quarantine || [])],
+                        metadata: {
+                            ...this.data.metadata,
+                            lastModified: Date.now()
+                        }
+                    };
+                }, { all: true });
+
+                this.applyRepair(repair);
+                this.markDirty();
+                await this.saveData(true);
+                this.emit('dataImported', this.data);
+
+                return {
+                    success: true,
+                    imported: importedData.qas.length,
+                    total: this.data.qas.length,
+                    migration,
+                    repair
+                };
+            } catch (error) {
+                errorHandler.log(error, 'importData');
+                throw error;
+            }
+        });
+    }
+
+    // Classify every imported prompt against the library as new, identical, newer, older or
+    // conflicting. Prompts sitting in the trash count as existing. Nothing is changed until the
+    // returned plan is passed to applyImportPlan; each entry's `action` can be changed first.
+    planImport(jsonData) {
+        const prepared = this.prepareImport(jsonData);
+        const { importedData } = prepared;
+        const { folderIds } = mergeFolders(this.data.folders, importedData.folders);
+        const { categoryIds } = mergeCategories(this.data.categories, importedData.categories);
+
+        // Compare folder membership and categories in terms of local ids
+        importedData.qas.forEach(qa => {
+            qa.folders = qa.folders.map(id => folderIds.get(id) || id);
+            qa.category = categoryIds.get(qa.category) || qa.category;
+        });
+
+        const entries = planMerge([...this.data.qas, ...this.data.trash], importedData.qas);
+        return { ...prepared, entries, counts: countStatuses(entries) };
+    }
+
+    // Apply a merge plan in a single undoable step. Every entry's action must be one its status allows.
+    async applyImportPlan(plan) {
+        const { importedData, entries, migration, repair } = plan;
+        entries.forEach(entry => {
+            if (!MERGE_STATUSES[entry.status].actions.includes(entry.action)) {
+                throw new Error(`Cannot ${entry.action} a prompt that is ${entry.status}`);
+            }
+        });
+
+        const summary = { added: 0, updated: 0, copied: 0, kept: 0 };
+        this.recordHistory('Merge import', () => {
+            const { folders } = mergeFolders(this.data.folders, importedData.folders);
+            const { categories } = mergeCategories(this.data.categories, importedData.categories);
+            const replacements = new Map();
+            const added = [];
+
+            entries.forEach(({ id, action, local, incoming }) => {
+                if (action === 'add') {
+                    added.push(incoming);
+                    summary.added++;
+                } else if (action === 'incoming') {
+                    replacements.set(id, mergeRecord(local, incoming));
+                    summary.updated++;
+                } else if (action === 'both') {
+                    added.push({ ...incoming, id: generateId('qa_') });
+                    summary.copied++;
+                } else {
+                    summary.kept++;
+                }
+            });
+
+            // A replaced prompt that was in the trash comes back with the incoming content
+            const restored = this.data.trash.filter(qa => replacements.has(qa.id)).map(qa => {
+                const { deletedAt, ...replacement } = replacements.get(qa.id);
+                return replacement;
+            });
+            replacements.forEach((replacement, id) => this.cancelAnswer(id));
+
+            const smartFolders = [
+                ...this.data.smartFolders,
+                ...(importedData.smartFolders || []).filter(folder => !this.isSmartFolder(folder.name) &&
+                    !folders.some(item => item.id === folder.name || item.name === folder.name))
+            ];
+
+            this.data = {
+                ...this.data,
+                qas: [
+                    ...this.data.qas.map(qa => replacements.get(qa.id) || qa),
+                    ...restored,
+                    ...added
+                ],
+                trash: this.data.trash.filter(qa => !replacements.has(qa.id)),
+                folders,
+                smartFolders,
+                categories
+            };
+        }, { all: true });
+
+        this.applyRepair(repair);
+        this.markDirty();
+        await this.saveData(true);
+        this.emit('dataImported', this.data);
+
+        return {
+            success: true,
+            imported: summary.added + summary.updated + summary.copied,
+            ...summary,
+            counts: countStatuses(entries),
+            total: this.data.qas.length,
+            migration,
+            repair
+        };
+    }
+
+    // Export every prompt as a zip of Markdown files, one directory per folder
+    exportMarkdown() {
+        return createZip(exportMarkdownFiles(this.data.qas, this.data.folders));
+    }
+
+    // Code snippets, in library order: [{ id, qaId, index, language, code, message }]
+    getSnippets({ language = null, search = '' } = {}) {
+        const position = new Map(this.data.qas.map((qa, index) => [qa.id, index]));
+        return this.snippetIndex.find({ language, search })
+            .sort((a, b) => position.get(a.qaId) - position.get(b.qaId) || a.index - b.index);
+    }
+
+    getSnippetLanguages() {
+        return this.snippetIndex.getLanguages();
+    }
+
+    getSnippet(id) {
+        return this.snippetIndex.get(id);
+    }
+
+    // Zip of snippet files for one language, or of every snippet in a directory per language
+    exportSnippets(language = null) {
+        const snippets = this.getSnippets({ language });
+        if (snippets.length === 0) {
+            throw new Error(language ? `No ${language} snippets to export` : 'No snippets to export');
+        }
+
+        const files = exportSnippetFiles(snippets, id => this.getPrompt(id)?.question, { byLanguage: !language });
+        return createZip(files);
+    }
+
+    // Import Markdown files ([{ name, content }]) by merging them like a JSON import.
+    // Files that cannot be read are skipped and returned in `skipped`.
+    async importMarkdown(files) {
+        const { data, errors } = importMarkdownFiles(files);
+        if (data.qas.length === 0) {
+            throw new Error(errors.length > 0 ? `No readable prompts (${errors[0].name}: ${errors[0].message})` : 'No Markdown files found');
+        }
+
+        const result = await this.importData(JSON.stringify(data), true);
+        return { ...result, skipped: errors };
+    }
+
+    // Import a ChatGPT or Claude conversation export, one prompt per question/answer exchange.
+    // Exchanges whose question and answer are already in the library (or the trash) are skipped.
+    async importConversations(data) {
+        const { format, conversations, exchanges } = parseConversations(data);
+        const normalize = text => text.toLowerCase().replace(/\s+/g, ' ').trim();
+        const exchangeKey = qa => `${normalize(qa.question)}\n${normalize(qa.answer)}`;
+        const seen = new Set([...this.data.qas, ...this.data.trash].map(exchangeKey));
+
+        const qas = [];
+        exchanges.forEach(({ question, answer, conversation }) => {
+            const key = exchangeKey({ question, answer });
+            if (seen.has(key)) return;
+            seen.add(key);
+
+            const category = this.categorizePrompt(question);
+            const createdAt = conversation.askedAt || Date.now();
+            qas.push({
+                id: generateId('qa_'),
+                question,
+                answer,
+                category,
+                tags: this.generateTags(question, category),
+                folders: ['default'],
+                favorite: false,
+                archived: false,
+                rating: 0,
+                views: 0,
+                score: Math.floor(Math.random() * 3) + 7, // 7-10
+                timestamp: createdAt,
+                createdAt,
+                updatedAt: conversation.answeredAt || createdAt,
+                conversation
+            });
+        });
+
+        const summary = {
+            format,
+            formatName: CONVERSATION_FORMATS[format].name,
+            conversations,
+            exchanges: exchanges.length,
+            duplicates: exchanges.length - qas.length
+        };
+        if (qas.length === 0) {
+            return { ...summary, success: true, imported: 0, total: this.data.qas.length };
+        }
+
+        const payload = { qas, folders: createDefaultFolders(), metadata: { version: SCHEMA_VERSION } };
+        const result = await this.importData(JSON.stringify(payload), true);
+        return { ...result, ...summary };
+    }
+
+    // Export the prompts matching `filters` (the current view) as CSV or, with a tab delimiter, TSV
+    exportDelimited(filters = {}, delimiter = ',') {
+        return promptsToDelimited(this.getPrompts(filters), this.data.folders, delimiter);
+    }
+
+    // Turn spreadsheet rows into prompts using `mapping` (one field name or null per column) and
+    // validate each one. `firstRow` is the spreadsheet row number of rows[0], used in errors.
+    // A row whose id is already in the library updates that prompt: non-empty cells replace its
+    // fields and everything else is kept, so re-importing an export changes nothing.
+    // Returns { data, records: [{ row, qa, errors }], valid } where data holds only the valid prompts.
+    planDelimitedImport(rows, mapping, { firstRow = 1 } = {}) {
+        const folders = createDefaultFolders();
+        const getFolderId = createFolderPathResolver(folders);
+        const now = Date.now();
+        const library = new Map([...this.data.qas, ...this.data.trash].map(qa => [qa.id, qa]));
+
+        const records = rows.map((cells, index) => {
+            const row = firstRow + index;
+            const values = readMappedRow(cells, mapping);
+            const existing = library.get(values.id) || null;
+            const errors = [];
+            const question = values.question || '';
+            const answer = values.answer || (existing ? existing.answer : '');
+
+            let category = values.category
+                ? this.data.categories.find(({ id, name }) => [id, name.toLowerCase()].includes(values.category.toLowerCase()))?.id
+                : existing ? existing.category : this.categorizePrompt(question);
+            if (!category) {
+                errors.push(`Row ${row}: unknown category "${values.category}"`);
+                category = values.category;
+            }
+
+            const rating = values.rating ? Number(values.rating) : existing ? existing.rating : 0;
+            if (!Number.isFinite(rating) || rating < 0 || rating > 5) {
+                errors.push(`Row ${row}: rating must be a number between 0 and 5`);
+            }
+
+            // Folder paths resolve to this import's folder records, which merging maps back to local ids.
+            // Exports leave out the Default folder, so paths matching a prompt's other folders keep it as is.
+            const paths = splitFolders(values.folder);
+            const localFolders = existing ? existing.folders.map(id => getFolderId(getFolderPathName(this.data.folders, id))) : [];
+            const rowFolders = (paths.length > 0 ? paths : ['']).map(getFolderId);
+            const keepFolders = existing && (paths.length === 0 ||
+                rowFolders.join() === localFolders.filter(id => id !== 'default').join());
+            const folderIds = keepFolders ? localFolders : rowFolders;
+
+            const fields = {
+                question,
+                answer,
+                category,
+                tags: values.tags ? splitTags(values.tags) : existing ? [...existing.tags] : this.generateTags(question, category || 'general'),
+                folders: [...new Set(folderIds)],
+                rating: Number.isFinite(rating) ? Math.round(rating) : 0
+            };
+            const qa = existing ? { ...deepClone(existing), ...fields } : {
+                id: values.id || generateId('qa_'),
+                ...fields,
+                favorite: false,
+                archived: false,
+                views: 0,
+                score: Math.floor(Math.random() * 3) + 7, // 7-10
+                timestamp: now,
+                createdAt: now,
+                updatedAt: now
+            };
+            if (existing) {
+                const localFields = { ...existing, folders: localFolders };
+                const changed = Object.keys(fields).some(key => JSON.stringify(fields[key]) !== JSON.stringify(localFields[key]));
+                qa.updatedAt = changed ? now : existing.updatedAt;
+                delete qa.deletedAt;
+
+                // The row was edited from the local copy, so merging sees it as the newer one
+                const revision = createRevision(existing, qa);
+                if (revision) {
+                    qa.revisions = appendRevision(existing.revisions, revision);
+                }
+            }
+            // A category given in the file is the user's own label, unless it is the one the prompt already had
+            if (values.category && (!existing || category !== existing.category)) {
+                qa.categorySource = 'user';
+            }
+            // Rows without an answer are kept so the answer can be generated later
+            if (!answer && !existing) {
+                qa.answerStatus = 'failed';
+                qa.answerError = 'Imported without an answer';
+            }
+
+            const validation = validateQAData({ qas: [qa] });
+            errors.push(...validation.errors.map(error => error.replace(/^QA 0:/, `Row ${row}:`)));
+
+            return { row, qa, errors: [...new Set(errors)] };
+        });
+
+        const qas = records.filter(record => record.errors.length === 0).map(record => record.qa);
+        return {
+            data: { qas, folders, metadata: { version: SCHEMA_VERSION } },
+            records,
+            valid: qas.length
+        };
+    }
+
+    // Import the rows that pass validation, merged like a JSON import
+    async importDelimited(rows, mapping, options = {}) {
+        if (!mapping.includes('question')) {
+            throw new Error('Map a column to Question');
+        }
+
+        const plan = this.planDelimitedImport(rows, mapping, options);
+        if (plan.valid === 0) {
+            throw new Error('No valid rows to import');
+        }
+
+        const result = await this.importData(JSON.stringify(plan.data), true);
+        return { ...result, skipped: plan.records.length - plan.valid };
+    }
+
+    // Clear all data
+    clearData() {
+        return this.recordHistory('Clear all data', () => {
+            this.data = {
+                qas: [],
+                trash: [],
+                folders: createDefaultFolders(),
+                smartFolders: [],
+                quarantine: [],
+                categories: deepClone(this.data.categories),
+                settings: { ...this.data.settings },
+                metadata: {
+                    version: SCHEMA_VERSION,
+                    createdAt: Date.now(),
+                    lastModified: Date.now()
+                }
+            };
+
+            this.needsFullSave = true;
+            this.markDirty();
+            this.emit('dataCleared');
+        }, { all: true });
+    }
+
+    // Add sample data for demonstration
+    addSampleData() {
+        const sampleQAs = [
+            {
+                question: "How do I implement a binary search algorithm in Python?",
+                answer: "Here's a comprehensive guide to implementing binary search in Python:\n\n**Iterative Approach:**\n```python\ndef binary_search(arr, target):\n    left, right = 0, len(arr) - 1\n    \n    while left <= right:\n        mid = (left + right) // 2\n        \n        if arr[mid] == target:\n            return mid\n        elif arr[mid] < target:\n            left = mid + 1\n        else:\n            right = mid - 1\n    \n    return -1\n```\n\n**Recursive Approach:**\n```python\ndef binary_search_recursive(arr, target, left=0, right=None):\n    if right is None:\n        right = len(arr) - 1\n    \n    if left > right:\n        return -1\n    \n    mid = (left + right) // 2\n    \n    if arr[mid] == target:\n        return mid\n    elif arr[mid] < target:\n        return binary_search_recursive(arr, target, mid + 1, right)\n    else:\n        return binary_search_recursive(arr, target, left, mid - 1)\n```\n\n**Time Complexity:** O(log n)\n**Space Complexity:** O(1) for iterative, O(log n) for recursive\n\n**Key Points:**\n- Array must be sorted\n- Excellent for large datasets\n- Much faster than linear search for sorted data",
+                category: "coding"
+            },
+            {
+                question: "What are the key principles of effective marketing strategy?",
+                answer: "Effective marketing strategy is built on several fundamental principles:\n\n**1. Customer-Centric Approach**\n- Deep understanding of target audience\n- Customer journey mapping\n- Persona development and validation\n\n**2. Clear Value Proposition**\n- Unique selling proposition (USP)\n- Competitive differentiation\n- Benefit-focused messaging\n\n**3. Multi-Channel Integration**\n- Consistent brand experience\n- Channel optimization\n- Cross-platform synergy\n\n**4. Data-Driven Decision Making**\n- Analytics and metrics tracking\n- A/B testing and optimization\n- ROI measurement\n\n**5. Continuous Innovation**\n- Market trend analysis\n- Competitive intelligence\n- Agile strategy adaptation\n\n**Implementation Framework:**\n1. Market research and analysis\n2. Goal setting and KPI definition\n3. Strategy development\n4. Tactical execution\n5. Performance monitoring\n6. Optimization and iteration\n\n**Success Metrics:**\n- Brand awareness and recall\n- Lead generation and conversion\n- Customer acquisition cost (CAC)\n- Customer lifetime value (CLV)\n- Return on marketing investment (ROMI)",
+                category: "marketing",
+                favorite: true
+            },
+            {
+                question: "How can I improve my productivity while working remotely?",
+                answer: "Remote work productivity requires intentional strategies and discipline:\n\n**Environment Setup:**\n• Dedicated workspace with proper ergonomics\n• Minimize distractions and interruptions\n• Optimal lighting and temperature\n• Reliable technology and internet connection\n\n**Time Management:**\n• Establish consistent daily routines\n• Use time-blocking for focused work sessions\n• Implement the Pomodoro Technique (25-min focused work + 5-min breaks)\n• Set clear boundaries between work and personal time\n\n**Communication & Collaboration:**\n• Overcommunicate with team members\n• Use collaborative tools effectively (Slack, Zoom, Asana)\n• Schedule regular check-ins and meetings\n• Be responsive and accessible during work hours\n\n**Health & Wellness:**\n• Take regular breaks and move around\n• Maintain social connections with colleagues\n• Practice stress management techniques\n• Separate work and living spaces when possible\n\n**Productivity Tools:**\n- Task management: Todoist, Notion, Trello\n- Time tracking: RescueTime, Toggl\n- Focus apps: Freedom, Cold Turkey\n- Communication: Slack, Microsoft Teams\n\n**Daily Habits:**\n1. Start with a morning routine\n2. Plan your day the night before\n3. Tackle most important tasks first\n4. Batch similar activities together\n5. End with a shutdown ritual\n\nRemember: Remote work success is about creating systems that work for your specific situation and consistently following them.",
+                category: "productivity"
+            }
+        ];
+
+        sampleQAs.forEach((sample, index) => {
+            const qa = {
+                id: generateId('sample_'),
+                question: sample.question,
+                answer: sample.answer,
+                category: sample.category,
+                tags: this.generateTags(sample.question, sample.category),
+                folders: ['default'],
+                favorite: Boolean(sample.favorite),
+                archived: false,
+                rating: Math.floor(Math.random() * 3) + 3, // 3-5 stars
+                views: Math.floor(Math.random() * 50) + 10, // 10-60 views
+                score: Math.floor(Math.random() * 3) + 7, // 7-10 score
+                timestamp: Date.now() - (index * 86400000), // Spread over several days
+                createdAt: Date.now() - (index * 86400000),
+                updatedAt: Date.now() - (index * 86400000)
+            };
+
+            this.data.qas.push(qa);
+        });
+
+        this.markDirty(this.data.qas.map(qa => qa.id));
+        this.emit('sampleDataAdded', this.data.qas);
+    }
+
+    // Get current state
+    getState() {
+        return {
+            data: deepClone(this.data),
+            isLoading: this.isLoading,
+            isDirty: this.isDirty
+        };
+    }
+
+    // Destroy and cleanup
+    destroy() {
+        // Save any pending changes
+        if (this.isDirty) {
+            this.saveData();
+        }
 
+        // Abort in-flight answers
+        this.answerRequests.forEach(controller => controller.abort());
+        this.answerRequests.clear();
+
+        // Clear timers
+        clearTimeout(this.autoSaveTimeout);
+
+        // Clear observers
+        this.observers.clear();
+    }
 }
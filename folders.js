@@ -0,0 +1,223 @@
+/**
+ * Folder Tree for ChatGPT Q&A Synthesizer
+ * Folder records, built-in folders and migration from the legacy list of folder names
+ */
+
+import { generateId, isObject } from './utils.js';
+
+// Built-in folders keep their legacy names as ids so existing folder references stay valid
+export const SYSTEM_FOLDER_IDS = ['all', 'favorites', 'archive', 'default'];
+
+// "All Prompts", "Favorites" and "Archive" have no members of their own: they list prompts by flag
+export const VIRTUAL_FOLDER_IDS = ['all', 'favorites', 'archive'];
+
+// The Trash view is selected like a folder but lists deleted prompts, which live outside `qas`
+export const TRASH_FOLDER_ID = 'trash';
+
+const SYSTEM_FOLDERS = {
+    all: { name: 'All Prompts', icon: 'folder' },
+    favorites: { name: 'Favorites', icon: 'star' },
+    archive: { name: 'Archive', icon: 'archive' },
+    default: { name: 'Default', icon: 'folder' }
+};
+
+// SVG paths for the icons a folder can use
+export const FOLDER_ICONS = {
+    folder: 'M10 4H4c-1.11 0-2 .89-2 2v12c0 1.11.89 2 2 2h16c1.11 0 2-.89 2-2V8c0-1.11-.89-2-2-2h-8l-2-2z',
+    star: 'M12 2l3.09 6.26L22 9.27l-5 4.87 1.18 6.88L12 17.77l-6.18 3.25L7 14.14 2 9.27l6.91-1.01L12 2z',
+    archive: 'M21 8V7l-3-3H6L3 7v1h18zM3 9v9c0 1.1.9 2 2 2h14c1.1 0 2-.9 2-2V9H3z',
+    code: 'M9.4 16.6L4.8 12l4.6-4.6L8 6l-6 6 6 6 1.4-1.4zm5.2 0l4.6-4.6-4.6-4.6L16 6l6 6-6 6-1.4-1.4z',
+    briefcase: 'M20 6h-4V4c0-1.11-.89-2-2-2h-4c-1.11 0-2 .89-2 2v2H4c-1.11 0-1.99.89-1.99 2L2 19c0 1.11.89 2 2 2h16c1.11 0 2-.89 2-2V8c0-1.11-.89-2-2-2zm-6 0h-4V4h4v2z',
+    book: 'M18 2H6c-1.1 0-2 .9-2 2v16c0 1.1.9 2 2 2h12c1.1 0 2-.9 2-2V4c0-1.1-.9-2-2-2zM6 4h5v8l-2.5-1.5L6 12V4z',
+    idea: 'M9 21c0 .55.45 1 1 1h4c.55 0 1-.45 1-1v-1H9v1zm3-19C8.14 2 5 5.14 5 9c0 2.38 1.19 4.47 3 5.74V17c0 .55.45 1 1 1h6c.55 0 1-.45 1-1v-2.26c1.81-1.27 3-3.36 3-5.74 0-3.86-3.14-7-7-7z'
+};
+
+export function isSystemFolder(id) {
+    return SYSTEM_FOLDER_IDS.includes(id);
+}
+
+export function isVirtualFolder(id) {
+    return VIRTUAL_FOLDER_IDS.includes(id);
+}
+
+export function createFolder(name, { id = generateId('folder_'), parentId = null, color = null, icon = 'folder' } = {}) {
+    return {
+        id,
+        name,
+        parentId,
+        color,
+        icon: FOLDER_ICONS[icon] ? icon : 'folder',
+        createdAt: Date.now()
+    };
+}
+
+export function createDefaultFolders() {
+    return SYSTEM_FOLDER_IDS.map(id => createFolder(SYSTEM_FOLDERS[id].name, { id, icon: SYSTEM_FOLDERS[id].icon }));
+}
+
+// Ids of a folder and every folder nested below it
+export function getDescendantIds(folders, id) {
+    const ids = new Set([id]);
+    const queue = [id];
+
+    while (queue.length > 0) {
+        const parentId = queue.shift();
+        folders.forEach(folder => {
+            if (folder.parentId === parentId && !ids.has(folder.id)) {
+                ids.add(folder.id);
+                queue.push(folder.id);
+            }
+        });
+    }
+
+    return ids;
+}
+
+// Folder names from the top of the tree down to the given folder
+export function getFolderPath(folders, id) {
+    const path = [];
+    const seen = new Set();
+    let folder = folders.find(item => item.id === id);
+
+    while (folder && !seen.has(folder.id)) {
+        seen.add(folder.id);
+        path.unshift(folder.name);
+        folder = folders.find(item => item.id === folder.parentId);
+    }
+
+    return path;
+}
+
+// Folder paths are written as names joined with "/", so a slash inside a name is replaced
+function pathSegment(name) {
+    return name.replace(/\//g, '-').trim();
+}
+
+// "Work/Client Notes" for a folder nested below "Work", or '' for the Default folder
+export function getFolderPathName(folders, id) {
+    if (!id || id === 'default' || isVirtualFolder(id)) return '';
+    return getFolderPath(folders, id).map(pathSegment).join('/');
+}
+
+// Returns a function that turns a "Work/Client Notes" path into a folder id, creating the
+// folders it names in `folders` as needed. An empty path is the Default folder. Imports use
+// this to build folder records that merging then matches against existing folders by name.
+export function createFolderPathResolver(folders) {
+    const folderIds = new Map([['', 'default']]);
+
+    return path => {
+        const segments = String(path || '').split('/').map(segment => segment.trim()).filter(Boolean);
+        let parentPath = '';
+        segments.forEach(segment => {
+            const key = parentPath ? `${parentPath}/${segment}` : segment;
+            if (!folderIds.has(key.toLowerCase())) {
+                const parentId = folderIds.get(parentPath.toLowerCase());
+                const folder = createFolder(segment, { parentId: parentId === 'default' ? null : parentId });
+                folders.push(folder);
+                folderIds.set(key.toLowerCase(), folder.id);
+            }
+            parentPath = key;
+        });
+        return folderIds.get(parentPath.toLowerCase());
+    };
+}
+
+// Add imported folders to `existing`, reusing folders with the same id or the same name under
+// the same parent. Returns { folders, folderIds } where folderIds maps each imported folder id to
+// the id used locally; `existing` is not modified.
+export function mergeFolders(existing, imported = []) {
+    const folders = [...existing];
+    const folderIds = new Map();
+    const pending = [...imported];
+    const getFolder = id => folders.find(folder => folder.id === id);
+
+    // Parents are merged before their children so parent ids can be remapped
+    while (pending.length > 0) {
+        const index = pending.findIndex(folder =>
+            !folder.parentId || folderIds.has(folder.parentId) || !pending.some(item => item.id === folder.parentId)
+        );
+        const [folder] = pending.splice(Math.max(index, 0), 1);
+        const parentId = folderIds.get(folder.parentId) || (getFolder(folder.parentId) ? folder.parentId : null);
+        const existingFolder = getFolder(folder.id) || folders.find(item =>
+            item.id !== 'all' && item.parentId === parentId && item.name.toLowerCase() === folder.name.toLowerCase()
+        );
+
+        if (existingFolder) {
+            folderIds.set(folder.id, existingFolder.id);
+        } else {
+            folders.push({ ...folder, parentId });
+            folderIds.set(folder.id, folder.id);
+        }
+    }
+
+    return { folders, folderIds };
+}
+
+// The prompts of `data` that are objects; anything else is left for repairQAData to quarantine
+export function promptRecords(data) {
+    return Array.isArray(data.qas) ? data.qas.filter(isObject) : [];
+}
+
+// Convert a legacy string-array `folders` list into folder records and point prompts at the new ids.
+// Mutates data in place; returns the ids of prompts whose folder changed, or null when already current.
+export function migrateFolders(data) {
+    const folders = Array.isArray(data.folders) ? data.folders.filter(folder => typeof folder === 'string' || isObject(folder)) : [];
+    const isCurrent = folders.every(isObject) &&
+        SYSTEM_FOLDER_IDS.every(id => folders.some(folder => folder.id === id));
+    if (isCurrent) return null;
+
+    const idsByName = new Map();
+    const records = [];
+
+    folders.forEach(folder => {
+        if (typeof folder !== 'string') {
+            records.push(folder);
+        } else if (isSystemFolder(folder)) {
+            idsByName.set(folder, folder);
+        } else if (!idsByName.has(folder)) {
+            const record = createFolder(folder);
+            idsByName.set(folder, record.id);
+            records.push(record);
+        }
+    });
+
+    const missingSystem = createDefaultFolders().filter(system => !records.some(folder => folder.id === system.id));
+    data.folders = [...missingSystem, ...records];
+
+    const changedIds = [];
+    promptRecords(data).forEach(qa => {
+        const id = idsByName.get(qa.folder);
+        if (id && id !== qa.folder) {
+            qa.folder = id;
+            changedIds.push(qa.id);
+        }
+    });
+
+    return changedIds;
+}
+
+// Older records kept a single `folder`, and favorites/archive were folders rather than flags.
+// Mutates data in place; returns the ids of prompts that were converted.
+export function migrateMembership(data) {
+    const changedIds = [];
+
+    promptRecords(data).forEach(qa => {
+        if (Array.isArray(qa.folders) && !('folder' in qa)) return;
+
+        const folder = qa.folder || 'default';
+        qa.favorite = Boolean(qa.favorite) || folder === 'favorites';
+        qa.archived = Boolean(qa.archived) || folder === 'archive';
+        qa.folders = Array.isArray(qa.folders) ? qa.folders : [isVirtualFolder(folder) ? 'default' : folder];
+        delete qa.folder;
+        changedIds.push(qa.id);
+    });
+
+    // Virtual folders cannot hold subfolders either
+    (data.folders || []).forEach(folder => {
+        if (folder && isVirtualFolder(folder.parentId)) {
+            folder.parentId = null;
+        }
+    });
+
+    return changedIds;
+}
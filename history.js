@@ -0,0 +1,69 @@
+/**
+ * Undo/Redo History for ChatGPT Q&A Synthesizer
+ * Bounded undo and redo stacks of recorded mutations
+ */
+
+// Each entry is { label, before, after }: the state to restore on undo and on redo
+export class History {
+    constructor(limit = 100) {
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    // A new mutation invalidates everything that could have been redone
+    push(entry) {
+        this.undoStack.push(entry);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    // Move the newest entry to the redo stack and return it for restoring
+    undo() {
+        const entry = this.undoStack.pop();
+        if (entry) {
+            this.redoStack.push(entry);
+        }
+        return entry || null;
+    }
+
+    redo() {
+        const entry = this.redoStack.pop();
+        if (entry) {
+            this.undoStack.push(entry);
+        }
+        return entry || null;
+    }
+
+    // Call `update` with the before and after state of every entry, to carry a late result into them
+    forEachState(update) {
+        [...this.undoStack, ...this.redoStack].forEach(entry => {
+            update(entry.before);
+            update(entry.after);
+        });
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    getState() {
+        return {
+            canUndo: this.canUndo(),
+            canRedo: this.canRedo(),
+            undoLabel: this.canUndo() ? this.undoStack[this.undoStack.length - 1].label : null,
+            redoLabel: this.canRedo() ? this.redoStack[this.redoStack.length - 1].label : null
+        };
+    }
+}
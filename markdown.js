@@ -0,0 +1,314 @@
+/**
+ * Markdown Files for ChatGPT Q&A Synthesizer
+ * One Markdown file per prompt with YAML front matter, laid out in directories that mirror the folder tree
+ */
+
+import { createDefaultFolders, createFolderPathResolver, getFolderPathName } from './folders.js';
+import { SCHEMA_VERSION } from './migrations.js';
+import { getThread } from './threads.js';
+
+const QUESTION_HEADING = '## Question';
+const ANSWER_HEADING = '## Answer';
+const FOLLOW_UP_HEADINGS = { user: '## Follow-up Question', assistant: '## Follow-up Answer' };
+const MAX_FILENAME_LENGTH = 60;
+
+// Plain scalars YAML would read as something other than a string
+const RESERVED_SCALAR = /^(?:true|false|yes|no|on|off|null|~|[-+]?(?:\d[\d_]*)?\.?\d+(?:e[-+]?\d+)?|\.inf|\.nan)$/i;
+
+function formatScalar(value) {
+    if (typeof value === 'number' || typeof value === 'boolean') {
+        return String(value);
+    }
+    const text = String(value);
+    const plain = text !== '' &&
+        text === text.trim() &&
+        !RESERVED_SCALAR.test(text) &&
+        !/^[-?:,[\]{}#&*!|>'"%@`]/.test(text) &&
+        !/[:#,[\]{}]|[\n\r\t]/.test(text);
+    return plain ? text : JSON.stringify(text);
+}
+
+// Trailing `# comments` are only recognized after unquoted values
+function parseScalar(raw) {
+    const text = /^\s*["']/.test(raw) ? raw.trim() : raw.replace(/\s+#.*$/, '').trim();
+    if (text.startsWith('"')) {
+        return JSON.parse(text);
+    }
+    if (text.startsWith('\'') && text.endsWith('\'') && text.length > 1) {
+        return text.slice(1, -1).replace(/''/g, '\'');
+    }
+    if (/^(?:true|yes)$/i.test(text)) return true;
+    if (/^(?:false|no)$/i.test(text)) return false;
+    if (/^(?:null|~)?$/i.test(text)) return null;
+    if (/^[-+]?\d+(?:\.\d+)?$/.test(text)) return Number(text);
+    return text;
+}
+
+// Split an inline `[a, "b, c"]` list, respecting quoted items
+function parseInlineList(raw) {
+    const inner = raw.trim().slice(1, -1);
+    const items = [];
+    let current = '';
+    let quote = null;
+
+    for (let i = 0; i < inner.length; i++) {
+        const char = inner[i];
+        if (quote) {
+            current += char;
+            if (char === '\\' && quote === '"') {
+                current += inner[++i] || '';
+            } else if (char === quote) {
+                quote = null;
+            }
+        } else if (char === '"' || char === '\'') {
+            quote = char;
+            current += char;
+        } else if (char === ',') {
+            items.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    items.push(current);
+
+    return items.filter(item => item.trim()).map(parseScalar);
+}
+
+// Front matter is written as flat `key: value` pairs with inline lists. The parser also accepts
+// block lists (`- item` lines) and comments, which is what people tend to write by hand.
+function parseFrontMatter(yaml) {
+    const meta = {};
+    let listKey = null;
+
+    yaml.split(/\r?\n/).forEach((line, index) => {
+        if (!line.trim() || line.trim().startsWith('#')) return;
+
+        const item = /^\s*-\s+(.*)$/.exec(line);
+        if (item && listKey) {
+            meta[listKey].push(parseScalar(item[1]));
+            return;
+        }
+
+        const pair = /^([A-Za-z_][\w-]*)\s*:\s*(.*)$/.exec(line);
+        if (!pair) {
+            throw new Error(`Unreadable front matter on line ${index + 2}`);
+        }
+
+        const [, key, value] = pair;
+        listKey = null;
+        if (!value.trim()) {
+            meta[key] = [];
+            listKey = key;
+        } else if (value.trim().startsWith('[') && value.trim().endsWith(']')) {
+            meta[key] = parseInlineList(value);
+        } else {
+            meta[key] = parseScalar(value);
+        }
+    });
+
+    return meta;
+}
+
+function toList(value) {
+    if (Array.isArray(value)) return value.filter(item => item !== null).map(String);
+    if (value === null || value === undefined || value === '') return [];
+    return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function toTimestamp(value) {
+    const timestamp = typeof value === 'number' ? value : Date.parse(value);
+    return Number.isFinite(timestamp) ? timestamp : undefined;
+}
+
+// Directory and file names that are safe on every common file system
+export function slugify(text) {
+    return text
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, MAX_FILENAME_LENGTH)
+        .replace(/-+$/, '');
+}
+
+// Section headings of `lines` as [{ index, heading }], ignoring lines inside fenced code blocks
+function findHeadings(lines) {
+    const known = [QUESTION_HEADING, ANSWER_HEADING, ...Object.values(FOLLOW_UP_HEADINGS)];
+    const headings = [];
+    let fence = null;
+
+    lines.forEach((line, index) => {
+        const marker = /^ {0,3}(`{3,}|~{3,})/.exec(line);
+        if (fence) {
+            // A fence closes on a bare run of the same character, at least as long as the opening
+            const closes = marker && marker[1][0] === fence[0] && marker[1].length >= fence.length &&
+                !line.trim().slice(marker[1].length).trim();
+            if (closes) fence = null;
+        } else if (marker) {
+            fence = marker[1];
+        } else if (known.includes(line.trim())) {
+            headings.push({ index, heading: line.trim() });
+        }
+    });
+
+    return headings;
+}
+
+// Render one prompt as Markdown with YAML front matter. The first exchange is written under
+// Question and Answer, and each follow-up message under its own Follow-up heading.
+export function toMarkdown(qa, folders) {
+    const paths = (qa.folders || []).map(id => getFolderPathName(folders, id));
+    const meta = [
+        ['id', qa.id],
+        ['category', qa.category],
+        ['tags', qa.tags || []],
+        ['folder', paths[0] || ''],
+        ['folders', paths.length > 1 ? paths : null],
+        ['rating', qa.rating || 0],
+        ['score', qa.score],
+        ['favorite', qa.favorite || null],
+        ['archived', qa.archived || null],
+        ['created', qa.createdAt ? new Date(qa.createdAt).toISOString() : null],
+        ['updated', qa.updatedAt ? new Date(qa.updatedAt).toISOString() : null]
+    ].filter(([, value]) => value !== null && value !== undefined);
+
+    const frontMatter = meta.map(([key, value]) => Array.isArray(value)
+        ? `${key}: [${value.map(formatScalar).join(', ')}]`
+        : `${key}: ${value === '' ? '""' : formatScalar(value)}`);
+
+    return [
+        '---',
+        ...frontMatter,
+        '---',
+        ...getThread(qa).flatMap((message, position) => [
+            '',
+            position < 2 ? (message.role === 'user' ? QUESTION_HEADING : ANSWER_HEADING) : FOLLOW_UP_HEADINGS[message.role],
+            '',
+            (message.content || '').trim()
+        ]),
+        ''
+    ].join('\n');
+}
+
+// Parse a Markdown file into { meta, question, answer, thread }. Follow-up sections after the
+// answer become the thread; headings inside fenced code are content. Files without the headings
+// use their first line (minus any heading marks) as the question.
+export function parseMarkdown(text) {
+    const source = text.replace(/^\uFEFF/, '');
+    let meta = {};
+    let body = source;
+
+    const frontMatter = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/.exec(source);
+    if (frontMatter) {
+        meta = parseFrontMatter(frontMatter[1]);
+        body = source.slice(frontMatter[0].length);
+    }
+
+    const lines = body.split(/\r?\n/);
+    const sections = findHeadings(lines);
+    const questionLine = sections.find(({ heading }) => heading === QUESTION_HEADING)?.index ?? -1;
+    const answerLine = sections.find(({ index, heading }) => index > questionLine && heading === ANSWER_HEADING)?.index ?? -1;
+
+    if (questionLine !== -1 && answerLine !== -1) {
+        const roles = Object.entries(FOLLOW_UP_HEADINGS);
+        const headings = sections
+            .filter(({ index }) => index > answerLine)
+            .map(({ index, heading }) => ({ index, role: roles.find(([, text]) => text === heading)?.[0] }))
+            .filter(heading => heading.role);
+        const thread = headings.map((heading, position) => ({
+            role: heading.role,
+            content: lines.slice(heading.index + 1, headings[position + 1]?.index ?? lines.length).join('\n').trim()
+        }));
+
+        return {
+            meta,
+            question: lines.slice(questionLine + 1, answerLine).join('\n').trim(),
+            answer: lines.slice(answerLine + 1, headings[0]?.index ?? lines.length).join('\n').trim(),
+            thread
+        };
+    }
+
+    const first = lines.findIndex(line => line.trim());
+    return {
+        meta,
+        question: first === -1 ? '' : lines[first].replace(/^#+\s*/, '').trim(),
+        answer: first === -1 ? '' : lines.slice(first + 1).join('\n').trim(),
+        thread: []
+    };
+}
+
+// Build the [{ name, content }] entries of a Markdown export. Each prompt is written to the
+// directory of its first folder; prompts in the Default folder sit at the top level.
+export function exportMarkdownFiles(qas, folders) {
+    const usedNames = new Set();
+
+    return qas.map(qa => {
+        const directory = getFolderPathName(folders, (qa.folders || [])[0])
+            .split('/')
+            .filter(Boolean)
+            .map(segment => slugify(segment) || 'folder')
+            .join('/');
+        const base = `${directory ? `${directory}/` : ''}${slugify(qa.question) || slugify(String(qa.id)) || 'prompt'}`;
+
+        let name = `${base}.md`;
+        for (let suffix = 2; usedNames.has(name.toLowerCase()); suffix++) {
+            name = `${base}-${suffix}.md`;
+        }
+        usedNames.add(name.toLowerCase());
+
+        return { name, content: toMarkdown(qa, folders) };
+    });
+}
+
+// Turn Markdown files ([{ name, content }]) back into importable data. Folders come from the
+// `folder`/`folders` front matter, falling back to the file's directory, and are created as
+// needed so merging can match them against existing folders by name.
+// Returns { data, errors: [{ name, message }] }.
+export function importMarkdownFiles(files) {
+    const folders = createDefaultFolders();
+    const getFolderId = createFolderPathResolver(folders);
+    const errors = [];
+
+    const qas = [];
+    files.forEach(({ name, content }) => {
+        try {
+            const { meta, question, answer, thread } = parseMarkdown(content);
+            if (!question) {
+                throw new Error('No question found');
+            }
+
+            const directory = name.includes('/') ? name.slice(0, name.lastIndexOf('/')) : '';
+            const paths = meta.folders !== undefined ? toList(meta.folders)
+                : meta.folder !== undefined ? [meta.folder === null ? '' : String(meta.folder)]
+                    : [directory];
+            const createdAt = toTimestamp(meta.created) || Date.now();
+
+            qas.push({
+                id: meta.id === null || meta.id === undefined ? undefined : String(meta.id),
+                question,
+                answer,
+                category: meta.category || 'general',
+                tags: toList(meta.tags),
+                folders: [...new Set((paths.length > 0 ? paths : ['']).map(getFolderId))],
+                rating: typeof meta.rating === 'number' ? meta.rating : 0,
+                score: typeof meta.score === 'number' ? meta.score : 7,
+                favorite: meta.favorite === true,
+                archived: meta.archived === true,
+                createdAt,
+                updatedAt: toTimestamp(meta.updated) || createdAt,
+                timestamp: createdAt,
+                views: 0,
+                ...(thread.length > 0 ? { thread } : {})
+            });
+        } catch (error) {
+            errors.push({ name, message: error.message });
+        }
+    });
+
+    return {
+        data: { qas, folders, metadata: { version: SCHEMA_VERSION } },
+        errors
+    };
+}
@@ -0,0 +1,101 @@
+/**
+ * Merge Planning for ChatGPT Q&A Synthesizer
+ * Classifies imported prompts against the library so a merge import can be previewed before it is applied
+ */
+
+import { appendRevision, createRevision, getVersions, REVISION_FIELDS } from './revisions.js';
+
+// Each status lists the actions it allows; the first one is the default
+export const MERGE_STATUSES = {
+    new: { label: 'New', actions: ['add', 'skip'] },
+    identical: { label: 'Identical', actions: ['skip'] },
+    newer: { label: 'Newer', actions: ['incoming', 'keep', 'both'] },
+    older: { label: 'Older', actions: ['keep', 'incoming', 'both'] },
+    conflict: { label: 'Conflicting', actions: ['keep', 'incoming', 'both'] }
+};
+
+export const MERGE_ACTIONS = {
+    add: 'Add',
+    skip: 'Skip',
+    keep: 'Keep mine',
+    incoming: 'Take incoming',
+    both: 'Keep both'
+};
+
+// Fields that make two copies of a prompt different; views and timestamps do not
+const CONTENT_FIELDS = [...REVISION_FIELDS, 'thread', 'folders', 'rating', 'favorite', 'archived'];
+
+// Follow-ups are compared by what was said; message timestamps and reply status are not exported
+function fieldValue(record, field) {
+    const value = record[field] === undefined ? null : record[field];
+    return field === 'thread' && Array.isArray(value) ? value.map(({ role, content }) => ({ role, content })) : value;
+}
+
+function sameFields(a, b, fields) {
+    return fields.every(field => JSON.stringify(fieldValue(a, field)) === JSON.stringify(fieldValue(b, field)));
+}
+
+function compareUpdatedAt(local, incoming) {
+    const localTime = local.updatedAt || 0;
+    const incomingTime = incoming.updatedAt || 0;
+    if (incomingTime > localTime) return 'newer';
+    if (incomingTime < localTime) return 'older';
+    return 'conflict';
+}
+
+// Compare an imported prompt with the local copy that has the same id. Revision histories tell
+// whether one copy was edited from the other; when both were edited since a version they share,
+// the records conflict. Without shared history the later `updatedAt` wins.
+export function classifyRecord(local, incoming) {
+    if (!local) return 'new';
+    if (sameFields(local, incoming, CONTENT_FIELDS)) return 'identical';
+    if (sameFields(local, incoming, REVISION_FIELDS)) return compareUpdatedAt(local, incoming);
+
+    const localVersions = getVersions(local);
+    const incomingVersions = getVersions(incoming);
+    const incomingHasLocal = incomingVersions.some(version => sameFields(version, local, REVISION_FIELDS));
+    const localHasIncoming = localVersions.some(version => sameFields(version, incoming, REVISION_FIELDS));
+
+    if (incomingHasLocal && !localHasIncoming) return 'newer';
+    if (localHasIncoming && !incomingHasLocal) return 'older';
+
+    const shared = localVersions.some(version =>
+        incomingVersions.some(other => sameFields(version, other, REVISION_FIELDS))
+    );
+    return shared ? 'conflict' : compareUpdatedAt(local, incoming);
+}
+
+// One entry per imported prompt: { id, status, action, local, incoming }
+export function planMerge(localRecords, incomingRecords) {
+    const localById = new Map(localRecords.map(qa => [qa.id, qa]));
+
+    return incomingRecords.map(incoming => {
+        const local = localById.get(incoming.id) || null;
+        const status = classifyRecord(local, incoming);
+        return { id: incoming.id, status, action: MERGE_STATUSES[status].actions[0], local, incoming };
+    });
+}
+
+export function countStatuses(entries) {
+    const counts = {};
+    Object.keys(MERGE_STATUSES).forEach(status => {
+        counts[status] = 0;
+    });
+    entries.forEach(entry => {
+        counts[entry.status]++;
+    });
+    return counts;
+}
+
+// The record that replaces `local` when the incoming copy is taken. The local version is kept
+// as a revision unless the incoming history already has it, and view counts are never lowered.
+export function mergeRecord(local, incoming) {
+    const merged = { ...incoming, views: Math.max(local.views || 0, incoming.views || 0) };
+    const known = getVersions(incoming).some(version => sameFields(version, local, REVISION_FIELDS));
+    const revision = known ? null : createRevision(local, incoming, incoming.updatedAt || Date.now());
+
+    if (revision) {
+        merged.revisions = appendRevision(incoming.revisions, revision);
+    }
+    return merged;
+}
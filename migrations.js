@@ -0,0 +1,138 @@
+/**
+ * Schema Migrations for ChatGPT Q&A Synthesizer
+ * Ordered upgrades that bring saved or imported data to the current schema version
+ */
+
+import { migrateCategories } from './categories.js';
+import { migrateFolders, migrateMembership, promptRecords } from './folders.js';
+
+export const SCHEMA_VERSION = '4.0';
+
+// Data without metadata comes from the original single-file Index.html
+const LEGACY_VERSION = '1.0';
+
+function parseVersion(version) {
+    const match = /^(\d+)(?:\.(\d+))?$/.exec(String(version).trim());
+    if (!match) {
+        throw new Error(`Unrecognized data version "${version}"`);
+    }
+    return [Number(match[1]), Number(match[2] || 0)];
+}
+
+export function compareVersions(a, b) {
+    const [majorA, minorA] = parseVersion(a);
+    const [majorB, minorB] = parseVersion(b);
+    return majorA - majorB || minorA - minorB;
+}
+
+export function getDataVersion(data) {
+    return (data.metadata && data.metadata.version) || LEGACY_VERSION;
+}
+
+// Each migration upgrades data from the previous version to `version`, mutating it in place,
+// and returns a list of human-readable changes. They run in order, oldest first.
+export const MIGRATIONS = [
+    {
+        version: '2.0',
+        description: 'Add timestamps and metadata',
+        migrate(data) {
+            const changes = [];
+            const now = Date.now();
+            let backfilled = 0;
+
+            promptRecords(data).forEach(qa => {
+                const missing = !qa.createdAt || !qa.updatedAt || !qa.timestamp;
+                qa.createdAt = qa.createdAt || qa.timestamp || now;
+                qa.updatedAt = qa.updatedAt || qa.createdAt;
+                qa.timestamp = qa.timestamp || qa.createdAt;
+                if (missing) backfilled++;
+
+                if (!Array.isArray(qa.tags)) qa.tags = [];
+                if (typeof qa.rating !== 'number') qa.rating = 0;
+                if (typeof qa.views !== 'number') qa.views = 0;
+            });
+            if (backfilled > 0) {
+                changes.push(`Backfilled createdAt/updatedAt on ${backfilled} prompts`);
+            }
+
+            // The single-file app saved a `lastSaved` ISO string instead of metadata
+            const lastSaved = Date.parse(data.lastSaved);
+            const createdAt = promptRecords(data).reduce((earliest, qa) => Math.min(earliest, qa.createdAt), now);
+            data.metadata = {
+                createdAt,
+                lastModified: Number.isNaN(lastSaved) ? now : lastSaved,
+                ...data.metadata
+            };
+            delete data.lastSaved;
+            changes.push('Added metadata');
+
+            return changes;
+        }
+    },
+    {
+        version: '3.0',
+        description: 'Folder records, multi-folder membership, smart folders and trash',
+        migrate(data) {
+            const changes = [];
+
+            const refiled = migrateFolders(data);
+            if (refiled) {
+                changes.push(`Converted folders to records (${refiled.length} prompts refiled)`);
+            }
+
+            const converted = migrateMembership(data);
+            if (converted.length > 0) {
+                changes.push(`Moved ${converted.length} prompts to multi-folder membership with favorite/archived flags`);
+            }
+
+            if (!Array.isArray(data.smartFolders)) {
+                data.smartFolders = [];
+                changes.push('Added smart folders');
+            }
+            if (!Array.isArray(data.trash)) {
+                data.trash = [];
+                changes.push('Added trash');
+            }
+
+            return changes;
+        }
+    },
+    {
+        version: '4.0',
+        description: 'Category records with colors, icons and matching rules',
+        migrate(data) {
+            const converted = migrateCategories(data);
+            return converted ? [`Converted ${converted.length} categories to records`] : [];
+        }
+    }
+];
+
+// Throws when data was written by a newer version of the app, or carries a version it cannot read
+export function checkDataVersion(data) {
+    const version = getDataVersion(data);
+    if (compareVersions(version, SCHEMA_VERSION) > 0) {
+        throw new Error(`Data version ${version} is newer than this app supports (${SCHEMA_VERSION})`);
+    }
+}
+
+// Run every migration newer than the data's version. Data from a newer version of the app
+// is refused, since downgrading it would silently drop whatever it added.
+// Returns { fromVersion, toVersion, steps: [{ version, description, changes }] }.
+export function migrateData(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('Data must be an object');
+    }
+
+    const fromVersion = getDataVersion(data);
+    checkDataVersion(data);
+
+    const steps = MIGRATIONS
+        .filter(migration => compareVersions(migration.version, fromVersion) > 0)
+        .map(migration => {
+            const changes = migration.migrate(data);
+            data.metadata = { ...data.metadata, version: migration.version };
+            return { version: migration.version, description: migration.description, changes };
+        });
+
+    return { fromVersion, toVersion: SCHEMA_VERSION, steps };
+}
@@ -0,0 +1,206 @@
+/**
+ * Answer Providers for ChatGPT Q&A Synthesizer
+ * Generate answers through chat endpoints, with offline templates as fallback
+ */
+
+// Read a Server-Sent Events response body and yield each parsed `data:` payload
+async function* readEventStream(response) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+        const { value, done } = await reader.read();
+
+        // A stream that ends without a blank line still holds its last event in the buffer
+        buffer += done ? decoder.decode() : decoder.decode(value, { stream: true });
+        const events = buffer.split(/\r?\n\r?\n/);
+        buffer = done ? '' : events.pop();
+
+        for (const event of events) {
+            const data = event
+                .split(/\r?\n/)
+                .filter(line => line.startsWith('data:'))
+                .map(line => line.slice(5).trim())
+                .join('\n');
+
+            if (!data || data === '[DONE]') continue;
+            yield JSON.parse(data);
+        }
+
+        if (done) break;
+    }
+}
+
+// Build the instruction sent alongside every question
+function buildSystemPrompt(category) {
+    return `You are a helpful assistant. The question belongs to the "${category}" category. ` +
+        'Answer thoroughly and format the answer in Markdown.';
+}
+
+// Base class: subclasses implement generate()
+export class AnswerProvider {
+    constructor(config = {}) {
+        this.config = config;
+    }
+
+    get name() {
+        return this.config.type || 'provider';
+    }
+
+    // Resolve with the full answer text; call onToken(chunk) as text arrives.
+    // `history` holds the earlier messages of a thread as [{ role, content }].
+    async generate({ question, category, history = [], signal, onToken }) {
+        throw new Error(`${this.name} provider does not implement generate()`);
+    }
+
+    async request(url, headers, body, signal) {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...headers
+            },
+            body: JSON.stringify(body),
+            signal
+        });
+
+        if (!response.ok) {
+            const detail = await response.text().catch(() => '');
+            throw new Error(`${this.name} request failed (${response.status})${detail ? `: ${detail.slice(0, 200)}` : ''}`);
+        }
+
+        return response;
+    }
+}
+
+// OpenAI-compatible /chat/completions endpoints (OpenAI, LM Studio, Ollama, vLLM, mock servers)
+export class OpenAICompatibleProvider extends AnswerProvider {
+    async generate({ question, category, history = [], signal, onToken }) {
+        const { baseUrl = 'https://api.openai.com/v1', apiKey, model = 'gpt-4o-mini' } = this.config;
+        const stream = typeof onToken === 'function';
+
+        const response = await this.request(
+            `${baseUrl.replace(/\/+$/, '')}/chat/completions`,
+            apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+            {
+                model,
+                stream,
+                messages: [
+                    { role: 'system', content: buildSystemPrompt(category) },
+                    ...history,
+                    { role: 'user', content: question }
+                ]
+            },
+            signal
+        );
+
+        if (!stream) {
+            const result = await response.json();
+            return result.choices?.[0]?.message?.content || '';
+        }
+
+        let answer = '';
+        for await (const event of readEventStream(response)) {
+            const chunk = event.choices?.[0]?.delta?.content;
+            if (chunk) {
+                answer += chunk;
+                onToken(chunk);
+            }
+        }
+        return answer;
+    }
+}
+
+// Anthropic-style /messages endpoints
+export class AnthropicProvider extends AnswerProvider {
+    async generate({ question, category, history = [], signal, onToken }) {
+        const {
+            baseUrl = 'https://api.anthropic.com/v1',
+            apiKey,
+            model = 'claude-3-5-haiku-latest',
+            maxTokens = 2048
+        } = this.config;
+        const stream = typeof onToken === 'function';
+
+        const response = await this.request(
+            `${baseUrl.replace(/\/+$/, '')}/messages`,
+            {
+                ...(apiKey ? { 'x-api-key': apiKey } : {}),
+                'anthropic-version': '2023-06-01',
+                'anthropic-dangerous-direct-browser-access': 'true'
+            },
+            {
+                model,
+                max_tokens: maxTokens,
+                stream,
+                system: buildSystemPrompt(category),
+                messages: [...history, { role: 'user', content: question }]
+            },
+            signal
+        );
+
+        if (!stream) {
+            const result = await response.json();
+            return (result.content || [])
+                .filter(block => block.type === 'text')
+                .map(block => block.text)
+                .join('');
+        }
+
+        let answer = '';
+        for await (const event of readEventStream(response)) {
+            if (event.type === 'error') {
+                throw new Error(`${this.name} stream error: ${event.error?.message || 'unknown error'}`);
+            }
+            if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+                answer += event.delta.text;
+                onToken(event.delta.text);
+            }
+        }
+        return answer;
+    }
+}
+
+// Offline fallback: structured answer templates per category
+export class TemplateProvider extends AnswerProvider {
+    get name() {
+        return 'template';
+    }
+
+    async generate({ question, category, onToken }) {
+        const answer = this.render(question, category);
+        if (typeof onToken === 'function') {
+            onToken(answer);
+        }
+        return answer;
+    }
+
+    render(question, category) {
+        const templates = {
+            coding: `Here's a comprehensive solution for "${question}":\n\n**Approach:**\n1. Analyze the requirements\n2. Choose the appropriate technology/method\n3. Implement the solution\n4. Test and optimize\n\n**Code Example:**\n\`\`\`javascript\n// Implementation would go here\n// This is a placeholder for the actual solution\n\`\`\`\n\n**Best Practices:**\n- Follow coding standards\n- Add proper error handling\n- Include comprehensive tests\n- Document your code\n\n**Additional Resources:**\n- Official documentation\n- Community best practices\n- Testing frameworks`,
+
+            business: `Strategic response to "${question}":\n\n**Analysis:**\nThis question touches on key business fundamentals that require both strategic thinking and practical implementation.\n\n**Key Considerations:**\n• Market dynamics and competitive landscape\n• Resource allocation and ROI\n• Risk assessment and mitigation\n• Stakeholder alignment and communication\n\n**Recommended Approach:**\n1. Conduct thorough analysis\n2. Develop strategic options\n3. Create implementation roadmap\n4. Monitor and adjust\n\n**Success Metrics:**\n- Define clear KPIs\n- Regular progress reviews\n- Stakeholder feedback loops`,
+
+            marketing: `Marketing strategy for "${question}":\n\n**Campaign Framework:**\n\n**Target Audience:**\n- Demographics and psychographics\n- Pain points and motivations\n- Preferred channels and touchpoints\n\n**Messaging Strategy:**\n- Core value proposition\n- Key benefits and differentiators\n- Call-to-action optimization\n\n**Channel Mix:**\n• Digital: SEO, SEM, Social Media, Email\n• Traditional: PR, Events, Partnerships\n• Content: Blog, Video, Podcasts, Webinars\n\n**Measurement & Optimization:**\n- Conversion tracking\n- A/B testing\n- ROI analysis\n- Campaign iteration`,
+
+            design: `Design solution for "${question}":\n\n**Design Process:**\n\n**1. Research & Discovery**\n- User research and personas\n- Competitive analysis\n- Requirements gathering\n\n**2. Ideation & Concepts**\n- Brainstorming sessions\n- Sketching and wireframes\n- Concept validation\n\n**3. Design & Prototyping**\n- Visual design\n- Interactive prototypes\n- Design system integration\n\n**4. Testing & Iteration**\n- User testing\n- Stakeholder feedback\n- Design refinement\n\n**Design Principles:**\n- User-centered approach\n- Accessibility compliance\n- Scalable and maintainable\n- Brand alignment`,
+
+            default: `Comprehensive response to "${question}":\n\n**Overview:**\nThis is an important question that requires careful consideration of multiple factors and approaches.\n\n**Key Points:**\n• Context and background analysis\n• Multiple solution approaches\n• Implementation considerations\n• Potential challenges and solutions\n\n**Recommended Steps:**\n1. Gather all relevant information\n2. Evaluate different options\n3. Choose the best approach\n4. Create an action plan\n5. Execute and monitor progress\n\n**Additional Considerations:**\n- Resource requirements\n- Timeline and milestones\n- Success metrics\n- Risk management\n\nThis answer provides a structured approach while acknowledging that specific details would depend on your particular situation and constraints.`
+        };
+
+        return templates[category] || templates.default;
+    }
+}
+
+// Build a provider from a persisted config ({ type, baseUrl, apiKey, model })
+export function createProvider(config = {}) {
+    switch (config.type) {
+        case 'openai':
+            return new OpenAICompatibleProvider(config);
+        case 'anthropic':
+            return new AnthropicProvider(config);
+        default:
+            return new TemplateProvider(config);
+    }
+}
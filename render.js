@@ -0,0 +1,583 @@
+/**
+ * Answer Rendering for ChatGPT Q&A Synthesizer
+ * A small Markdown renderer that escapes all input, with syntax highlighting for fenced code
+ */
+
+import { escapeAttribute, escapeHTML } from './utils.js';
+
+// Collapsed answers show whole blocks up to about this many characters
+export const PREVIEW_LENGTH = 200;
+
+// A code block that alone exceeds the preview keeps this many lines
+const PREVIEW_CODE_LINES = 6;
+
+// Links are only made for these schemes; anything else stays plain text
+const SAFE_URL = /^(?:https?:|mailto:)/i;
+
+// Marks placeholders for inline code and links while the rest of the text is formatted
+const SLOT = '\uE000';
+
+// Block structure
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})[ \t]*([^\s`]*)[^`]*$/;
+const HEADING = /^ {0,3}(#{1,6})[ \t]+(.*?)(?:[ \t]+#+)?[ \t]*$/;
+const RULE = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const QUOTE = /^ {0,3}>[ \t]?(.*)$/;
+const LIST_ITEM = /^([ \t]*)([-*+•]|\d{1,9}[.)])[ \t]+(.*)$/;
+const TABLE_DIVIDER = /^[ \t]*\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+
+const isBlank = line => !line.trim();
+
+function startsBlock(line, next) {
+    return FENCE.test(line) || HEADING.test(line) || RULE.test(line) || QUOTE.test(line) ||
+        LIST_ITEM.test(line) || isTableStart(line, next);
+}
+
+// Inside a paragraph, only lists starting at 1 begin a new block, so "2024. was busy" stays text
+function interruptsParagraph(line, next) {
+    const item = LIST_ITEM.exec(line);
+    if (item && /\d/.test(item[2]) && parseInt(item[2], 10) !== 1) return false;
+    return startsBlock(line, next);
+}
+
+function isTableStart(line, next) {
+    return line.includes('|') && next !== undefined && next.includes('-') && TABLE_DIVIDER.test(next);
+}
+
+function splitRow(line) {
+    return line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+}
+
+// Split Markdown into blocks:
+// { type: 'code', language, code, closed } | { type: 'heading', level, text } | { type: 'rule' }
+// | { type: 'quote', blocks } | { type: 'list', ordered, start, items: [blocks] }
+// | { type: 'table', header, align, rows } | { type: 'paragraph', text }
+export function parseBlocks(markdown) {
+    const lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (isBlank(line)) {
+            i++;
+            continue;
+        }
+
+        const fence = FENCE.exec(line);
+        if (fence) {
+            const marker = fence[1];
+            const code = [];
+            let closed = false;
+            for (i++; i < lines.length; i++) {
+                const closing = lines[i].trim();
+                if (closing[0] === marker[0] && closing.length >= marker.length && /^(`+|~+)$/.test(closing)) {
+                    closed = true;
+                    i++;
+                    break;
+                }
+                code.push(lines[i]);
+            }
+            blocks.push({ type: 'code', language: fence[2].toLowerCase(), code: code.join('\n'), closed });
+            continue;
+        }
+
+        const heading = HEADING.exec(line);
+        if (heading) {
+            blocks.push({ type: 'heading', level: heading[1].length, text: heading[2] });
+            i++;
+            continue;
+        }
+
+        if (RULE.test(line)) {
+            blocks.push({ type: 'rule' });
+            i++;
+            continue;
+        }
+
+        if (QUOTE.test(line)) {
+            const quoted = [];
+            while (i < lines.length && !isBlank(lines[i]) && (QUOTE.test(lines[i]) || !startsBlock(lines[i], lines[i + 1]))) {
+                const match = QUOTE.exec(lines[i]);
+                quoted.push(match ? match[1] : lines[i]);
+                i++;
+            }
+            blocks.push({ type: 'quote', blocks: parseBlocks(quoted.join('\n')) });
+            continue;
+        }
+
+        const item = LIST_ITEM.exec(line);
+        if (item) {
+            const list = parseList(lines, i);
+            blocks.push(list.block);
+            i = list.next;
+            continue;
+        }
+
+        if (isTableStart(line, lines[i + 1])) {
+            const header = splitRow(line);
+            const align = splitRow(lines[i + 1]).map(cell =>
+                cell.endsWith(':') ? (cell.startsWith(':') ? 'center' : 'right') : cell.startsWith(':') ? 'left' : null
+            );
+            const rows = [];
+            for (i += 2; i < lines.length && !isBlank(lines[i]) && lines[i].includes('|'); i++) {
+                rows.push(splitRow(lines[i]));
+            }
+            blocks.push({ type: 'table', header, align, rows });
+            continue;
+        }
+
+        const paragraph = [line];
+        for (i++; i < lines.length && !isBlank(lines[i]) && !interruptsParagraph(lines[i], lines[i + 1]); i++) {
+            paragraph.push(lines[i]);
+        }
+        blocks.push({ type: 'paragraph', text: paragraph.join('\n') });
+    }
+
+    return blocks;
+}
+
+// Items continue on lines indented past the marker, and on unindented lines right after item text.
+// Returns { block, next } where `next` is the first line after the list.
+function parseList(lines, start) {
+    const first = LIST_ITEM.exec(lines[start]);
+    const indent = first[1].replace(/\t/g, '    ').length;
+    const ordered = /\d/.test(first[2]);
+    const items = [];
+    let current = null;
+    let i = start;
+
+    for (; i < lines.length; i++) {
+        const line = lines[i];
+        const item = LIST_ITEM.exec(line);
+        const lineIndent = line.length - line.trimStart().length;
+
+        if (item && item[1].replace(/\t/g, '    ').length <= indent + 1) {
+            if (/\d/.test(item[2]) !== ordered) break;
+            current = { lines: [item[3]], contentIndent: item[0].length - item[3].length };
+            items.push(current);
+            continue;
+        }
+        if (isBlank(line)) {
+            const next = lines.slice(i + 1).find(candidate => !isBlank(candidate));
+            const continues = next !== undefined && (next.length - next.trimStart().length > indent ||
+                (LIST_ITEM.test(next) && /\d/.test(LIST_ITEM.exec(next)[2]) === ordered));
+            if (!continues) break;
+            current.lines.push('');
+            continue;
+        }
+        if (lineIndent > indent) {
+            current.lines.push(line.slice(Math.min(lineIndent, current.contentIndent)));
+            continue;
+        }
+        if (!startsBlock(line, lines[i + 1]) && !isBlank(lines[i - 1])) {
+            current.lines.push(line.trim());
+            continue;
+        }
+        break;
+    }
+
+    return {
+        block: {
+            type: 'list',
+            ordered,
+            start: ordered ? parseInt(first[2], 10) : 1,
+            items: items.map(entry => parseBlocks(entry.lines.join('\n')))
+        },
+        next: i
+    };
+}
+
+// Inline formatting
+
+function safeUrl(url) {
+    return SAFE_URL.test(url.trim()) ? url.trim() : null;
+}
+
+function link(href, label) {
+    return `<a href="${escapeAttribute(href)}" target="_blank" rel="noopener noreferrer">${label}</a>`;
+}
+
+// Code spans, links, bold, italics and strikethrough. Line breaks are kept, as chat answers expect.
+// All text is escaped; tags are only ever produced by the renderer itself, so raw HTML in an
+// answer shows up as text.
+export function renderInline(text) {
+    const slots = [];
+    const hold = html => `${SLOT}${slots.push(html) - 1}${SLOT}`;
+
+    let source = String(text || '').replace(new RegExp(SLOT, 'g'), '');
+
+    source = source.replace(/(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) =>
+        hold(`<code>${escapeHTML(code.trim() ? code.replace(/^ (.*) $/, '$1') : code)}</code>`)
+    );
+
+    // Images become links to the image, never inline requests
+    source = source.replace(/(!?)\[([^\]\n]+)\]\(\s*<?((?:[^\s()<>]|\([^\s()<>]*\))+)>?(?:\s+"[^"\n]*")?\s*\)/g, (match, image, label, url) => {
+        const href = safeUrl(url);
+        const content = image ? `🖼 ${renderInline(label)}` : renderInline(label);
+        return href ? hold(link(href, content)) : hold(content);
+    });
+
+    source = source.replace(/\bhttps?:\/\/[^\s<>"'`]*[^\s<>"'`.,:;!?)\]]/g, url => hold(link(url, escapeHTML(url))));
+
+    let html = escapeHTML(source)
+        .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?![\w])/g, '$1<strong>$2</strong>')
+        .replace(/(^|[^*\w])\*(?=[^\s*])([^*\n]*?[^\s*])\*(?![*\w])/g, '$1<em>$2</em>')
+        .replace(/(^|[^_\w])_(?=[^\s_])([^_\n]*?[^\s_])_(?![_\w])/g, '$1<em>$2</em>')
+        .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+        .replace(/(?: {2,}|\\)?\n/g, '<br>');
+
+    // Slots can nest (a link around inline code), so restore until none are left
+    const pattern = new RegExp(`${SLOT}(\\d+)${SLOT}`, 'g');
+    while (pattern.test(html)) {
+        html = html.replace(pattern, (match, index) => slots[Number(index)]);
+    }
+    return html;
+}
+
+// Syntax highlighting
+
+const C_STYLE = { lineComment: '//', blockComment: ['/*', '*/'], quotes: ['"', "'"] };
+const HASH_STYLE = { lineComment: '#', quotes: ['"', "'"] };
+
+const LANGUAGES = {
+    javascript: {
+        ...C_STYLE,
+        aliases: ['js', 'jsx', 'mjs', 'cjs', 'node', 'typescript', 'ts', 'tsx'],
+        quotes: ['"', "'", '`'],
+        keywords: 'async await break case catch class const continue debugger default delete do else export extends finally for from function if implements import in instanceof interface let new of return static super switch this throw try type typeof var void while with yield enum declare readonly private protected public',
+        literals: 'true false null undefined NaN Infinity'
+    },
+    python: {
+        ...HASH_STYLE,
+        aliases: ['py', 'python3'],
+        quotes: ['"""', "'''", '"', "'"],
+        keywords: 'and as assert async await break class continue def del elif else except finally for from global if import in is lambda nonlocal not or pass raise return try while with yield match case',
+        literals: 'True False None self'
+    },
+    java: {
+        ...C_STYLE,
+        aliases: ['kotlin', 'kt', 'scala'],
+        keywords: 'abstract assert boolean break byte case catch char class const continue default do double else enum extends final finally float for if implements import instanceof int interface long native new package private protected public return short static super switch synchronized this throw throws transient try var void volatile while fun val when object',
+        literals: 'true false null'
+    },
+    c: {
+        ...C_STYLE,
+        aliases: ['cpp', 'c++', 'h', 'hpp', 'cc', 'csharp', 'cs', 'c#', 'objc'],
+        keywords: 'auto bool break case catch char class const constexpr continue default delete do double else enum explicit extern float for friend goto if inline int long namespace new operator private protected public register return short signed sizeof static struct switch template this throw try typedef typename union unsigned using virtual void volatile while include define ifdef ifndef endif string var foreach async await override readonly',
+        literals: 'true false NULL nullptr null'
+    },
+    go: {
+        ...C_STYLE,
+        aliases: ['golang'],
+        quotes: ['"', "'", '`'],
+        keywords: 'break case chan const continue default defer else fallthrough for func go goto if import interface map package range return select struct switch type var',
+        literals: 'true false nil iota'
+    },
+    rust: {
+        ...C_STYLE,
+        aliases: ['rs'],
+        quotes: ['"'],
+        keywords: 'as async await break const continue crate dyn else enum extern fn for if impl in let loop match mod move mut pub ref return self Self static struct super trait type unsafe use where while',
+        literals: 'true false None Some Ok Err'
+    },
+    swift: {
+        ...C_STYLE,
+        keywords: 'as break case catch class continue default defer do else enum extension fallthrough for func guard if import in init inout internal let operator private protocol public repeat return self static struct subscript super switch throw throws try var where while',
+        literals: 'true false nil'
+    },
+    php: {
+        ...C_STYLE,
+        keywords: 'abstract and array as break case catch class clone const continue declare default do echo else elseif empty extends final finally fn for foreach function global if implements include instanceof interface isset list namespace new or print private protected public require return static switch throw trait try unset use var while',
+        literals: 'true false null TRUE FALSE NULL'
+    },
+    ruby: {
+        ...HASH_STYLE,
+        aliases: ['rb'],
+        keywords: 'alias and begin break case class def defined do else elsif end ensure for if in module next not or redo rescue retry return self super then undef unless until when while yield require attr_accessor puts',
+        literals: 'true false nil'
+    },
+    bash: {
+        ...HASH_STYLE,
+        aliases: ['sh', 'shell', 'zsh', 'console', 'shellscript'],
+        keywords: 'if then else elif fi case esac for while until do done in function return local export echo exit set unset source alias cd sudo',
+        literals: 'true false'
+    },
+    sql: {
+        lineComment: '--',
+        blockComment: ['/*', '*/'],
+        quotes: ["'", '"'],
+        caseInsensitive: true,
+        aliases: ['mysql', 'postgresql', 'postgres', 'sqlite', 'plsql'],
+        keywords: 'select from where and or not insert into values update set delete create table drop alter add column index primary key foreign references join inner left right outer full on as group by order having limit offset distinct union all exists in is like between case when then else end begin commit rollback view with returning default unique check',
+        literals: 'true false null'
+    },
+    json: {
+        quotes: ['"'],
+        aliases: ['jsonc', 'json5'],
+        keywords: '',
+        literals: 'true false null'
+    },
+    yaml: {
+        ...HASH_STYLE,
+        aliases: ['yml', 'toml', 'ini'],
+        keywords: '',
+        literals: 'true false null yes no on off'
+    },
+    css: {
+        blockComment: ['/*', '*/'],
+        quotes: ['"', "'"],
+        aliases: ['scss', 'less'],
+        keywords: 'important media import keyframes from to root hover focus before after',
+        literals: ''
+    },
+    html: {
+        markup: true,
+        aliases: ['xml', 'svg', 'xhtml', 'vue', 'markup']
+    }
+};
+
+const LANGUAGE_NAMES = new Map();
+Object.entries(LANGUAGES).forEach(([name, language]) => {
+    LANGUAGE_NAMES.set(name, name);
+    (language.aliases || []).forEach(alias => LANGUAGE_NAMES.set(alias, name));
+});
+
+// The highlighter name for a fence's info string, or null when it is not supported
+export function resolveLanguage(language) {
+    return LANGUAGE_NAMES.get(String(language || '').toLowerCase()) || null;
+}
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const compiled = new Map();
+
+// One regex per language whose groups are, in order: comment, string, number, word
+function compileLanguage(name) {
+    if (compiled.has(name)) return compiled.get(name);
+
+    const language = LANGUAGES[name];
+    const comments = [];
+    if (language.blockComment) {
+        const [open, close] = language.blockComment.map(escapeRegExp);
+        comments.push(`${open}[\\s\\S]*?(?:${close}|$)`);
+    }
+    if (language.lineComment) {
+        comments.push(`${escapeRegExp(language.lineComment)}[^\\n]*`);
+    }
+    const strings = (language.quotes || []).map(quote => {
+        const q = escapeRegExp(quote);
+        return quote.length > 1
+            ? `${q}[\\s\\S]*?(?:${q}|$)`
+            : `${q}(?:\\\\[\\s\\S]|(?!${q})[^\\\\${quote === '`' ? '' : '\\n'}])*(?:${q}|$)`;
+    });
+
+    const flags = language.caseInsensitive ? 'gi' : 'g';
+    const words = text => new Set(language.caseInsensitive ? text.toLowerCase().split(/\s+/) : text.split(/\s+/));
+    const entry = {
+        pattern: new RegExp([
+            `(${comments.join('|') || '(?!)'})`,
+            `(${strings.join('|') || '(?!)'})`,
+            '(\\b(?:0x[\\da-fA-F]+|\\d[\\d_]*(?:\\.\\d+)?(?:e[-+]?\\d+)?)\\b)',
+            '([A-Za-z_$][\\w$]*)'
+        ].join('|'), flags),
+        keywords: words(language.keywords || ''),
+        literals: words(language.literals || ''),
+        caseInsensitive: Boolean(language.caseInsensitive)
+    };
+    compiled.set(name, entry);
+    return entry;
+}
+
+const token = (type, text) => `<span class="tok-${type}">${escapeHTML(text)}</span>`;
+
+function highlightMarkup(code) {
+    return code.replace(/(<!--[\s\S]*?(?:-->|$))|(<\/?)([\w:-]+)([^>]*)(>?)|([^<]+|<)/g,
+        (match, comment, open, tag, attributes, close, text) => {
+            if (comment) return token('comment', comment);
+            if (text !== undefined) return escapeHTML(text);
+            const attributesHTML = attributes.replace(/([\w:-]+)(\s*=\s*)?("[^"]*"?|'[^']*'?)?|([^\w]+?)/g,
+                (part, name, equals, value, other) => other !== undefined
+                    ? escapeHTML(other)
+                    : token('attribute', name) + escapeHTML(equals || '') + (value ? token('string', value) : ''));
+            return `${escapeHTML(open)}${token('keyword', tag)}${attributesHTML}${escapeHTML(close)}`;
+        });
+}
+
+// Highlighted HTML for a code sample; unsupported languages are only escaped
+export function highlightCode(code, language) {
+    const name = resolveLanguage(language);
+    const source = String(code || '');
+    if (!name) return escapeHTML(source);
+    if (LANGUAGES[name].markup) return highlightMarkup(source);
+
+    const { pattern, keywords, literals, caseInsensitive } = compileLanguage(name);
+    let html = '';
+    let last = 0;
+    pattern.lastIndex = 0;
+
+    for (let match = pattern.exec(source); match; match = pattern.exec(source)) {
+        if (match[0] === '') {
+            pattern.lastIndex++;
+            continue;
+        }
+        html += escapeHTML(source.slice(last, match.index));
+        last = match.index + match[0].length;
+
+        const [text, comment, string, number, word] = match;
+        if (comment) {
+            html += token('comment', text);
+        } else if (string) {
+            html += token('string', text);
+        } else if (number) {
+            html += token('number', text);
+        } else {
+            const key = caseInsensitive ? word.toLowerCase() : word;
+            if (keywords.has(key)) {
+                html += token('keyword', text);
+            } else if (literals.has(key)) {
+                html += token('literal', text);
+            } else if (/^\s*\(/.test(source.slice(last))) {
+                html += token('function', text);
+            } else {
+                html += escapeHTML(text);
+            }
+        }
+    }
+
+    return html + escapeHTML(source.slice(last));
+}
+
+// HTML output
+
+function renderCodeBlock({ language, code }) {
+    const name = resolveLanguage(language);
+    return `
+        <div class="code-block">
+            <div class="code-header">
+                <span class="code-language">${escapeHTML(language || 'text')}</span>
+                <button type="button" class="code-copy" onclick="app.copyCodeBlock(this)" title="Copy code">Copy</button>
+            </div>
+            <pre><code${name ? ` class="language-${name}"` : ''}>${highlightCode(code, language)}</code></pre>
+        </div>
+    `;
+}
+
+function renderBlock(block) {
+    switch (block.type) {
+        case 'code':
+            return renderCodeBlock(block);
+        case 'heading':
+            // Headings inside a card sit below the question, which is an h3
+            return `<h${Math.min(6, block.level + 3)}>${renderInline(block.text)}</h${Math.min(6, block.level + 3)}>`;
+        case 'rule':
+            return '<hr>';
+        case 'quote':
+            return `<blockquote>${renderBlocks(block.blocks)}</blockquote>`;
+        case 'list': {
+            const tag = block.ordered ? 'ol' : 'ul';
+            const start = block.ordered && block.start !== 1 ? ` start="${block.start}"` : '';
+            // Single-paragraph items render without the <p> wrapper
+            const items = block.items.map(blocks => blocks.length === 1 && blocks[0].type === 'paragraph'
+                ? renderInline(blocks[0].text)
+                : renderBlocks(blocks));
+            return `<${tag}${start}>${items.map(item => `<li>${item}</li>`).join('')}</${tag}>`;
+        }
+        case 'table': {
+            const cell = (tag, text, index) => {
+                const align = block.align[index];
+                return `<${tag}${align ? ` style="text-align: ${align}"` : ''}>${renderInline(text)}</${tag}>`;
+            };
+            return `
+                <div class="table-wrapper">
+                    <table>
+                        <thead><tr>${block.header.map((text, index) => cell('th', text, index)).join('')}</tr></thead>
+                        <tbody>${block.rows.map(row => `<tr>${block.header.map((_, index) => cell('td', row[index] || '', index)).join('')}</tr>`).join('')}</tbody>
+                    </table>
+                </div>
+            `;
+        }
+        default:
+            return `<p>${renderInline(block.text)}</p>`;
+    }
+}
+
+function renderBlocks(blocks) {
+    return blocks.map(renderBlock).join('');
+}
+
+// Render Markdown to HTML that is safe to assign to innerHTML
+export function renderMarkdown(markdown) {
+    return renderBlocks(parseBlocks(markdown));
+}
+
+function blockLength(block) {
+    switch (block.type) {
+        case 'code':
+            return block.code.length;
+        case 'quote':
+            return block.blocks.reduce((total, inner) => total + blockLength(inner), 0);
+        case 'list':
+            return block.items.reduce((total, blocks) => total + blocks.reduce((sum, inner) => sum + blockLength(inner), 0), 0);
+        case 'table':
+            return [block.header, ...block.rows].reduce((total, row) => total + row.join(' ').length, 0);
+        case 'rule':
+            return 0;
+        default:
+            return block.text.length;
+    }
+}
+
+// Shorten the one block that does not fit on its own, without breaking its structure
+function shortenBlock(block, limit) {
+    switch (block.type) {
+        case 'code': {
+            const lines = block.code.split('\n');
+            return lines.length > PREVIEW_CODE_LINES ? { ...block, code: lines.slice(0, PREVIEW_CODE_LINES).join('\n') } : block;
+        }
+        case 'list':
+            return { ...block, items: block.items.slice(0, Math.max(1, block.items.length - 1)) };
+        case 'table':
+            return { ...block, rows: block.rows.slice(0, 3) };
+        case 'paragraph':
+        case 'heading': {
+            const cut = block.text.lastIndexOf(' ', limit);
+            return { ...block, text: `${block.text.slice(0, cut > limit / 2 ? cut : limit).trimEnd()}…` };
+        }
+        default:
+            return block;
+    }
+}
+
+// The start of an answer for collapsed cards: whole blocks while they fit in `limit` characters.
+// When even the first block is too long it is shortened on its own terms (lines of code,
+// list items, words), so a preview never ends inside a code fence.
+// Returns { html, truncated }.
+export function renderMarkdownPreview(markdown, limit = PREVIEW_LENGTH) {
+    const blocks = parseBlocks(markdown);
+    const shown = [];
+    let length = 0;
+
+    for (const block of blocks) {
+        const size = blockLength(block);
+        if (shown.length > 0 && length + size > limit) break;
+        shown.push(block);
+        length += size;
+    }
+
+    let truncated = shown.length < blocks.length;
+    if (shown.length === 1 && length > limit) {
+        let shortened = shown[0];
+        // Lists shrink one item at a time until they fit or only one is left
+        while (blockLength(shortened) > limit) {
+            const next = shortenBlock(shortened, limit);
+            if (next === shortened || blockLength(next) === blockLength(shortened)) break;
+            shortened = next;
+        }
+        truncated = truncated || shortened !== shown[0];
+        shown[0] = shortened;
+    }
+
+    return { html: renderBlocks(shown), truncated };
+}
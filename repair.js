@@ -0,0 +1,261 @@
+/**
+ * Data Repair for ChatGPT Q&A Synthesizer
+ * Fixes malformed records in place and sets aside the ones that cannot be fixed
+ */
+
+import { generateId, isObject } from './utils.js';
+import { compilePattern, createDefaultCategories, DEFAULT_CATEGORY_ID, normalizeCategoryColor } from './categories.js';
+import { createDefaultFolders, isVirtualFolder } from './folders.js';
+import { normalizeThread } from './threads.js';
+
+const isTimestamp = value => Number.isFinite(value) && value > 0;
+
+// Repair `data` in place so it passes validateQAData. Records that cannot be fixed
+// (not an object, or no question) are removed and returned for quarantine.
+// Returns { fixes: [{ id, message }], quarantined: [{ record, reason }] }.
+export function repairQAData(data, { categories = [] } = {}) {
+    const report = { fixes: [], quarantined: [] };
+    const fix = (id, message) => report.fixes.push({ id, message });
+
+    repairFolders(data, fix);
+    repairSmartFolders(data, fix);
+    repairCategories(data, fix);
+    if (data.quarantine !== undefined && !Array.isArray(data.quarantine)) {
+        data.quarantine = [];
+        fix(null, 'Reset the quarantine to an empty list');
+    }
+
+    const context = {
+        categories: Array.isArray(data.categories) ? data.categories.map(category => category.id) : categories,
+        folderIds: new Set(data.folders.filter(folder => !isVirtualFolder(folder.id)).map(folder => folder.id)),
+        seenIds: new Set(),
+        fix
+    };
+
+    ['qas', 'trash'].forEach(key => {
+        if (data[key] === undefined && key === 'trash') return;
+        if (!Array.isArray(data[key])) {
+            if (data[key] !== undefined && data[key] !== null) {
+                report.quarantined.push({ record: data[key], reason: `${key} was not a list` });
+            }
+            data[key] = [];
+            fix(null, `Reset ${key} to an empty list`);
+            return;
+        }
+
+        data[key] = data[key].filter(record => {
+            const reason = repairRecord(record, context, key === 'trash');
+            if (reason) {
+                report.quarantined.push({ record, reason });
+            }
+            return !reason;
+        });
+    });
+
+    return report;
+}
+
+function repairFolders(data, fix) {
+    if (!Array.isArray(data.folders)) {
+        data.folders = createDefaultFolders();
+        fix(null, 'Folder list was missing; restored the built-in folders');
+        return;
+    }
+
+    data.folders = data.folders.filter(folder => {
+        const valid = isObject(folder) && folder.id && typeof folder.name === 'string';
+        if (!valid) fix(null, 'Removed a malformed folder');
+        return valid;
+    });
+
+    createDefaultFolders().forEach(system => {
+        if (!data.folders.some(folder => folder.id === system.id)) {
+            data.folders.push(system);
+            fix(system.id, `Restored missing folder "${system.name}"`);
+        }
+    });
+
+    const ids = new Set(data.folders.map(folder => folder.id));
+    data.folders.forEach(folder => {
+        if (folder.parentId && !ids.has(folder.parentId)) {
+            folder.parentId = null;
+            fix(folder.id, `Moved folder "${folder.name}" to the top level; its parent no longer exists`);
+        }
+    });
+}
+
+// Data without a category list uses the library's; a list that is present must hold valid records
+function repairCategories(data, fix) {
+    if (data.categories === undefined) return;
+    if (!Array.isArray(data.categories)) {
+        data.categories = createDefaultCategories();
+        fix(null, 'Category list was unreadable; restored the built-in categories');
+        return;
+    }
+
+    const seen = new Set();
+    data.categories = data.categories.filter(category => {
+        const valid = isObject(category) && typeof category.id === 'string' && category.id &&
+            typeof category.name === 'string' && category.name.trim() && !seen.has(category.id);
+        if (!valid) {
+            fix(null, 'Removed a malformed category');
+            return false;
+        }
+        seen.add(category.id);
+        return true;
+    });
+
+    data.categories.forEach(category => {
+        if (category.color !== normalizeCategoryColor(category.color)) {
+            category.color = normalizeCategoryColor(category.color);
+            fix(category.id, `Reset the color of category "${category.name}"`);
+        }
+        if (typeof category.icon !== 'string') {
+            category.icon = '';
+        }
+        if (!Array.isArray(category.keywords)) {
+            category.keywords = [];
+            fix(category.id, `Reset the keywords of category "${category.name}"`);
+        }
+        const patterns = Array.isArray(category.patterns) ? category.patterns.filter(pattern => {
+            try {
+                compilePattern(pattern);
+                return typeof pattern === 'string';
+            } catch (error) {
+                return false;
+            }
+        }) : [];
+        if (!Array.isArray(category.patterns) || patterns.length !== category.patterns.length) {
+            category.patterns = patterns;
+            fix(category.id, `Dropped invalid patterns from category "${category.name}"`);
+        }
+    });
+
+    if (!data.categories.some(category => category.id === DEFAULT_CATEGORY_ID)) {
+        const general = createDefaultCategories().find(category => category.id === DEFAULT_CATEGORY_ID);
+        data.categories.unshift(general);
+        fix(general.id, `Restored missing category "${general.name}"`);
+    }
+}
+
+function repairSmartFolders(data, fix) {
+    if (data.smartFolders === undefined) return;
+    if (!Array.isArray(data.smartFolders)) {
+        data.smartFolders = [];
+        fix(null, 'Reset smart folders to an empty list');
+        return;
+    }
+
+    data.smartFolders = data.smartFolders.filter(folder => {
+        const valid = isObject(folder) && typeof folder.name === 'string' && folder.name && isObject(folder.filters);
+        if (!valid) fix(null, 'Removed a malformed smart folder');
+        return valid;
+    });
+}
+
+// Returns the reason a record has to be quarantined, or null once it has been fixed
+function repairRecord(qa, { categories, folderIds, seenIds, fix }, isTrashed) {
+    if (!isObject(qa)) return 'Not a prompt record';
+    if (typeof qa.question !== 'string' || !qa.question.trim()) return 'Missing question';
+
+    if ((typeof qa.id !== 'string' && typeof qa.id !== 'number') || qa.id === '') {
+        qa.id = generateId('qa_');
+        fix(qa.id, 'Assigned a missing id');
+    } else if (seenIds.has(String(qa.id))) {
+        const duplicate = qa.id;
+        qa.id = generateId('qa_');
+        fix(qa.id, `Assigned a new id to a duplicate of ${duplicate}`);
+    } else if (typeof qa.id === 'number') {
+        qa.id = String(qa.id);
+    }
+    seenIds.add(qa.id);
+    const { id } = qa;
+
+    if (typeof qa.answer !== 'string') {
+        qa.answer = qa.answer === undefined || qa.answer === null ? '' : String(qa.answer);
+        fix(id, 'Converted the answer to text');
+    }
+    if (!qa.answer && !['pending', 'failed', 'stopped'].includes(qa.answerStatus)) {
+        qa.answerStatus = 'failed';
+        qa.answerError = 'No answer was saved';
+        fix(id, 'Marked the empty answer as failed so it can be regenerated');
+    }
+
+    if (!Array.isArray(qa.tags)) {
+        qa.tags = typeof qa.tags === 'string' ? qa.tags.split(',').map(tag => tag.trim()).filter(Boolean) : [];
+        fix(id, 'Converted tags to a list');
+    } else if (qa.tags.some(tag => typeof tag !== 'string')) {
+        qa.tags = qa.tags.filter(tag => tag !== null && tag !== undefined).map(String);
+        fix(id, 'Converted tags to text');
+    }
+
+    // Unknown categories fall back to "general"; the old name is kept as a tag
+    if (typeof qa.category !== 'string' || !qa.category.trim()) {
+        qa.category = 'general';
+        fix(id, 'Set a missing category to "general"');
+    } else if (categories.length > 0 && !categories.includes(qa.category)) {
+        const known = categories.find(category => category.toLowerCase() === qa.category.trim().toLowerCase());
+        if (!known && !qa.tags.includes(qa.category)) {
+            qa.tags.push(qa.category);
+        }
+        fix(id, known ? `Normalized category "${qa.category}" to "${known}"` : `Replaced unknown category "${qa.category}" with "general"`);
+        qa.category = known || 'general';
+        if (!known) {
+            delete qa.categorySource;
+        }
+    }
+    if (qa.categorySource !== undefined && qa.categorySource !== 'user') {
+        delete qa.categorySource;
+        fix(id, 'Dropped an unknown category source');
+    }
+
+    if (typeof qa.rating !== 'number' || !Number.isFinite(qa.rating) || qa.rating < 0 || qa.rating > 5) {
+        const rating = Number(qa.rating);
+        qa.rating = Number.isFinite(rating) ? Math.min(5, Math.max(0, Math.round(rating))) : 0;
+        fix(id, `Set an out-of-range rating to ${qa.rating}`);
+    }
+    if (typeof qa.views !== 'number' || !Number.isFinite(qa.views) || qa.views < 0) {
+        qa.views = 0;
+        fix(id, 'Reset the view count');
+    }
+    if (typeof qa.score !== 'number' || !Number.isFinite(qa.score)) {
+        qa.score = 7;
+        fix(id, 'Set a missing score');
+    }
+
+    const folders = Array.isArray(qa.folders) ? qa.folders.filter(folder => folderIds.has(folder)) : [];
+    if (!Array.isArray(qa.folders) || folders.length !== qa.folders.length || folders.length === 0) {
+        qa.folders = folders.length > 0 ? folders : ['default'];
+        fix(id, 'Refiled the prompt into existing folders');
+    }
+    qa.favorite = Boolean(qa.favorite);
+    qa.archived = Boolean(qa.archived);
+
+    if (!isTimestamp(qa.createdAt) || !isTimestamp(qa.updatedAt) || !isTimestamp(qa.timestamp)) {
+        qa.createdAt = isTimestamp(qa.createdAt) ? qa.createdAt : isTimestamp(qa.timestamp) ? qa.timestamp : Date.now();
+        qa.updatedAt = isTimestamp(qa.updatedAt) ? qa.updatedAt : qa.createdAt;
+        qa.timestamp = isTimestamp(qa.timestamp) ? qa.timestamp : qa.createdAt;
+        fix(id, 'Backfilled missing timestamps');
+    }
+    if (qa.revisions !== undefined && !Array.isArray(qa.revisions)) {
+        delete qa.revisions;
+        fix(id, 'Dropped an unreadable revision history');
+    }
+    if (qa.thread !== undefined) {
+        const thread = normalizeThread(qa.thread);
+        if (!Array.isArray(qa.thread) || thread.length !== qa.thread.length) {
+            fix(id, 'Dropped unreadable follow-up messages');
+        }
+        if (thread.length > 0) {
+            qa.thread = thread;
+        } else {
+            delete qa.thread;
+        }
+    }
+    if (isTrashed && !isTimestamp(qa.deletedAt)) {
+        qa.deletedAt = Date.now();
+        fix(id, 'Set a missing deletion date');
+    }
+
+    return null;
+}
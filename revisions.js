@@ -0,0 +1,119 @@
+/**
+ * Prompt Revisions for ChatGPT Q&A Synthesizer
+ * Per-prompt revision history and line-level diffs between versions
+ */
+
+import { deepClone } from './utils.js';
+
+// Fields whose earlier values are kept when a prompt is edited
+export const REVISION_FIELDS = ['question', 'answer', 'category', 'tags'];
+
+// Beyond this many revisions the oldest two are merged, so the original version is never lost
+export const MAX_REVISIONS = 50;
+
+export function pickRevisionFields(qa) {
+    const fields = {};
+    REVISION_FIELDS.forEach(field => {
+        fields[field] = deepClone(qa[field]);
+    });
+    return fields;
+}
+
+// A revision stores the values the changed fields had before the edit.
+// Returns null when none of the tracked fields changed.
+export function createRevision(before, after, timestamp = Date.now()) {
+    const fields = {};
+    REVISION_FIELDS.forEach(field => {
+        if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+            fields[field] = deepClone(before[field]);
+        }
+    });
+
+    return Object.keys(fields).length > 0 ? { timestamp, fields } : null;
+}
+
+// Revisions are ordered oldest first. Merging the two oldest keeps the values
+// of the earliest one, dropping only the version in between.
+export function appendRevision(revisions = [], revision, limit = MAX_REVISIONS) {
+    const next = [...revisions, revision];
+
+    while (next.length > limit && next.length > 1) {
+        const [oldest, second] = next.splice(0, 2);
+        next.unshift({
+            timestamp: second.timestamp,
+            fields: { ...second.fields, ...oldest.fields }
+        });
+    }
+
+    return next;
+}
+
+// Every version of a prompt, oldest first, rebuilt by walking back from the current record.
+// A version's timestamp is when it was saved; the first one dates from the prompt's creation.
+export function getVersions(qa) {
+    const revisions = qa.revisions || [];
+    let state = pickRevisionFields(qa);
+    const versions = [state];
+
+    for (let i = revisions.length - 1; i >= 0; i--) {
+        state = { ...state, ...deepClone(revisions[i].fields) };
+        versions.unshift(state);
+    }
+
+    return versions.map((version, index) => ({
+        ...version,
+        index,
+        timestamp: index === 0 ? qa.createdAt : revisions[index - 1].timestamp,
+        isCurrent: index === versions.length - 1
+    }));
+}
+
+// Line-level diff as a list of { type: 'equal' | 'removed' | 'added', line }
+export function diffLines(oldText, newText) {
+    const a = String(oldText || '').split('\n');
+    const b = String(newText || '').split('\n');
+
+    // Only the middle section that differs needs the quadratic LCS table
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const middleA = a.slice(start, endA);
+    const middleB = b.slice(start, endB);
+    const lengths = Array.from({ length: middleA.length + 1 }, () => new Array(middleB.length + 1).fill(0));
+    for (let i = middleA.length - 1; i >= 0; i--) {
+        for (let j = middleB.length - 1; j >= 0; j--) {
+            lengths[i][j] = middleA[i] === middleB[j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const changes = [];
+    let i = 0;
+    let j = 0;
+    while (i < middleA.length && j < middleB.length) {
+        if (middleA[i] === middleB[j]) {
+            changes.push({ type: 'equal', line: middleA[i] });
+            i++;
+            j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            changes.push({ type: 'removed', line: middleA[i++] });
+        } else {
+            changes.push({ type: 'added', line: middleB[j++] });
+        }
+    }
+    while (i < middleA.length) changes.push({ type: 'removed', line: middleA[i++] });
+    while (j < middleB.length) changes.push({ type: 'added', line: middleB[j++] });
+
+    return [
+        ...a.slice(0, start).map(line => ({ type: 'equal', line })),
+        ...changes,
+        ...a.slice(endA).map(line => ({ type: 'equal', line }))
+    ];
+}
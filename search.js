@@ -0,0 +1,409 @@
+/**
+ * Full-Text Search for ChatGPT Q&A Synthesizer
+ * Inverted index with BM25 ranking, prefix/fuzzy matching and highlighted snippets
+ */
+
+import { escapeHTML } from './utils.js';
+import { followUpText } from './threads.js';
+
+// Split text into lowercase word tokens
+export function tokenize(text) {
+    return String(text || '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(token => token.length > 1);
+}
+
+// Edit distance counting adjacent transpositions as one edit (so "pyhton" ~ "python"),
+// with an early exit once `max` is exceeded
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let beforePrevious = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            if (beforePrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+            }
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > max) return max + 1;
+        beforePrevious = previous;
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+export class SearchIndex {
+    constructor(options = {}) {
+        this.fields = options.fields || {
+            question: { boost: 3, extract: qa => qa.question },
+            tags: { boost: 2, extract: qa => (qa.tags || []).join(' ') },
+            answer: { boost: 1, extract: qa => qa.answer },
+            thread: { boost: 1, extract: followUpText }
+        };
+        this.k1 = options.k1 || 1.2;
+        this.b = options.b || 0.75;
+        this.prefixWeight = options.prefixWeight || 0.6;
+        this.fuzzyWeight = options.fuzzyWeight || 0.3;
+
+        this.clear();
+    }
+
+    clear() {
+        // term -> Map(docId -> { field: termFrequency })
+        this.postings = new Map();
+        // docId -> { terms: Set, lengths: { field: tokenCount } }
+        this.documents = new Map();
+        this.totalLengths = Object.fromEntries(Object.keys(this.fields).map(field => [field, 0]));
+    }
+
+    build(qas) {
+        this.clear();
+        qas.forEach(qa => this.add(qa));
+    }
+
+    add(qa) {
+        if (this.documents.has(qa.id)) {
+            this.remove(qa.id);
+        }
+
+        const terms = new Set();
+        const lengths = {};
+
+        Object.entries(this.fields).forEach(([field, { extract }]) => {
+            const tokens = tokenize(extract(qa));
+            lengths[field] = tokens.length;
+            this.totalLengths[field] += tokens.length;
+
+            tokens.forEach(token => {
+                terms.add(token);
+                if (!this.postings.has(token)) {
+                    this.postings.set(token, new Map());
+                }
+                const posting = this.postings.get(token);
+                const frequencies = posting.get(qa.id) || {};
+                frequencies[field] = (frequencies[field] || 0) + 1;
+                posting.set(qa.id, frequencies);
+            });
+        });
+
+        this.documents.set(qa.id, { terms, lengths });
+    }
+
+    update(qa) {
+        this.add(qa);
+    }
+
+    // Whether a document contains the exact index term
+    hasTerm(id, term) {
+        const document = this.documents.get(id);
+        return Boolean(document && document.terms.has(term));
+    }
+
+    remove(id) {
+        const document = this.documents.get(id);
+        if (!document) return;
+
+        document.terms.forEach(term => {
+            const posting = this.postings.get(term);
+            posting.delete(id);
+            if (posting.size === 0) {
+                this.postings.delete(term);
+            }
+        });
+        Object.entries(document.lengths).forEach(([field, length]) => {
+            this.totalLengths[field] -= length;
+        });
+        this.documents.delete(id);
+    }
+
+    // Index terms that match a query term, with the weight each match contributes
+    expandTerm(queryTerm, { prefix = true, fuzzy = true } = {}) {
+        const matches = new Map();
+        if (this.postings.has(queryTerm)) {
+            matches.set(queryTerm, 1);
+        }
+
+        const maxDistance = queryTerm.length >= 8 ? 2 : queryTerm.length >= 4 ? 1 : 0;
+
+        for (const term of this.postings.keys()) {
+            if (term === queryTerm) continue;
+            if (prefix && queryTerm.length >= 2 && term.startsWith(queryTerm)) {
+                matches.set(term, this.prefixWeight);
+            } else if (fuzzy && maxDistance > 0 && editDistance(queryTerm, term, maxDistance) <= maxDistance) {
+                matches.set(term, this.fuzzyWeight);
+            }
+        }
+
+        return matches;
+    }
+
+    idf(term) {
+        const documentCount = this.documents.size;
+        const documentFrequency = this.postings.get(term).size;
+        return Math.log(1 + (documentCount - documentFrequency + 0.5) / (documentFrequency + 0.5));
+    }
+
+    // Score documents against a query. Every query term must match (exactly, by prefix or fuzzily).
+    // Returns Map(docId -> { score, terms: Set of matched index terms })
+    search(query, options = {}) {
+        const queryTerms = [...new Set(tokenize(query))];
+        const results = new Map();
+        if (queryTerms.length === 0) return results;
+
+        const averageLengths = {};
+        Object.keys(this.fields).forEach(field => {
+            averageLengths[field] = this.documents.size > 0 ? this.totalLengths[field] / this.documents.size : 0;
+        });
+
+        queryTerms.forEach((queryTerm, index) => {
+            const termScores = new Map();
+
+            this.expandTerm(queryTerm, options).forEach((weight, term) => {
+                const idf = this.idf(term);
+
+                this.postings.get(term).forEach((frequencies, id) => {
+                    const { lengths } = this.documents.get(id);
+                    let score = 0;
+
+                    Object.entries(frequencies).forEach(([field, tf]) => {
+                        const average = averageLengths[field] || 1;
+                        const norm = 1 - this.b + this.b * (lengths[field] / average);
+                        score += this.fields[field].boost * idf * (tf * (this.k1 + 1)) / (tf + this.k1 * norm);
+                    });
+
+                    const entry = termScores.get(id) || { score: 0, terms: new Set() };
+                    entry.score = Math.max(entry.score, score * weight);
+                    entry.terms.add(term);
+                    termScores.set(id, entry);
+                });
+            });
+
+            if (index === 0) {
+                termScores.forEach((entry, id) => results.set(id, entry));
+                return;
+            }
+
+            // Intersect with documents that matched the previous terms
+            for (const [id, entry] of results) {
+                const termEntry = termScores.get(id);
+                if (!termEntry) {
+                    results.delete(id);
+                } else {
+                    entry.score += termEntry.score;
+                    termEntry.terms.forEach(term => entry.terms.add(term));
+                }
+            }
+        });
+
+        return results;
+    }
+}
+
+// Escape text and wrap every word that matches one of `terms` in <mark>
+export function highlightTerms(text, terms) {
+    return String(text || '')
+        .split(/([\p{L}\p{N}]+)/u)
+        .map(part => terms.has(part.toLowerCase())
+            ? `<mark>${escapeHTML(part)}</mark>`
+            : escapeHTML(part))
+        .join('');
+}
+
+// Cut a window of text around the first matched term and highlight it
+export function createSnippet(text, terms, radius = 80) {
+    const source = String(text || '');
+    const lower = source.toLowerCase();
+    let position = -1;
+
+    terms.forEach(term => {
+        const match = lower.search(new RegExp(`(^|[^\\p{L}\\p{N}])${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}($|[^\\p{L}\\p{N}])`, 'u'));
+        if (match !== -1 && (position === -1 || match < position)) {
+            position = match;
+        }
+    });
+
+    if (position === -1) {
+        return highlightTerms(source.length > radius * 2 ? source.slice(0, radius * 2) + '...' : source, terms);
+    }
+
+    const start = Math.max(0, position - radius);
+    const end = Math.min(source.length, position + radius);
+    return `${start > 0 ? '...' : ''}${highlightTerms(source.slice(start, end), terms)}${end < source.length ? '...' : ''}`;
+}
+
+const QUERY_FIELDS = {
+    category: { ops: [':', '='] },
+    tag: { ops: [':', '='] },
+    folder: { ops: [':', '='] },
+    rating: { ops: [':', '=', '>', '>=', '<', '<='], numeric: true },
+    views: { ops: [':', '=', '>', '>=', '<', '<='], numeric: true },
+    score: { ops: [':', '=', '>', '>=', '<', '<='], numeric: true },
+    created: { ops: [':', '=', '>', '>=', '<', '<='], date: true }
+};
+
+// Parse YYYY, YYYY-MM or YYYY-MM-DD into the first and last millisecond it covers
+export function parseDateBounds(value) {
+    const match = /^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/.exec(value);
+    if (!match) return null;
+
+    const year = Number(match[1]);
+    const month = match[2] ? Number(match[2]) - 1 : null;
+    const day = match[3] ? Number(match[3]) : null;
+    if (month !== null && (month < 0 || month > 11)) return null;
+    if (day !== null && (day < 1 || day > 31)) return null;
+
+    const start = new Date(year, month ?? 0, day ?? 1);
+    // Date rolls impossible days like 2026-02-31 over into the next month
+    if (day !== null && (start.getMonth() !== month || start.getDate() !== day)) return null;
+    const end = day !== null
+        ? new Date(year, month, day + 1)
+        : month !== null ? new Date(year, month + 1, 1) : new Date(year + 1, 0, 1);
+
+    return { start: start.getTime(), end: end.getTime() - 1 };
+}
+
+// Turn a created:<value> token into a dateRange, or null when the value is malformed
+function parseDateFilter(op, value) {
+    if (op === ':' || op === '=') {
+        const [from, to] = value.includes('..') ? value.split('..') : [value, value];
+        const start = from ? parseDateBounds(from) : { start: -Infinity };
+        const end = to ? parseDateBounds(to) : { end: Infinity };
+        return start && end ? { start: start.start, end: end.end } : null;
+    }
+
+    const bounds = parseDateBounds(value);
+    if (!bounds) return null;
+    switch (op) {
+        case '>': return { start: bounds.end + 1, end: Infinity };
+        case '>=': return { start: bounds.start, end: Infinity };
+        case '<': return { start: -Infinity, end: bounds.start - 1 };
+        default: return { start: -Infinity, end: bounds.end };
+    }
+}
+
+// Compare a record value against a parsed numeric filter
+export function matchesComparison(actual, op, expected) {
+    switch (op) {
+        case '>': return actual > expected;
+        case '>=': return actual >= expected;
+        case '<': return actual < expected;
+        case '<=': return actual <= expected;
+        default: return actual === expected;
+    }
+}
+
+// Parse the search box language into getPrompts filters, e.g.
+//   category:coding tag:python rating>=4 folder:archive views>10
+//   created:2026-01..2026-03 "exact phrase" -exclude tag:"two words"
+// Unknown or malformed tokens are reported in `errors` and otherwise ignored.
+export function parseSearchQuery(query, context = {}) {
+    const filters = {
+        search: '',
+        phrases: [],
+        exclude: [],
+        tags: [],
+        comparisons: []
+    };
+    const errors = [];
+    const words = [];
+    // A quoted phrase, or a word that may carry a quoted value (tag:"machine learning")
+    const tokenPattern = /(-?)"([^"]*)("?)|((?:[^\s"]|"[^"]*")+)/g;
+    let match;
+
+    while ((match = tokenPattern.exec(query || '')) !== null) {
+        const [raw, negated, phrase, closingQuote, word] = match;
+
+        if (word === undefined) {
+            if (!closingQuote) {
+                errors.push(`Missing closing quote in ${raw}`);
+                continue;
+            }
+            const text = phrase.trim().toLowerCase();
+            if (!text) continue;
+            if (negated) {
+                filters.exclude.push(...tokenize(text));
+            } else {
+                filters.phrases.push(text);
+                words.push(text);
+            }
+            continue;
+        }
+
+        const fieldMatch = /^(-?)([a-z]+)(>=|<=|>|<|:|=)(.*)$/i.exec(word);
+        if (!fieldMatch) {
+            if (word.startsWith('-') && word.length > 1) {
+                filters.exclude.push(...tokenize(word.slice(1)));
+            } else {
+                words.push(word);
+            }
+            continue;
+        }
+
+        const [, fieldNegated, rawField, op, quotedValue] = fieldMatch;
+        const rawValue = quotedValue.replace(/^"(.*)"$/, '$1').trim();
+        const field = rawField.toLowerCase();
+        const value = rawValue.toLowerCase();
+        const definition = QUERY_FIELDS[field];
+
+        if (!definition) {
+            errors.push(`Unknown filter "${rawField}" in ${word}`);
+            continue;
+        }
+        if (fieldNegated) {
+            errors.push(`Negation is only supported for words and phrases: ${word}`);
+            continue;
+        }
+        if (!definition.ops.includes(op)) {
+            errors.push(`"${field}" does not support "${op}" in ${word}`);
+            continue;
+        }
+        if (!value) {
+            errors.push(`Missing value in ${word}`);
+            continue;
+        }
+
+        if (definition.numeric) {
+            const number = Number(value);
+            if (!Number.isFinite(number)) {
+                errors.push(`"${field}" expects a number in ${word}`);
+                continue;
+            }
+            filters.comparisons.push({ field, op: op === ':' ? '=' : op, value: number });
+        } else if (definition.date) {
+            const dateRange = parseDateFilter(op, value);
+            if (!dateRange) {
+                errors.push(`"${field}" expects a valid YYYY, YYYY-MM or YYYY-MM-DD date (ranges as a..b) in ${word}`);
+                continue;
+            }
+            filters.dateRange = dateRange;
+        } else if (field === 'tag') {
+            filters.tags.push(value);
+        } else if (field === 'category') {
+            if (context.categories && !context.categories.includes(value)) {
+                errors.push(`Unknown category "${value}"`);
+                continue;
+            }
+            filters.category = value;
+        } else if (field === 'folder') {
+            // context.folders lists { id, name } pairs; the filter carries the folder id
+            const folder = context.folders
+                ? context.folders.find(({ name }) => name.toLowerCase() === value)
+                : { id: rawValue };
+            if (!folder) {
+                errors.push(`Unknown folder "${rawValue}"`);
+                continue;
+            }
+            filters.folder = folder.id;
+        }
+    }
+
+    filters.search = words.join(' ');
+    return { filters, errors };
+}
@@ -0,0 +1,139 @@
+/**
+ * Duplicate Detection for ChatGPT Q&A Synthesizer
+ * Text similarity from normalized token shingles and Jaccard overlap, and clustering of near-duplicates
+ */
+
+// Prompts at least this similar are reported as duplicates
+export const DUPLICATE_THRESHOLD = 0.6;
+
+// Questions identify a prompt far more than answers, which vary between runs
+const QUESTION_WEIGHT = 0.7;
+
+// Lowercase, strip accents and punctuation, collapse whitespace
+export function normalizeText(text) {
+    return String(text || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+// Function words that differ between phrasings of the same question ("how do I" / "how to")
+const STOPWORDS = new Set([
+    'a', 'an', 'the', 'and', 'or', 'of', 'to', 'in', 'on', 'for', 'with', 'by', 'at', 'from',
+    'is', 'are', 'be', 'do', 'does', 'can', 'could', 'should', 'would', 'i', 'you', 'me', 'my', 'we', 'it', 'this', 'that', 'some'
+]);
+
+// Content words plus adjacent word pairs, so both vocabulary and word order count
+export function shingles(text) {
+    const all = normalizeText(text).split(' ').filter(Boolean);
+    const content = all.filter(word => !STOPWORDS.has(word));
+    const words = content.length > 0 ? content : all;
+    const set = new Set(words);
+    for (let i = 0; i < words.length - 1; i++) {
+        set.add(`${words[i]} ${words[i + 1]}`);
+    }
+    return set;
+}
+
+export function jaccard(a, b) {
+    if (a.size === 0 && b.size === 0) return 1;
+    const [small, large] = a.size < b.size ? [a, b] : [b, a];
+    let shared = 0;
+    small.forEach(item => {
+        if (large.has(item)) shared++;
+    });
+    return shared / (a.size + b.size - shared);
+}
+
+// Similarity between 0 and 1 of two texts; identical normalized text scores 1
+export function textSimilarity(a, b) {
+    const normalizedA = normalizeText(a);
+    const normalizedB = normalizeText(b);
+    if (normalizedA === normalizedB) return 1;
+    return jaccard(shingles(normalizedA), shingles(normalizedB));
+}
+
+// Precomputed shingles for comparing one prompt against many
+function fingerprint(qa) {
+    return {
+        qa,
+        question: shingles(qa.question),
+        questionText: normalizeText(qa.question),
+        answer: qa.answer ? shingles(qa.answer) : null
+    };
+}
+
+function compareFingerprints(a, b) {
+    const question = a.questionText === b.questionText ? 1 : jaccard(a.question, b.question);
+    if (!a.answer || !b.answer) return question;
+    return QUESTION_WEIGHT * question + (1 - QUESTION_WEIGHT) * jaccard(a.answer, b.answer);
+}
+
+// Prompts whose question resembles `question`, most similar first: [{ qa, score }]
+export function findSimilar(question, records, { threshold = DUPLICATE_THRESHOLD, limit = 5 } = {}) {
+    const target = fingerprint({ question });
+
+    return records
+        .map(qa => ({ qa, score: compareFingerprints(target, fingerprint({ question: qa.question })) }))
+        .filter(match => match.score >= threshold)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+}
+
+// Group prompts that are similar to each other, directly or through a chain of similar prompts.
+// Returns clusters of two or more: [{ items: [{ qa, score }], score }] where an item's score is its
+// best match inside the cluster. Clusters are ordered by their closest pair.
+export function clusterDuplicates(records, { threshold = DUPLICATE_THRESHOLD } = {}) {
+    const prints = records.map(fingerprint);
+    const parent = prints.map((_, index) => index);
+    const best = prints.map(() => 0);
+
+    const find = index => {
+        while (parent[index] !== index) {
+            parent[index] = parent[parent[index]];
+            index = parent[index];
+        }
+        return index;
+    };
+
+    // Even identical answers need the questions to be at least this similar
+    const minQuestionScore = (threshold - (1 - QUESTION_WEIGHT)) / QUESTION_WEIGHT;
+
+    for (let i = 0; i < prints.length; i++) {
+        for (let j = i + 1; j < prints.length; j++) {
+            // Jaccard can never exceed the ratio of the smaller set to the larger one
+            const sizes = [prints[i].question.size, prints[j].question.size];
+            if (Math.min(...sizes) / Math.max(...sizes, 1) < minQuestionScore) continue;
+
+            const score = compareFingerprints(prints[i], prints[j]);
+            if (score < threshold) continue;
+
+            best[i] = Math.max(best[i], score);
+            best[j] = Math.max(best[j], score);
+            parent[find(i)] = find(j);
+        }
+    }
+
+    const groups = new Map();
+    prints.forEach((print, index) => {
+        const root = find(index);
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push({ qa: print.qa, score: best[index] });
+    });
+
+    return [...groups.values()]
+        .filter(items => items.length > 1)
+        .map(items => ({ items, score: Math.max(...items.map(item => item.score)) }))
+        .sort((a, b) => b.score - a.score);
+}
+
+// The prompt a merge should keep: highest rating, then most viewed, then the oldest
+export function pickPrimary(records) {
+    return [...records].sort((a, b) =>
+        (b.rating || 0) - (a.rating || 0) ||
+        (b.views || 0) - (a.views || 0) ||
+        (a.createdAt || 0) - (b.createdAt || 0)
+    )[0];
+}
@@ -0,0 +1,201 @@
+/**
+ * Code Snippets for ChatGPT Q&A Synthesizer
+ * Fenced code blocks pulled out of answers, indexed by language and by the prompt they came from
+ */
+
+import { slugify } from './markdown.js';
+import { parseBlocks } from './render.js';
+import { getFollowUps } from './threads.js';
+
+// Fence labels that name the same language
+const LANGUAGE_ALIASES = {
+    js: 'javascript',
+    jsx: 'javascript',
+    mjs: 'javascript',
+    node: 'javascript',
+    ts: 'typescript',
+    tsx: 'typescript',
+    py: 'python',
+    python3: 'python',
+    sh: 'bash',
+    shell: 'bash',
+    zsh: 'bash',
+    console: 'bash',
+    yml: 'yaml',
+    rb: 'ruby',
+    rs: 'rust',
+    golang: 'go',
+    kt: 'kotlin',
+    cs: 'csharp',
+    'c#': 'csharp',
+    'c++': 'cpp',
+    hpp: 'cpp',
+    htm: 'html',
+    md: 'markdown',
+    plaintext: 'text',
+    txt: 'text'
+};
+
+// File extension of each language's exported snippets; other languages use their own name
+const LANGUAGE_EXTENSIONS = {
+    javascript: 'js',
+    typescript: 'ts',
+    python: 'py',
+    bash: 'sh',
+    ruby: 'rb',
+    rust: 'rs',
+    kotlin: 'kt',
+    csharp: 'cs',
+    markdown: 'md',
+    text: 'txt',
+    yaml: 'yml'
+};
+
+// Snippets without a fence label are filed as "text"
+export function normalizeLanguage(label) {
+    const language = String(label || '').trim().toLowerCase();
+    return LANGUAGE_ALIASES[language] || language || 'text';
+}
+
+export function languageExtension(language) {
+    return LANGUAGE_EXTENSIONS[language] || language.replace(/[^a-z0-9]+/g, '') || 'txt';
+}
+
+// Code blocks anywhere in the block tree, including inside lists and quotes
+function collectCode(blocks, found = []) {
+    blocks.forEach(block => {
+        if (block.type === 'code') {
+            found.push(block);
+        } else if (block.type === 'quote') {
+            collectCode(block.blocks, found);
+        } else if (block.type === 'list') {
+            block.items.forEach(item => collectCode(item, found));
+        }
+    });
+    return found;
+}
+
+// Snippets of a prompt, from its answer and then the replies in its thread:
+// [{ id, qaId, index, language, code, message }] where `message` is the thread position of the
+// reply, or null for the answer. Empty blocks are skipped.
+export function extractSnippets(qa) {
+    const sources = [
+        { text: qa.answer, message: null },
+        ...getFollowUps(qa)
+            .map((message, index) => ({ text: message.content, message: message.role === 'assistant' ? index : -1 }))
+            .filter(source => source.message !== -1)
+    ];
+
+    const snippets = [];
+    sources.forEach(({ text, message }) => {
+        collectCode(parseBlocks(text)).forEach(block => {
+            if (!block.code.trim()) return;
+            snippets.push({
+                id: `${qa.id}#${snippets.length + 1}`,
+                qaId: qa.id,
+                index: snippets.length,
+                language: normalizeLanguage(block.language),
+                code: block.code,
+                message
+            });
+        });
+    });
+    return snippets;
+}
+
+// Snippets of every prompt, kept current by the database the same way as the search index
+export class SnippetIndex {
+    constructor() {
+        this.clear();
+    }
+
+    clear() {
+        // qaId -> snippets of that prompt
+        this.byPrompt = new Map();
+        // language -> Map(snippetId -> snippet)
+        this.byLanguage = new Map();
+    }
+
+    build(qas) {
+        this.clear();
+        qas.forEach(qa => this.add(qa));
+    }
+
+    add(qa) {
+        this.remove(qa.id);
+
+        const snippets = extractSnippets(qa);
+        if (snippets.length === 0) return;
+
+        this.byPrompt.set(qa.id, snippets);
+        snippets.forEach(snippet => {
+            if (!this.byLanguage.has(snippet.language)) {
+                this.byLanguage.set(snippet.language, new Map());
+            }
+            this.byLanguage.get(snippet.language).set(snippet.id, snippet);
+        });
+    }
+
+    update(qa) {
+        this.add(qa);
+    }
+
+    remove(qaId) {
+        const snippets = this.byPrompt.get(qaId);
+        if (!snippets) return;
+
+        snippets.forEach(snippet => {
+            const language = this.byLanguage.get(snippet.language);
+            language.delete(snippet.id);
+            if (language.size === 0) {
+                this.byLanguage.delete(snippet.language);
+            }
+        });
+        this.byPrompt.delete(qaId);
+    }
+
+    get(id) {
+        const qaId = id.slice(0, id.lastIndexOf('#'));
+        return (this.byPrompt.get(qaId) || []).find(snippet => snippet.id === id) || null;
+    }
+
+    getByPrompt(qaId) {
+        return this.byPrompt.get(qaId) || [];
+    }
+
+    // [{ language, count }], most snippets first
+    getLanguages() {
+        return [...this.byLanguage.entries()]
+            .map(([language, snippets]) => ({ language, count: snippets.size }))
+            .sort((a, b) => b.count - a.count || a.language.localeCompare(b.language));
+    }
+
+    // Snippets of one language, or all of them; `search` matches code case-insensitively
+    find({ language = null, search = '' } = {}) {
+        const snippets = language
+            ? [...(this.byLanguage.get(language) || new Map()).values()]
+            : [...this.byPrompt.values()].flat();
+        const needle = search.trim().toLowerCase();
+        return needle ? snippets.filter(snippet => snippet.code.toLowerCase().includes(needle)) : snippets;
+    }
+}
+
+// One file per snippet, named after its prompt's question. With `byLanguage`, files go into a
+// directory per language. Returns [{ name, content }] for createZip.
+export function exportSnippetFiles(snippets, getQuestion, { byLanguage = false } = {}) {
+    const usedNames = new Set();
+
+    return snippets.map(snippet => {
+        const base = `${byLanguage ? `${snippet.language.replace(/[^a-z0-9+#-]+/g, '') || 'text'}/` : ''}${
+            slugify(getQuestion(snippet.qaId) || '') || 'snippet'}`;
+        const extension = languageExtension(snippet.language);
+
+        let name = `${base}.${extension}`;
+        for (let suffix = 2; usedNames.has(name.toLowerCase()); suffix++) {
+            name = `${base}-${suffix}.${extension}`;
+        }
+        usedNames.add(name.toLowerCase());
+
+        return { name, content: snippet.code.endsWith('\n') ? snippet.code : `${snippet.code}\n` };
+    });
+}
@@ -0,0 +1,68 @@
+/**
+ * Prompt Templates for ChatGPT Q&A Synthesizer
+ * Questions with {{variable}} placeholders, their variable definitions, and filling them in
+ */
+
+// {{name}} with optional spaces inside the braces; names are letters, digits, _ and -
+const PLACEHOLDER = /\{\{\s*([A-Za-z_][\w-]*)\s*\}\}/g;
+
+// Placeholder names in order of first appearance
+export function extractVariables(text) {
+    const names = [];
+    for (const match of String(text || '').matchAll(PLACEHOLDER)) {
+        if (!names.includes(match[1])) names.push(match[1]);
+    }
+    return names;
+}
+
+// A prompt is a template when its question has at least one placeholder
+export function isTemplate(qa) {
+    return Boolean(qa) && extractVariables(qa.question).length > 0;
+}
+
+// One definition per placeholder in `question`: { name, default, description }. Definitions of
+// placeholders that are still used keep their default and description; removed ones are dropped.
+export function syncVariables(question, variables = []) {
+    const known = new Map((Array.isArray(variables) ? variables : [])
+        .filter(variable => variable && typeof variable.name === 'string')
+        .map(variable => [variable.name, variable]));
+
+    return extractVariables(question).map(name => ({
+        name,
+        default: String(known.get(name)?.default ?? ''),
+        description: String(known.get(name)?.description ?? '')
+    }));
+}
+
+// Values for every variable: the given value when it is not blank, otherwise the default
+export function resolveValues(variables, values = {}) {
+    const resolved = {};
+    variables.forEach(variable => {
+        const value = values[variable.name];
+        resolved[variable.name] = value !== undefined && String(value).trim() !== '' ? String(value) : variable.default;
+    });
+    return resolved;
+}
+
+// Replace placeholders with their values; placeholders without a value are left in place
+export function fillTemplate(text, values = {}) {
+    return String(text || '').replace(PLACEHOLDER, (placeholder, name) =>
+        values[name] !== undefined && values[name] !== '' ? values[name] : placeholder
+    );
+}
+
+// Variables that still have no value once defaults are applied
+export function missingValues(variables, values = {}) {
+    const resolved = resolveValues(variables, values);
+    return variables.filter(variable => !resolved[variable.name]).map(variable => variable.name);
+}
+
+// The text a template is categorized and tagged by: defaults filled in, and placeholders without
+// one reduced to their name so `{{language}}` still reads as the word "language"
+export function templateBody(question, variables = []) {
+    const defaults = {};
+    variables.forEach(variable => {
+        if (variable.default) defaults[variable.name] = variable.default;
+    });
+    return fillTemplate(question, defaults).replace(PLACEHOLDER, (placeholder, name) => name.replace(/[_-]+/g, ' '));
+}
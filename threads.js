@@ -0,0 +1,78 @@
+/**
+ * Conversation Threads for ChatGPT Q&A Synthesizer
+ * Follow-up messages after a prompt's first exchange, read as one ordered thread
+ */
+
+export const THREAD_ROLES = ['user', 'assistant'];
+
+// Transcript prefixes, matching the Q:/A: format used when copying a prompt
+const ROLE_PREFIXES = { user: 'Q', assistant: 'A' };
+
+// The first exchange stays in `question` and `answer`; `thread` holds only the messages after it,
+// so records without follow-ups are unchanged
+export function getFollowUps(qa) {
+    return Array.isArray(qa.thread) ? qa.thread : [];
+}
+
+export function hasFollowUps(qa) {
+    return getFollowUps(qa).length > 0;
+}
+
+// The whole thread as [{ role, content }], first exchange included
+export function getThread(qa) {
+    return [
+        { role: 'user', content: qa.question },
+        { role: 'assistant', content: qa.answer || '' },
+        ...getFollowUps(qa)
+    ];
+}
+
+// Every question asked in the thread, for categorizing and tagging
+export function threadQuestions(qa) {
+    return getThread(qa)
+        .filter(message => message.role === 'user')
+        .map(message => message.content)
+        .join('\n');
+}
+
+// Text of the messages after the first exchange, for search
+export function followUpText(qa) {
+    return getFollowUps(qa).map(message => message.content).join('\n');
+}
+
+// Plain-text transcript of `messages`, one "Q: …" or "A: …" paragraph per message
+export function formatMessages(messages) {
+    return messages
+        .map(message => `${ROLE_PREFIXES[message.role] || message.role}: ${message.content}`)
+        .join('\n\n');
+}
+
+export function formatThread(qa) {
+    return formatMessages(getThread(qa));
+}
+
+// Messages sent to an answer provider ahead of the follow-up at `index` in `thread`.
+// A question whose reply is empty is left out together with the reply, so the history
+// alternates cleanly.
+export function threadHistory(qa, index) {
+    const messages = [
+        { role: 'user', content: qa.question },
+        { role: 'assistant', content: qa.answer || '' },
+        ...getFollowUps(qa).slice(0, index)
+    ];
+    const answered = (message, position) => message.role === 'user'
+        ? messages[position + 1]?.role === 'assistant' && Boolean(messages[position + 1].content)
+        : Boolean(message.content) && messages[position - 1]?.role === 'user';
+
+    return messages
+        .filter(answered)
+        .map(({ role, content }) => ({ role, content }));
+}
+
+// Keep well-formed messages only: a known role and string content
+export function normalizeThread(thread) {
+    if (!Array.isArray(thread)) return [];
+    return thread
+        .filter(message => message && THREAD_ROLES.includes(message.role) && typeof message.content === 'string')
+        .map(message => ({ ...message }));
+}
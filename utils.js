@@ -1,595 +1,838 @@
 /**
-
-- Utility Functions for ChatGPT Q&A Synthesizer
-- Provides security, performance, and accessibility utilities
-  */
+ * Utility Functions for ChatGPT Q&A Synthesizer
+ * Provides security, performance, and accessibility utilities
+ */
 
 // Debounce function to limit function calls
 export function debounce(func, wait, immediate = false) {
-let timeout;
-return function executedFunction(…args) {
-const later = () => {
-timeout = null;
-if (!immediate) func.apply(this, args);
-};
-const callNow = immediate && !timeout;
-clearTimeout(timeout);
-timeout = setTimeout(later, wait);
-if (callNow) func.apply(this, args);
-};
+    let timeout;
+    return function executedFunction(...args) {
+        const later = () => {
+            timeout = null;
+            if (!immediate) func.apply(this, args);
+        };
+        const callNow = immediate && !timeout;
+        clearTimeout(timeout);
+        timeout = setTimeout(later, wait);
+        if (callNow) func.apply(this, args);
+    };
 }
 
 // Throttle function to limit function calls per time period
 export function throttle(func, limit) {
-let inThrottle;
-return function executedFunction(…args) {
-if (!inThrottle) {
-func.apply(this, args);
-inThrottle = true;
-setTimeout(() => inThrottle = false, limit);
-}
-};
+    let inThrottle;
+    return function executedFunction(...args) {
+        if (!inThrottle) {
+            func.apply(this, args);
+            inThrottle = true;
+            setTimeout(() => inThrottle = false, limit);
+        }
+    };
 }
 
 // Generate unique IDs
-export function generateId(prefix = ‘’) {
-const timestamp = Date.now().toString(36);
-const randomPart = Math.random().toString(36).substr(2, 9);
-return `${prefix}${timestamp}_${randomPart}`;
+export function generateId(prefix = '') {
+    const timestamp = Date.now().toString(36);
+    const randomPart = Math.random().toString(36).substr(2, 9);
+    return `${prefix}${timestamp}_${randomPart}`;
 }
 
 // Sanitize HTML content to prevent XSS
 export function sanitizeHTML(str) {
-const temp = document.createElement(‘div’);
-temp.textContent = str;
-return temp.innerHTML;
+    const temp = document.createElement('div');
+    temp.textContent = str;
+    return temp.innerHTML;
 }
 
 // Escape HTML entities
 export function escapeHTML(str) {
-const div = document.createElement(‘div’);
-div.appendChild(document.createTextNode(str));
-return div.innerHTML;
+    const div = document.createElement('div');
+    div.appendChild(document.createTextNode(str));
+    return div.innerHTML;
+}
+
+// Escape text for an attribute value: entities plus both kinds of quotes
+export function escapeAttribute(value) {
+    return escapeHTML(value).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
 }
 
 // Unescape HTML entities
 export function unescapeHTML(str) {
-const div = document.createElement(‘div’);
-div.innerHTML = str;
-return div.textContent || div.innerText || ‘’;
+    const div = document.createElement('div');
+    div.innerHTML = str;
+    return div.textContent || div.innerText || '';
 }
 
 // Format dates in a user-friendly way
 export function formatDate(timestamp, options = {}) {
-const date = new Date(timestamp);
-const now = new Date();
-const diff = now - date;
-
-```
-// Less than 1 minute
-if (diff < 60000) {
-    return 'Just now';
-}
+    const date = new Date(timestamp);
+    const now = new Date();
+    const diff = now - date;
 
-// Less than 1 hour
-if (diff < 3600000) {
-    const minutes = Math.floor(diff / 60000);
-    return `${minutes} minute${minutes > 1 ? 's' : ''} ago`;
-}
+    // Less than 1 minute
+    if (diff < 60000) {
+        return 'Just now';
+    }
 
-// Less than 24 hours
-if (diff < 86400000) {
-    const hours = Math.floor(diff / 3600000);
-    return `${hours} hour${hours > 1 ? 's' : ''} ago`;
-}
+    // Less than 1 hour
+    if (diff < 3600000) {
+        const minutes = Math.floor(diff / 60000);
+        return `${minutes} minute${minutes > 1 ? 's' : ''} ago`;
+    }
 
-// Less than 7 days
-if (diff < 604800000) {
-    const days = Math.floor(diff / 86400000);
-    return `${days} day${days > 1 ? 's' : ''} ago`;
-}
+    // Less than 24 hours
+    if (diff < 86400000) {
+        const hours = Math.floor(diff / 3600000);
+        return `${hours} hour${hours > 1 ? 's' : ''} ago`;
+    }
 
-// Default to formatted date
-return date.toLocaleDateString('en-US', {
-    year: 'numeric',
-    month: 'short',
-    day: 'numeric',
-    ...options
-});
-```
+    // Less than 7 days
+    if (diff < 604800000) {
+        const days = Math.floor(diff / 86400000);
+        return `${days} day${days > 1 ? 's' : ''} ago`;
+    }
 
+    // Default to formatted date
+    return date.toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric',
+        ...options
+    });
 }
 
 // Truncate text with ellipsis
-export function truncateText(text, maxLength = 100, suffix = ‘…’) {
-if (!text || text.length <= maxLength) return text;
-return text.substr(0, maxLength).trim() + suffix;
+export function truncateText(text, maxLength = 100, suffix = '...') {
+    if (!text || text.length <= maxLength) return text;
+    return text.substr(0, maxLength).trim() + suffix;
 }
 
 // Pluralize words based on count
-export function pluralize(word, count, suffix = ‘s’) {
-return count === 1 ? word : word + suffix;
+export function pluralize(word, count, suffix = 's') {
+    return count === 1 ? word : word + suffix;
 }
 
 // Deep clone an object
 export function deepClone(obj) {
-if (obj === null || typeof obj !== ‘object’) return obj;
-if (obj instanceof Date) return new Date(obj.getTime());
-if (obj instanceof Array) return obj.map(item => deepClone(item));
-if (typeof obj === ‘object’) {
-const clonedObj = {};
-for (const key in obj) {
-if (obj.hasOwnProperty(key)) {
-clonedObj[key] = deepClone(obj[key]);
-}
-}
-return clonedObj;
+    if (obj === null || typeof obj !== 'object') return obj;
+    if (obj instanceof Date) return new Date(obj.getTime());
+    if (obj instanceof Array) return obj.map(item => deepClone(item));
+    if (typeof obj === 'object') {
+        const clonedObj = {};
+        for (const key in obj) {
+            if (obj.hasOwnProperty(key)) {
+                clonedObj[key] = deepClone(obj[key]);
+            }
+        }
+        return clonedObj;
+    }
 }
+
+// A plain object, as opposed to null, an array or a primitive
+export function isObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
 }
 
 // Validate JSON string
 export function isValidJSON(str) {
-try {
-JSON.parse(str);
-return true;
-} catch (e) {
-return false;
-}
+    try {
+        JSON.parse(str);
+        return true;
+    } catch (e) {
+        return false;
+    }
 }
 
 // Validate QA data structure
 export function validateQAData(data) {
-const errors = [];
+    const errors = [];
 
-```
-if (!data || typeof data !== 'object') {
-    errors.push('Data must be an object');
-    return { isValid: false, errors };
-}
+    if (!data || typeof data !== 'object') {
+        errors.push('Data must be an object');
+        return { isValid: false, errors };
+    }
 
-if (!Array.isArray(data.qas)) {
-    errors.push('qas must be an array');
-} else {
-    data.qas.forEach((qa, index) => {
-        if (!qa.id) errors.push(`QA ${index}: missing id`);
-        if (!qa.question || typeof qa.question !== 'string') {
-            errors.push(`QA ${index}: question must be a non-empty string`);
-        }
-        if (!qa.answer || typeof qa.answer !== 'string') {
-            errors.push(`QA ${index}: answer must be a non-empty string`);
-        }
-        if (!qa.category || typeof qa.category !== 'string') {
-            errors.push(`QA ${index}: category must be a non-empty string`);
-        }
-        if (qa.tags && !Array.isArray(qa.tags)) {
-            errors.push(`QA ${index}: tags must be an array`);
-        }
-        if (qa.rating && (typeof qa.rating !== 'number' || qa.rating < 0 || qa.rating > 5)) {
-            errors.push(`QA ${index}: rating must be a number between 0 and 5`);
+    if (!Array.isArray(data.qas)) {
+        errors.push('qas must be an array');
+    } else {
+        data.qas.forEach((qa, index) => {
+            if (!qa.id) errors.push(`QA ${index}: missing id`);
+            if (!qa.question || typeof qa.question !== 'string') {
+                errors.push(`QA ${index}: question must be a non-empty string`);
+            }
+            // Pending, failed and stopped answers may still be empty
+            const answerInProgress = ['pending', 'failed', 'stopped'].includes(qa.answerStatus);
+            if (typeof qa.answer !== 'string' || (!qa.answer && !answerInProgress)) {
+                errors.push(`QA ${index}: answer must be a non-empty string`);
+            }
+            if (!qa.category || typeof qa.category !== 'string') {
+                errors.push(`QA ${index}: category must be a non-empty string`);
+            }
+            if (qa.tags && !Array.isArray(qa.tags)) {
+                errors.push(`QA ${index}: tags must be an array`);
+            }
+            if (qa.folders && !Array.isArray(qa.folders)) {
+                errors.push(`QA ${index}: folders must be an array`);
+            }
+            if (qa.revisions && !Array.isArray(qa.revisions)) {
+                errors.push(`QA ${index}: revisions must be an array`);
+            }
+            if (qa.variables && !Array.isArray(qa.variables)) {
+                errors.push(`QA ${index}: variables must be an array`);
+            }
+            if (qa.thread && !Array.isArray(qa.thread)) {
+                errors.push(`QA ${index}: thread must be an array`);
+            }
+            if (qa.rating && (typeof qa.rating !== 'number' || qa.rating < 0 || qa.rating > 5)) {
+                errors.push(`QA ${index}: rating must be a number between 0 and 5`);
+            }
+        });
+    }
+
+    if (data.folders && !Array.isArray(data.folders)) {
+        errors.push('folders must be an array');
+    } else if (data.folders) {
+        // Legacy data lists folder names; current data stores folder records
+        data.folders.forEach((folder, index) => {
+            if (typeof folder === 'string') return;
+            if (!folder || !folder.id || typeof folder.name !== 'string') {
+                errors.push(`Folder ${index}: must be a name or an object with id and name`);
+            }
+        });
+    }
+
+    if (data.trash) {
+        if (!Array.isArray(data.trash)) {
+            errors.push('trash must be an array');
+        } else {
+            data.trash.forEach((qa, index) => {
+                if (!qa || !qa.id || typeof qa.question !== 'string') {
+                    errors.push(`Trash ${index}: must be a prompt with id and question`);
+                } else if (typeof qa.deletedAt !== 'number') {
+                    errors.push(`Trash ${index}: deletedAt must be a timestamp`);
+                }
+            });
         }
-    });
-}
+    }
 
-if (data.folders && !Array.isArray(data.folders)) {
-    errors.push('folders must be an array');
-}
+    if (data.quarantine && !Array.isArray(data.quarantine)) {
+        errors.push('quarantine must be an array');
+    }
 
-return {
-    isValid: errors.length === 0,
-    errors
-};
-```
+    if (data.categories) {
+        if (!Array.isArray(data.categories)) {
+            errors.push('categories must be an array');
+        } else {
+            // Legacy data lists category names; current data stores category records
+            data.categories.forEach((category, index) => {
+                if (typeof category === 'string') return;
+                if (!category || !category.id || typeof category.name !== 'string') {
+                    errors.push(`Category ${index}: must be a name or an object with id and name`);
+                }
+            });
+        }
+    }
 
+    if (data.smartFolders) {
+        if (!Array.isArray(data.smartFolders)) {
+            errors.push('smartFolders must be an array');
+        } else {
+            data.smartFolders.forEach((folder, index) => {
+                if (!folder || !folder.name || typeof folder.name !== 'string') {
+                    errors.push(`Smart folder ${index}: name must be a non-empty string`);
+                } else if (!folder.filters || typeof folder.filters !== 'object') {
+                    errors.push(`Smart folder ${index}: filters must be an object`);
+                }
+            });
+        }
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
 }
 
 // Copy text to clipboard
 export async function copyToClipboard(text) {
-try {
-if (navigator.clipboard && window.isSecureContext) {
-await navigator.clipboard.writeText(text);
-return true;
-} else {
-// Fallback for older browsers
-const textArea = document.createElement(‘textarea’);
-textArea.value = text;
-textArea.style.position = ‘fixed’;
-textArea.style.left = ‘-999999px’;
-textArea.style.top = ‘-999999px’;
-document.body.appendChild(textArea);
-textArea.focus();
-textArea.select();
-const result = document.execCommand(‘copy’);
-document.body.removeChild(textArea);
-return result;
-}
-} catch (error) {
-console.error(‘Failed to copy to clipboard:’, error);
-return false;
-}
+    try {
+        if (navigator.clipboard && window.isSecureContext) {
+            await navigator.clipboard.writeText(text);
+            return true;
+        } else {
+            // Fallback for older browsers
+            const textArea = document.createElement('textarea');
+            textArea.value = text;
+            textArea.style.position = 'fixed';
+            textArea.style.left = '-999999px';
+            textArea.style.top = '-999999px';
+            document.body.appendChild(textArea);
+            textArea.focus();
+            textArea.select();
+            const result = document.execCommand('copy');
+            document.body.removeChild(textArea);
+            return result;
+        }
+    } catch (error) {
+        console.error('Failed to copy to clipboard:', error);
+        return false;
+    }
 }
 
 // Share using Web Share API or fallback to clipboard
 export async function shareContent(data) {
-if (navigator.share && navigator.canShare && navigator.canShare(data)) {
-try {
-await navigator.share(data);
-return { success: true, method: ‘native’ };
-} catch (error) {
-if (error.name !== ‘AbortError’) {
-console.error(‘Native sharing failed:’, error);
-}
-}
-}
-
-```
-// Fallback to copying URL to clipboard
-const shareText = data.url || `${data.title}\n\n${data.text}`;
-const copied = await copyToClipboard(shareText);
-return { 
-    success: copied, 
-    method: 'clipboard',
-    message: copied ? 'Link copied to clipboard' : 'Failed to copy link'
-};
-```
+    if (navigator.share && navigator.canShare && navigator.canShare(data)) {
+        try {
+            await navigator.share(data);
+            return { success: true, method: 'native' };
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.error('Native sharing failed:', error);
+            }
+        }
+    }
 
+    // Fallback to copying URL to clipboard
+    const shareText = data.url || `${data.title}\n\n${data.text}`;
+    const copied = await copyToClipboard(shareText);
+    return { 
+        success: copied, 
+        method: 'clipboard',
+        message: copied ? 'Link copied to clipboard' : 'Failed to copy link'
+    };
 }
 
 // Download data as file
-export function downloadData(data, filename, type = ‘application/json’) {
-const blob = new Blob([data], { type });
-const url = URL.createObjectURL(blob);
-const link = document.createElement(‘a’);
-link.href = url;
-link.download = filename;
-document.body.appendChild(link);
-link.click();
-document.body.removeChild(link);
-URL.revokeObjectURL(url);
+export function downloadData(data, filename, type = 'application/json') {
+    const blob = new Blob([data], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
 }
 
 // Focus management for accessibility
 export class FocusManager {
-constructor() {
-this.focusStack = [];
-}
-
-```
-push(element) {
-    this.focusStack.push(document.activeElement);
-    if (element && element.focus) {
-        element.focus();
+    constructor() {
+        this.focusStack = [];
     }
-}
 
-pop() {
-    const previousElement = this.focusStack.pop();
-    if (previousElement && previousElement.focus) {
-        previousElement.focus();
+    push(element) {
+        this.focusStack.push(document.activeElement);
+        if (element && element.focus) {
+            element.focus();
+        }
     }
-}
 
-clear() {
-    this.focusStack = [];
-}
-```
+    pop() {
+        const previousElement = this.focusStack.pop();
+        if (previousElement && previousElement.focus) {
+            previousElement.focus();
+        }
+    }
 
+    clear() {
+        this.focusStack = [];
+    }
 }
 
 // Keyboard navigation helper
 export function handleArrowNavigation(event, items, currentIndex, callback) {
-const { key } = event;
-let newIndex = currentIndex;
-
-```
-switch (key) {
-    case 'ArrowUp':
-        event.preventDefault();
-        newIndex = currentIndex > 0 ? currentIndex - 1 : items.length - 1;
-        break;
-    case 'ArrowDown':
-        event.preventDefault();
-        newIndex = currentIndex < items.length - 1 ? currentIndex + 1 : 0;
-        break;
-    case 'Home':
-        event.preventDefault();
-        newIndex = 0;
-        break;
-    case 'End':
-        event.preventDefault();
-        newIndex = items.length - 1;
-        break;
-    default:
-        return false;
-}
-
-if (callback) {
-    callback(newIndex, items[newIndex]);
-}
+    const { key } = event;
+    let newIndex = currentIndex;
+
+    switch (key) {
+        case 'ArrowUp':
+            event.preventDefault();
+            newIndex = currentIndex > 0 ? currentIndex - 1 : items.length - 1;
+            break;
+        case 'ArrowDown':
+            event.preventDefault();
+            newIndex = currentIndex < items.length - 1 ? currentIndex + 1 : 0;
+            break;
+        case 'Home':
+            event.preventDefault();
+            newIndex = 0;
+            break;
+        case 'End':
+            event.preventDefault();
+            newIndex = items.length - 1;
+            break;
+        default:
+            return false;
+    }
 
-return true;
-```
+    if (callback) {
+        callback(newIndex, items[newIndex]);
+    }
 
+    return true;
 }
 
 // Create element with attributes and children
 export function createElement(tag, attributes = {}, children = []) {
-const element = document.createElement(tag);
-
-```
-// Set attributes
-Object.entries(attributes).forEach(([key, value]) => {
-    if (key === 'className') {
-        element.className = value;
-    } else if (key === 'dataset') {
-        Object.entries(value).forEach(([dataKey, dataValue]) => {
-            element.dataset[dataKey] = dataValue;
-        });
-    } else if (key.startsWith('on') && typeof value === 'function') {
-        element.addEventListener(key.slice(2).toLowerCase(), value);
-    } else {
-        element.setAttribute(key, value);
-    }
-});
-
-// Add children
-children.forEach(child => {
-    if (typeof child === 'string') {
-        element.appendChild(document.createTextNode(child));
-    } else if (child instanceof Node) {
-        element.appendChild(child);
-    }
-});
+    const element = document.createElement(tag);
+
+    // Set attributes
+    Object.entries(attributes).forEach(([key, value]) => {
+        if (key === 'className') {
+            element.className = value;
+        } else if (key === 'dataset') {
+            Object.entries(value).forEach(([dataKey, dataValue]) => {
+                element.dataset[dataKey] = dataValue;
+            });
+        } else if (key.startsWith('on') && typeof value === 'function') {
+            element.addEventListener(key.slice(2).toLowerCase(), value);
+        } else {
+            element.setAttribute(key, value);
+        }
+    });
 
-return element;
-```
+    // Add children
+    children.forEach(child => {
+        if (typeof child === 'string') {
+            element.appendChild(document.createTextNode(child));
+        } else if (child instanceof Node) {
+            element.appendChild(child);
+        }
+    });
 
+    return element;
 }
 
 // Virtual list implementation for performance
 export class VirtualList {
-constructor(container, itemHeight, renderItem, estimatedItemCount = 1000) {
-this.container = container;
-this.itemHeight = itemHeight;
-this.renderItem = renderItem;
-this.estimatedItemCount = estimatedItemCount;
-this.items = [];
-this.visibleItems = new Map();
-this.scrollTop = 0;
-this.containerHeight = 0;
-
-```
-    this.init();
-}
+    constructor(container, itemHeight, renderItem, estimatedItemCount = 1000) {
+        this.container = container;
+        this.itemHeight = itemHeight;
+        this.renderItem = renderItem;
+        this.estimatedItemCount = estimatedItemCount;
+        this.items = [];
+        this.visibleItems = new Map();
+        this.scrollTop = 0;
+        this.containerHeight = 0;
+
+        this.init();
+    }
 
-init() {
-    this.container.style.position = 'relative';
-    this.container.style.overflow = 'auto';
-    
-    this.scrollArea = document.createElement('div');
-    this.scrollArea.style.position = 'absolute';
-    this.scrollArea.style.top = '0';
-    this.scrollArea.style.left = '0';
-    this.scrollArea.style.width = '100%';
-    this.container.appendChild(this.scrollArea);
-    
-    this.container.addEventListener('scroll', throttle(() => {
-        this.handleScroll();
-    }, 16)); // 60fps
-    
-    this.updateContainerHeight();
-}
+    init() {
+        this.container.style.position = 'relative';
+        this.container.style.overflow = 'auto';
 
-setItems(items) {
-    this.items = items;
-    this.updateScrollArea();
-    this.render();
-}
+        this.scrollArea = document.createElement('div');
+        this.scrollArea.style.position = 'absolute';
+        this.scrollArea.style.top = '0';
+        this.scrollArea.style.left = '0';
+        this.scrollArea.style.width = '100%';
+        this.container.appendChild(this.scrollArea);
 
-updateContainerHeight() {
-    this.containerHeight = this.container.clientHeight;
-}
+        this.container.addEventListener('scroll', throttle(() => {
+            this.handleScroll();
+        }, 16)); // 60fps
 
-updateScrollArea() {
-    const totalHeight = this.items.length * this.itemHeight;
-    this.scrollArea.style.height = `${totalHeight}px`;
-}
+        this.updateContainerHeight();
+    }
 
-handleScroll() {
-    this.scrollTop = this.container.scrollTop;
-    this.render();
-}
+    setItems(items) {
+        this.items = items;
+        this.updateScrollArea();
+        this.render();
+    }
 
-render() {
-    const startIndex = Math.floor(this.scrollTop / this.itemHeight);
-    const endIndex = Math.min(
-        startIndex + Math.ceil(this.containerHeight / this.itemHeight) + 1,
-        this.items.length
-    );
-    
-    // Remove items that are no longer visible
-    for (const [index, element] of this.visibleItems) {
-        if (index < startIndex || index >= endIndex) {
-            element.remove();
-            this.visibleItems.delete(index);
-        }
+    updateContainerHeight() {
+        this.containerHeight = this.container.clientHeight;
     }
-    
-    // Add items that are now visible
-    for (let i = startIndex; i < endIndex; i++) {
-        if (!this.visibleItems.has(i) && this.items[i]) {
-            const element = this.renderItem(this.items[i], i);
-            element.style.position = 'absolute';
-            element.style.top = `${i * this.itemHeight}px`;
-            element.style.width = '100%';
-            element.style.height = `${this.itemHeight}px`;
-            
-            this.scrollArea.appendChild(element);
-            this.visibleItems.set(i, element);
-        }
+
+    updateScrollArea() {
+        const totalHeight = this.items.length * this.itemHeight;
+        this.scrollArea.style.height = `${totalHeight}px`;
     }
-}
 
-scrollToIndex(index) {
-    const targetScrollTop = index * this.itemHeight;
-    this.container.scrollTop = targetScrollTop;
-}
+    handleScroll() {
+        this.scrollTop = this.container.scrollTop;
+        this.render();
+    }
 
-destroy() {
-    this.visibleItems.clear();
-    this.scrollArea.remove();
-}
-```
+    render() {
+        const startIndex = Math.floor(this.scrollTop / this.itemHeight);
+        const endIndex = Math.min(
+            startIndex + Math.ceil(this.containerHeight / this.itemHeight) + 1,
+            this.items.length
+        );
+
+        // Remove items that are no longer visible
+        for (const [index, element] of this.visibleItems) {
+            if (index < startIndex || index >= endIndex) {
+                element.remove();
+                this.visibleItems.delete(index);
+            }
+        }
+
+        // Add items that are now visible
+        for (let i = startIndex; i < endIndex; i++) {
+            if (!this.visibleItems.has(i) && this.items[i]) {
+                const element = this.renderItem(this.items[i], i);
+                element.style.position = 'absolute';
+                element.style.top = `${i * this.itemHeight}px`;
+                element.style.width = '100%';
+                element.style.height = `${this.itemHeight}px`;
+
+                this.scrollArea.appendChild(element);
+                this.visibleItems.set(i, element);
+            }
+        }
+    }
+
+    scrollToIndex(index) {
+        const targetScrollTop = index * this.itemHeight;
+        this.container.scrollTop = targetScrollTop;
+    }
 
+    destroy() {
+        this.visibleItems.clear();
+        this.scrollArea.remove();
+    }
 }
 
 // Performance monitoring
 export class PerformanceMonitor {
-constructor() {
-this.metrics = new Map();
-}
-
-```
-start(label) {
-    this.metrics.set(label, performance.now());
-}
+    constructor() {
+        this.metrics = new Map();
+    }
 
-end(label) {
-    const startTime = this.metrics.get(label);
-    if (startTime) {
-        const duration = performance.now() - startTime;
-        console.log(`${label}: ${duration.toFixed(2)}ms`);
-        this.metrics.delete(label);
-        return duration;
+    start(label) {
+        this.metrics.set(label, performance.now());
     }
-    return null;
-}
 
-measure(label, fn) {
-    this.start(label);
-    const result = fn();
-    this.end(label);
-    return result;
-}
+    end(label) {
+        const startTime = this.metrics.get(label);
+        if (startTime) {
+            const duration = performance.now() - startTime;
+            console.log(`${label}: ${duration.toFixed(2)}ms`);
+            this.metrics.delete(label);
+            return duration;
+        }
+        return null;
+    }
 
-async measureAsync(label, fn) {
-    this.start(label);
-    const result = await fn();
-    this.end(label);
-    return result;
-}
-```
+    measure(label, fn) {
+        this.start(label);
+        const result = fn();
+        this.end(label);
+        return result;
+    }
 
+    async measureAsync(label, fn) {
+        this.start(label);
+        const result = await fn();
+        this.end(label);
+        return result;
+    }
 }
 
 // Error handling and logging
 export class ErrorHandler {
-constructor() {
-this.errors = [];
-this.maxErrors = 100;
-}
+    constructor() {
+        this.errors = [];
+        this.maxErrors = 100;
+    }
 
-```
-log(error, context = '') {
-    const errorInfo = {
-        message: error.message || error,
-        stack: error.stack,
-        context,
-        timestamp: Date.now(),
-        userAgent: navigator.userAgent,
-        url: window.location.href
-    };
-    
-    this.errors.unshift(errorInfo);
-    
-    // Keep only the latest errors
-    if (this.errors.length > this.maxErrors) {
-        this.errors = this.errors.slice(0, this.maxErrors);
-    }
-    
-    console.error('Error logged:', errorInfo);
-}
+    log(error, context = '') {
+        const errorInfo = {
+            message: error.message || error,
+            stack: error.stack,
+            context,
+            timestamp: Date.now(),
+            userAgent: navigator.userAgent,
+            url: window.location.href
+        };
+
+        this.errors.unshift(errorInfo);
+
+        // Keep only the latest errors
+        if (this.errors.length > this.maxErrors) {
+            this.errors = this.errors.slice(0, this.maxErrors);
+        }
 
-getErrors() {
-    return [...this.errors];
-}
+        console.error('Error logged:', errorInfo);
+    }
 
-clearErrors() {
-    this.errors = [];
-}
+    getErrors() {
+        return [...this.errors];
+    }
 
-exportErrors() {
-    return JSON.stringify(this.errors, null, 2);
-}
-```
+    clearErrors() {
+        this.errors = [];
+    }
 
+    exportErrors() {
+        return JSON.stringify(this.errors, null, 2);
+    }
 }
 
 // Local storage wrapper with error handling
 export class Storage {
-constructor(prefix = ‘qa_synthesizer_’) {
-this.prefix = prefix;
-}
+    constructor(prefix = 'qa_synthesizer_') {
+        this.prefix = prefix;
+    }
 
-```
-set(key, value) {
-    try {
-        const serialized = JSON.stringify(value);
-        localStorage.setItem(this.prefix + key, serialized);
-        return true;
-    } catch (error) {
-        console.error('Failed to save to localStorage:', error);
-        return false;
+    set(key, value) {
+        try {
+            const serialized = JSON.stringify(value);
+            localStorage.setItem(this.prefix + key, serialized);
+            return true;
+        } catch (error) {
+            console.error('Failed to save to localStorage:', error);
+            return false;
+        }
     }
-}
 
-get(key, defaultValue = null) {
-    try {
-        const item = localStorage.getItem(this.prefix + key);
-        return item ? JSON.parse(item) : defaultValue;
-    } catch (error) {
-        console.error('Failed to read from localStorage:', error);
-        return defaultValue;
+    get(key, defaultValue = null) {
+        try {
+            const item = localStorage.getItem(this.prefix + key);
+            return item ? JSON.parse(item) : defaultValue;
+        } catch (error) {
+            console.error('Failed to read from localStorage:', error);
+            return defaultValue;
+        }
     }
-}
 
-remove(key) {
-    try {
-        localStorage.removeItem(this.prefix + key);
-        return true;
-    } catch (error) {
-        console.error('Failed to remove from localStorage:', error);
-        return false;
+    remove(key) {
+        try {
+            localStorage.removeItem(this.prefix + key);
+            return true;
+        } catch (error) {
+            console.error('Failed to remove from localStorage:', error);
+            return false;
+        }
     }
-}
 
-clear() {
-    try {
-        const keys = Object.keys(localStorage).filter(key => 
-            key.startsWith(this.prefix)
-        );
-        keys.forEach(key => localStorage.removeItem(key));
-        return true;
-    } catch (error) {
-        console.error('Failed to clear localStorage:', error);
-        return false;
+    clear() {
+        try {
+            const keys = Object.keys(localStorage).filter(key => 
+                key.startsWith(this.prefix)
+            );
+            keys.forEach(key => localStorage.removeItem(key));
+            return true;
+        } catch (error) {
+            console.error('Failed to clear localStorage:', error);
+            return false;
+        }
+    }
+
+    size() {
+        try {
+            const keys = Object.keys(localStorage).filter(key => 
+                key.startsWith(this.prefix)
+            );
+            return keys.reduce((total, key) => {
+                return total + localStorage.getItem(key).length;
+            }, 0);
+        } catch (error) {
+            console.error('Failed to calculate storage size:', error);
+            return 0;
+        }
     }
 }
 
-size() {
-    try {
-        const keys = Object.keys(localStorage).filter(key => 
-            key.startsWith(this.prefix)
-        );
-        return keys.reduce((total, key) => {
-            return total + localStorage.getItem(key).length;
-        }, 0);
-    } catch (error) {
-        console.error('Failed to calculate storage size:', error);
-        return 0;
+// Resolve an IndexedDB request
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Resolve once an IndexedDB transaction has committed
+function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+}
+
+// IndexedDB storage with the Storage contract plus per-record writes.
+// get/set/remove/clear are async; size() stays synchronous and reports the
+// serialized size of everything read or written through this instance.
+export class IndexedDBStorage {
+    constructor(dbName = 'qa_synthesizer', recordStores = ['qas']) {
+        this.dbName = dbName;
+        this.recordStores = recordStores;
+        this.keyValueStore = 'kv';
+        this.version = 1;
+        this.sizes = new Map();
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            const request = indexedDB.open(this.dbName, this.version);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.keyValueStore)) {
+                    db.createObjectStore(this.keyValueStore);
+                }
+                this.recordStores.forEach(store => {
+                    if (!db.objectStoreNames.contains(store)) {
+                        db.createObjectStore(store, { keyPath: 'id' });
+                    }
+                });
+            };
+            this.dbPromise = requestToPromise(request);
+        }
+        return this.dbPromise;
+    }
+
+    async run(stores, mode, operation) {
+        const db = await this.open();
+        const transaction = db.transaction(stores, mode);
+        const result = operation(transaction);
+        await transactionDone(transaction);
+        return result;
+    }
+
+    trackSize(store, key, value) {
+        const sizeKey = `${store}:${key}`;
+        if (value === undefined) {
+            this.sizes.delete(sizeKey);
+        } else {
+            this.sizes.set(sizeKey, JSON.stringify(value).length);
+        }
+    }
+
+    async set(key, value) {
+        try {
+            await this.run(this.keyValueStore, 'readwrite', transaction => {
+                transaction.objectStore(this.keyValueStore).put(value, key);
+            });
+            this.trackSize(this.keyValueStore, key, value);
+            return true;
+        } catch (error) {
+            console.error('Failed to save to IndexedDB:', error);
+            return false;
+        }
+    }
+
+    async get(key, defaultValue = null) {
+        try {
+            const db = await this.open();
+            const store = db.transaction(this.keyValueStore).objectStore(this.keyValueStore);
+            const value = await requestToPromise(store.get(key));
+            this.trackSize(this.keyValueStore, key, value);
+            return value === undefined ? defaultValue : value;
+        } catch (error) {
+            console.error('Failed to read from IndexedDB:', error);
+            return defaultValue;
+        }
+    }
+
+    async remove(key) {
+        try {
+            await this.run(this.keyValueStore, 'readwrite', transaction => {
+                transaction.objectStore(this.keyValueStore).delete(key);
+            });
+            this.trackSize(this.keyValueStore, key, undefined);
+            return true;
+        } catch (error) {
+            console.error('Failed to remove from IndexedDB:', error);
+            return false;
+        }
+    }
+
+    async clear() {
+        try {
+            const stores = [this.keyValueStore, ...this.recordStores];
+            await this.run(stores, 'readwrite', transaction => {
+                stores.forEach(store => transaction.objectStore(store).clear());
+            });
+            this.sizes.clear();
+            return true;
+        } catch (error) {
+            console.error('Failed to clear IndexedDB:', error);
+            return false;
+        }
+    }
+
+    size() {
+        let total = 0;
+        this.sizes.forEach(length => {
+            total += length;
+        });
+        return total;
+    }
+
+    // Read every record of a record store
+    async getRecords(store) {
+        try {
+            const db = await this.open();
+            const records = await requestToPromise(db.transaction(store).objectStore(store).getAll());
+            records.forEach(record => this.trackSize(store, record.id, record));
+            return records;
+        } catch (error) {
+            console.error(`Failed to read ${store} from IndexedDB:`, error);
+            return [];
+        }
+    }
+
+    // Insert or overwrite the given records
+    async putRecords(store, records) {
+        if (records.length === 0) return true;
+        try {
+            await this.run(store, 'readwrite', transaction => {
+                const objectStore = transaction.objectStore(store);
+                records.forEach(record => objectStore.put(record));
+            });
+            records.forEach(record => this.trackSize(store, record.id, record));
+            return true;
+        } catch (error) {
+            console.error(`Failed to save ${store} to IndexedDB:`, error);
+            return false;
+        }
+    }
+
+    async deleteRecords(store, ids) {
+        if (ids.length === 0) return true;
+        try {
+            await this.run(store, 'readwrite', transaction => {
+                const objectStore = transaction.objectStore(store);
+                ids.forEach(id => objectStore.delete(id));
+            });
+            ids.forEach(id => this.trackSize(store, id, undefined));
+            return true;
+        } catch (error) {
+            console.error(`Failed to delete ${store} from IndexedDB:`, error);
+            return false;
+        }
+    }
+
+    // Atomically swap the whole contents of a record store
+    async replaceRecords(store, records) {
+        try {
+            await this.run(store, 'readwrite', transaction => {
+                const objectStore = transaction.objectStore(store);
+                objectStore.clear();
+                records.forEach(record => objectStore.put(record));
+            });
+            [...this.sizes.keys()]
+                .filter(sizeKey => sizeKey.startsWith(`${store}:`))
+                .forEach(sizeKey => this.sizes.delete(sizeKey));
+            records.forEach(record => this.trackSize(store, record.id, record));
+            return true;
+        } catch (error) {
+            console.error(`Failed to replace ${store} in IndexedDB:`, error);
+            return false;
+        }
     }
 }
-```
 
+// Pick the storage backend: IndexedDB when available, localStorage otherwise
+export function createStorage() {
+    return typeof indexedDB !== 'undefined' ? new IndexedDBStorage() : storage;
 }
 
 // Initialize global instances
@@ -599,10 +842,10 @@ export const errorHandler = new ErrorHandler();
 export const storage = new Storage();
 
 // Global error handler
-window.addEventListener(‘error’, (event) => {
-errorHandler.log(event.error, ‘Global error handler’);
+window.addEventListener('error', (event) => {
+    errorHandler.log(event.error, 'Global error handler');
 });
 
-window.addEventListener(‘unhandledrejection’, (event) => {
-errorHandler.log(event.reason, ‘Unhandled promise rejection’);
+window.addEventListener('unhandledrejection', (event) => {
+    errorHandler.log(event.reason, 'Unhandled promise rejection');
 });
@@ -0,0 +1,2773 @@
+/**
+ * View Layer for ChatGPT Q&A Synthesizer
+ * Renders database state and routes user interactions back to QADatabase
+ */
+
+import {
+    escapeAttribute,
+    escapeHTML,
+    copyToClipboard,
+    shareContent,
+    downloadData,
+    focusManager,
+    errorHandler,
+    formatDate,
+    truncateText
+} from './utils.js';
+import { parseSearchQuery, parseDateBounds } from './search.js';
+import { diffLines } from './revisions.js';
+import { readZip } from './zip.js';
+import { CONVERSATION_FORMATS, detectConversationFormat } from './conversations.js';
+import { DELIMITERS, IMPORT_FIELDS, detectDelimiter, guessColumnMapping, parseDelimited } from './csv.js';
+import { MERGE_ACTIONS, MERGE_STATUSES } from './merge.js';
+import { pickPrimary } from './similarity.js';
+import { isTemplate, syncVariables } from './templates.js';
+import { formatThread, getFollowUps, hasFollowUps } from './threads.js';
+import { highlightCode, renderMarkdown, renderMarkdownPreview, resolveLanguage } from './render.js';
+import {
+    FOLDER_ICONS,
+    getDescendantIds,
+    getFolderPath,
+    isSystemFolder,
+    isVirtualFolder,
+    TRASH_FOLDER_ID
+} from './folders.js';
+import { CATEGORY_COLORS, DEFAULT_CATEGORY_ID } from './categories.js';
+
+const TRASH_ICON = 'M6 19c0 1.1.9 2 2 2h8c1.1 0 2-.9 2-2V7H6v12zM19 4h-3.5l-1-1h-5l-1 1H5v2h14V4z';
+
+// The snippet library lists at most this many code blocks at once
+const MAX_SNIPPETS_SHOWN = 200;
+
+// dataTransfer types for dragging cards and folders onto the sidebar
+const DRAG_TYPES = {
+    prompts: 'application/x-qa-prompts',
+    folder: 'application/x-qa-folder'
+};
+
+export class QAView {
+    constructor(db) {
+        this.db = db;
+        this.selectedItems = new Set();
+        this.expandedItems = new Set();
+        this.currentEditId = null;
+        this.currentFolderEditId = null;
+        this.collapsedFolders = new Set();
+        this.renderFrame = null;
+        this.searchErrors = [];
+        this.repairReport = null;
+        this.csvImport = null;
+        this.mergePlan = null;
+        this.pendingQuestion = null;
+        this.duplicateClusters = [];
+        this.templateFill = null;
+        this.currentCategoryEditId = null;
+        this.recategorizePlan = [];
+
+        this.elements = {
+            searchInput: document.getElementById('searchInput'),
+            searchError: document.getElementById('searchError'),
+            folderList: document.getElementById('folderList'),
+            categoryFilter: document.getElementById('categoryFilter'),
+            qaGrid: document.getElementById('qaGrid'),
+            trashBar: document.getElementById('trashBar'),
+            emptyState: document.getElementById('emptyState'),
+            analyticsSection: document.getElementById('analyticsSection'),
+            analyticsGrid: document.getElementById('analyticsGrid'),
+            batchActions: document.getElementById('batchActions'),
+            batchCount: document.getElementById('batchCount'),
+            editModal: document.getElementById('editModal'),
+            addFolderModal: document.getElementById('addFolderModal'),
+            smartFolderModal: document.getElementById('smartFolderModal'),
+            tagManagerModal: document.getElementById('tagManagerModal'),
+            importModal: document.getElementById('importModal'),
+            repairModal: document.getElementById('repairModal'),
+            csvImportModal: document.getElementById('csvImportModal'),
+            mergeModal: document.getElementById('mergeModal'),
+            duplicateModal: document.getElementById('duplicateModal'),
+            duplicatesModal: document.getElementById('duplicatesModal'),
+            templateModal: document.getElementById('templateModal'),
+            snippetsModal: document.getElementById('snippetsModal'),
+            categoryManagerModal: document.getElementById('categoryManagerModal'),
+            categoryModal: document.getElementById('categoryModal'),
+            recategorizeModal: document.getElementById('recategorizeModal'),
+            providerModal: document.getElementById('providerModal')
+        };
+
+        this.bindDatabaseEvents();
+        this.setupEventListeners();
+    }
+
+    // Subscribe to database events so the UI always reflects persisted state
+    bindDatabaseEvents() {
+        const rerender = () => this.scheduleRender();
+
+        this.db.on('initialized', () => {
+            this.elements.searchInput.value = this.db.data.settings.searchTerm || '';
+            this.renderFolders();
+            this.renderCategories();
+            this.scheduleRender();
+            this.showToast('ChatGPT Q&A Synthesizer loaded successfully', 'success');
+        });
+
+        this.db.on('promptAdded', rerender);
+        this.db.on('promptUpdated', rerender);
+        this.db.on('viewsIncremented', rerender);
+        this.db.on('ratingUpdated', rerender);
+        this.db.on('promptsMoved', rerender);
+        this.db.on('promptsFlagged', rerender);
+        this.db.on('promptsRecategorized', rerender);
+        this.db.on('promptsRestored', rerender);
+        this.db.on('promptsPurged', (prompts) => {
+            prompts.forEach(qa => this.selectedItems.delete(qa.id));
+            this.scheduleRender();
+        });
+        this.db.on('tagsUpdated', () => {
+            this.scheduleRender();
+            if (this.elements.tagManagerModal.classList.contains('active')) {
+                this.renderTagManager();
+            }
+        });
+        this.db.on('sampleDataAdded', rerender);
+
+        // The snippet library follows answers as they are added, edited and deleted
+        ['promptAdded', 'promptUpdated', 'promptDeleted', 'promptsRestored', 'dataImported', 'sampleDataAdded'].forEach(event => {
+            this.db.on(event, () => {
+                if (this.elements.snippetsModal.classList.contains('active')) {
+                    this.renderSnippets();
+                }
+            });
+        });
+        this.db.on('settingsUpdated', rerender);
+
+        this.db.on('promptDeleted', (qa) => {
+            this.selectedItems.delete(qa.id);
+            this.expandedItems.delete(qa.id);
+            this.scheduleRender();
+        });
+
+        const resetAll = () => {
+            this.selectedItems.clear();
+            this.expandedItems.clear();
+            this.renderFolders();
+            this.renderCategories();
+            this.scheduleRender();
+        };
+
+        // Category buttons, selects and the category manager follow every category change
+        ['categoryAdded', 'categoryUpdated', 'categoryDeleted', 'promptsRecategorized'].forEach(event => {
+            this.db.on(event, () => {
+                this.renderCategories();
+                this.scheduleRender();
+                if (this.elements.categoryManagerModal.classList.contains('active')) {
+                    this.renderCategoryManager();
+                }
+            });
+        });
+
+        this.db.on('dataImported', resetAll);
+        this.db.on('dataCleared', resetAll);
+        this.db.on('historyRestored', ({ label, action }) => {
+            resetAll();
+            if (this.currentEditId && !this.db.getPrompt(this.currentEditId)) {
+                this.closeEditModal();
+            }
+            if (this.elements.tagManagerModal.classList.contains('active')) {
+                this.renderTagManager();
+            }
+            if (this.elements.duplicatesModal.classList.contains('active')) {
+                this.findDuplicates();
+            }
+            if (this.elements.snippetsModal.classList.contains('active')) {
+                this.renderSnippets();
+            }
+            if (this.elements.categoryManagerModal.classList.contains('active')) {
+                this.renderCategoryManager();
+            }
+            this.showToast(`${action === 'undo' ? 'Undid' : 'Redid'}: ${label}`, 'success');
+        });
+
+        this.db.on('folderAdded', rerender);
+        this.db.on('folderUpdated', rerender);
+        this.db.on('folderMoved', rerender);
+        this.db.on('smartFolderAdded', rerender);
+        this.db.on('smartFolderUpdated', rerender);
+        this.db.on('smartFolderDeleted', rerender);
+        this.db.on('folderDeleted', (folder) => {
+            this.collapsedFolders.delete(folder.id);
+            this.scheduleRender();
+        });
+
+        this.db.on('answerStreaming', ({ id, index, answer }) => this.renderStreamingAnswer(id, answer, index));
+        this.db.on('answerFailed', (qa) => {
+            this.showToast(`Answer failed: ${qa.answerError}`, 'error');
+        });
+
+        this.db.on('saveError', () => {
+            this.showToast('Failed to save data', 'error');
+        });
+
+        this.db.on('dataMigrated', ({ fromVersion, toVersion }) => {
+            this.showToast(`Upgraded saved data from version ${fromVersion} to ${toVersion}`, 'success');
+        });
+        this.db.on('dataRepaired', (report) => {
+            this.repairReport = report;
+            const quarantined = report.quarantined.length;
+            this.showToast(
+                `Repaired ${report.fixes.length} problems in your data${quarantined > 0 ? `; ${quarantined} records quarantined` : ''}`,
+                quarantined > 0 ? 'error' : 'success',
+                { label: 'Details', handler: () => this.showRepairReport() }
+            );
+        });
+        this.db.on('dataRefused', ({ error }) => {
+            this.showToast(`${error.message}. Changes will not be saved.`, 'error');
+        });
+    }
+
+    // Wire DOM events that are not expressed as inline handlers
+    setupEventListeners() {
+        const { searchInput, folderList, qaGrid } = this.elements;
+
+        searchInput.addEventListener('input', (e) => {
+            this.db.updateSettings({ searchTerm: e.target.value });
+        });
+
+        // Enter only creates a prompt when the text starts with ">"; otherwise it is a search
+        searchInput.addEventListener('keypress', (e) => {
+            const value = e.target.value.trim();
+            if (e.key === 'Enter' && value.startsWith('>')) {
+                const question = value.slice(1).trim();
+                if (!question) return;
+
+                this.createPrompt(question);
+            }
+        });
+
+        folderList.addEventListener('click', (e) => {
+            const deleteButton = e.target.closest('.folder-delete');
+            if (deleteButton) {
+                this.deleteSmartFolder(deleteButton.dataset.folder);
+                return;
+            }
+
+            const toggleButton = e.target.closest('.folder-toggle');
+            if (toggleButton) {
+                this.toggleFolderCollapsed(toggleButton.dataset.folder);
+                return;
+            }
+
+            const editButton = e.target.closest('.folder-edit');
+            if (editButton) {
+                this.showEditFolderDialog(editButton.dataset.folder);
+                return;
+            }
+
+            const folderItem = e.target.closest('.folder-item');
+            if (folderItem) {
+                this.setCurrentFolder(folderItem.dataset.folder);
+            }
+        });
+
+        document.getElementById('editForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveEditedPrompt();
+        });
+
+        this.setupDragAndDrop(qaGrid, folderList);
+        this.setupCardActions(qaGrid);
+
+        this.elements.categoryFilter.addEventListener('click', (e) => {
+            const button = e.target.closest('.category-btn');
+            if (button) {
+                this.setCategory(button.dataset.category);
+            }
+        });
+        document.getElementById('snippetList').addEventListener('click', (e) => {
+            const source = e.target.closest('.snippet-source');
+            if (source) {
+                this.openSnippetPrompt(source.dataset.id);
+            }
+        });
+        document.getElementById('categoryList').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-category]');
+            if (button) {
+                this.editCategory(button.dataset.category);
+            }
+        });
+
+        document.getElementById('addFolderForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveFolder();
+        });
+
+        document.getElementById('categoryForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveCategory();
+        });
+
+        this.setupTagEditing();
+
+        document.getElementById('smartFolderForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.addSmartFolder();
+        });
+
+        document.getElementById('importForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.importData();
+        });
+
+        document.getElementById('templateForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitTemplateForm();
+        });
+        document.getElementById('templateFields').addEventListener('input', () => this.renderTemplatePreview());
+
+        document.getElementById('providerForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveProviderSettings();
+        });
+
+        // Close modals when clicking outside
+        document.addEventListener('click', (e) => {
+            if (e.target.classList.contains('modal')) {
+                this.closeModal(e.target);
+            }
+        });
+
+        // Keyboard shortcuts
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                document.querySelectorAll('.modal.active').forEach(modal => this.closeModal(modal));
+                return;
+            }
+
+            if (e.ctrlKey || e.metaKey) {
+                // Text fields keep their native undo
+                const isEditingText = e.target.matches && e.target.matches('input, textarea, select, [contenteditable="true"]');
+
+                switch (e.key.toLowerCase()) {
+                    case 'k':
+                        e.preventDefault();
+                        searchInput.focus();
+                        break;
+                    case 's':
+                        e.preventDefault();
+                        this.saveNow();
+                        break;
+                    case 'z':
+                        if (isEditingText) break;
+                        e.preventDefault();
+                        if (e.shiftKey) {
+                            this.redo();
+                        } else {
+                            this.undo();
+                        }
+                        break;
+                    case 'y':
+                        if (isEditingText) break;
+                        e.preventDefault();
+                        this.redo();
+                        break;
+                }
+            }
+        });
+    }
+
+    // Card controls name their action in data-action; the prompt id is read from the card and
+    // follow-up positions from the thread message, so no record data ends up in inline script
+    setupCardActions(qaGrid) {
+        const actions = {
+            toggleFavorite: id => this.toggleFavorite(id),
+            toggleArchived: id => this.toggleArchived(id),
+            editPrompt: id => this.editPrompt(id),
+            startFollowUp: id => this.startFollowUp(id),
+            copyPrompt: id => this.copyPrompt(id),
+            sharePrompt: id => this.sharePrompt(id),
+            stopAnswer: id => this.stopAnswer(id),
+            retryAnswer: id => this.retryAnswer(id),
+            toggleExpand: id => this.toggleExpand(id),
+            restorePrompt: id => this.restorePrompt(id),
+            purgePrompt: id => this.purgePrompt(id),
+            setRating: (id, control) => this.setRating(id, Number(control.dataset.rating)),
+            removeFollowUp: (id, control) => this.removeFollowUp(id, Number(control.closest('.thread-message').dataset.index)),
+            retryFollowUp: (id, control) => this.retryFollowUp(id, Number(control.closest('.thread-message').dataset.index))
+        };
+
+        qaGrid.addEventListener('click', (e) => {
+            const control = e.target.closest('[data-action]');
+            const card = control && control.closest('.qa-card');
+            if (card && actions[control.dataset.action]) {
+                actions[control.dataset.action](card.dataset.id, control);
+            }
+        });
+        qaGrid.addEventListener('change', (e) => {
+            const card = e.target.classList.contains('checkbox') && e.target.closest('.qa-card');
+            if (card) {
+                this.toggleSelection(card.dataset.id);
+            }
+        });
+        qaGrid.addEventListener('submit', (e) => {
+            const card = e.target.closest('.follow-up-form') && e.target.closest('.qa-card');
+            if (card) {
+                this.askFollowUp(e, card.dataset.id);
+            }
+        });
+    }
+
+    // Cards (or the whole selection when a selected card is dragged) and custom folders
+    // can be dropped onto folders in the sidebar
+    setupDragAndDrop(qaGrid, folderList) {
+        qaGrid.addEventListener('dragstart', (e) => {
+            const card = e.target.closest('.qa-card');
+            if (!card) return;
+
+            const id = card.dataset.id;
+            const ids = this.selectedItems.has(id) ? Array.from(this.selectedItems) : [id];
+            e.dataTransfer.setData(DRAG_TYPES.prompts, JSON.stringify(ids));
+            e.dataTransfer.effectAllowed = 'move';
+        });
+
+        folderList.addEventListener('dragstart', (e) => {
+            const folderItem = e.target.closest('.folder-item[draggable="true"]');
+            if (!folderItem) return;
+
+            e.dataTransfer.setData(DRAG_TYPES.folder, folderItem.dataset.folder);
+            e.dataTransfer.effectAllowed = 'move';
+        });
+
+        folderList.addEventListener('dragover', (e) => {
+            const folderItem = this.getDropTarget(e);
+            if (!folderItem) return;
+
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            folderItem.classList.add('drop-target');
+        });
+
+        folderList.addEventListener('dragleave', (e) => {
+            const folderItem = e.target.closest('.folder-item');
+            if (folderItem && !folderItem.contains(e.relatedTarget)) {
+                folderItem.classList.remove('drop-target');
+            }
+        });
+
+        folderList.addEventListener('drop', (e) => {
+            const folderItem = this.getDropTarget(e);
+            if (!folderItem) return;
+
+            e.preventDefault();
+            folderItem.classList.remove('drop-target');
+            this.handleFolderDrop(folderItem.dataset.folder, e.dataTransfer, e.ctrlKey || e.altKey);
+        });
+    }
+
+    // Smart folders never accept drops. "All Prompts" only accepts folders (moving them to the top level);
+    // Favorites, Archive and Trash only accept cards, which sets the matching flag or deletes them.
+    getDropTarget(e) {
+        const folderItem = e.target.closest('.folder-item');
+        if (!folderItem || folderItem.classList.contains('smart')) return null;
+
+        const folderId = folderItem.dataset.folder;
+        const types = Array.from(e.dataTransfer.types);
+        if (folderId === TRASH_FOLDER_ID) {
+            return types.includes(DRAG_TYPES.prompts) && this.db.data.settings.currentFolder !== TRASH_FOLDER_ID ? folderItem : null;
+        }
+        if (types.includes(DRAG_TYPES.folder) && (folderId === 'all' || !isVirtualFolder(folderId))) return folderItem;
+        if (types.includes(DRAG_TYPES.prompts) && folderId !== 'all') return folderItem;
+        return null;
+    }
+
+    // Dropping cards moves them; holding Ctrl or Alt adds the folder and keeps their other folders
+    handleFolderDrop(targetId, dataTransfer, keepExisting = false) {
+        const target = this.db.getFolder(targetId);
+
+        try {
+            const folderId = dataTransfer.getData(DRAG_TYPES.folder);
+            if (folderId) {
+                if (folderId === targetId) return;
+                const folder = this.db.moveFolder(folderId, targetId);
+                this.collapsedFolders.delete(targetId);
+                this.showToast(`Moved "${folder.name}" ${targetId === 'all' ? 'to the top level' : `into "${target.name}"`}`, 'success');
+                return;
+            }
+
+            const ids = JSON.parse(dataTransfer.getData(DRAG_TYPES.prompts) || '[]');
+            this.selectedItems.clear();
+            this.scheduleRender();
+
+            if (targetId === TRASH_FOLDER_ID) {
+                const deleted = this.db.batchDelete(ids);
+                this.showUndoToast(`Moved ${deleted.length} prompts to the trash`);
+            } else if (targetId === 'favorites') {
+                const flagged = this.db.setFavorite(ids, true);
+                this.showToast(`Added ${flagged.length} prompts to Favorites`, 'success');
+            } else if (targetId === 'archive') {
+                const flagged = this.db.setArchived(ids, true);
+                this.showUndoToast(`Archived ${flagged.length} prompts`);
+            } else if (keepExisting) {
+                const added = this.db.addToFolder(ids, targetId);
+                this.showToast(`Added ${added.length} prompts to ${target.name}`, 'success');
+            } else {
+                const moved = this.db.moveToFolder(ids, targetId);
+                this.showUndoToast(`Moved ${moved.length} prompts to ${target.name}`);
+            }
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    // Coalesce bursts of database events into a single render per frame
+    scheduleRender() {
+        if (this.renderFrame) return;
+        this.renderFrame = requestAnimationFrame(() => {
+            this.renderFrame = null;
+            this.render();
+        });
+    }
+
+    render() {
+        this.renderFolders();
+        this.renderTrashBar();
+        this.renderQACards();
+        this.renderAnalytics();
+        this.renderBatchActions();
+        this.renderControls();
+    }
+
+    // Current filter state as understood by QADatabase.getPrompts.
+    // Filters typed into the search box take precedence over the sidebar and category buttons.
+    getFilters() {
+        const { currentFolder, currentCategory, searchTerm, sortBy } = this.db.data.settings;
+        // Text after ">" is a prompt being composed, not a search
+        const query = (searchTerm || '').trim().startsWith('>') ? '' : searchTerm;
+        const { filters, errors } = parseSearchQuery(query, {
+            categories: this.db.getCategoryIds(),
+            folders: this.getFolderContext()
+        });
+
+        this.searchErrors = errors;
+        return {
+            folder: currentFolder,
+            category: currentCategory,
+            sortBy,
+            ...filters
+        };
+    }
+
+    renderQACards() {
+        const { qaGrid, emptyState } = this.elements;
+        const prompts = this.db.getPrompts(this.getFilters());
+        this.renderSearchErrors();
+
+        if (prompts.length === 0) {
+            qaGrid.style.display = 'none';
+            emptyState.style.display = 'block';
+            qaGrid.innerHTML = '';
+            return;
+        }
+
+        qaGrid.style.display = 'grid';
+        emptyState.style.display = 'none';
+        const isTrash = this.db.data.settings.currentFolder === TRASH_FOLDER_ID;
+        qaGrid.innerHTML = prompts.map(qa => isTrash ? this.createTrashCard(qa) : this.createQACard(qa)).join('');
+    }
+
+    // Retention setting and "Empty Trash", shown above the grid in the Trash view
+    renderTrashBar() {
+        const { trashBar } = this.elements;
+        const isTrash = this.db.data.settings.currentFolder === TRASH_FOLDER_ID;
+        trashBar.classList.toggle('hidden', !isTrash);
+        if (!isTrash) return;
+
+        const days = this.db.getTrashRetentionDays();
+        const select = document.getElementById('trashRetention');
+        if (!select.querySelector(`option[value="${days}"]`)) {
+            select.insertAdjacentHTML('beforeend', `<option value="${days}">${days} days</option>`);
+        }
+        select.value = String(days);
+        document.getElementById('trashCount').textContent = `${this.db.data.trash.length} prompts in the trash`;
+        document.getElementById('emptyTrashBtn').disabled = this.db.data.trash.length === 0;
+    }
+
+    // Trashed prompts can only be restored or deleted for good
+    createTrashCard(qa) {
+        const isSelected = this.selectedItems.has(qa.id);
+        const id = escapeAttribute(qa.id);
+        const days = this.db.getTrashRetentionDays();
+        const purgeNote = days > 0
+            ? `Deleted permanently ${new Date(qa.deletedAt + days * 24 * 60 * 60 * 1000).toLocaleDateString()}`
+            : 'Kept until deleted';
+
+        return `
+            <div class="qa-card trashed ${isSelected ? 'selected' : ''}" data-id="${id}">
+                <input type="checkbox" class="checkbox" ${isSelected ? 'checked' : ''}>
+
+                <div class="qa-card-header">
+                    <div class="qa-tags">
+                        ${this.renderCategoryTag(qa.category)}
+                        ${qa.folders.slice(0, 2).map(folderId => `
+                            <span class="tag">${escapeHTML(this.db.getFolder(folderId)?.name || 'Deleted folder')}</span>
+                        `).join('')}
+                    </div>
+                    <div class="qa-actions">
+                        <button class="action-btn" data-action="restorePrompt" title="Restore">
+                            <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
+                                <path d="M13 3a9 9 0 0 0-9 9H1l3.89 3.89.07.14L9 12H6c0-3.87 3.13-7 7-7s7 3.13 7 7-3.13 7-7 7c-1.93 0-3.68-.79-4.94-2.06l-1.42 1.42A8.954 8.954 0 0 0 13 21a9 9 0 0 0 0-18z"/>
+                            </svg>
+                        </button>
+                        <button class="action-btn" data-action="purgePrompt" title="Delete permanently">
+                            <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
+                                <path d="${TRASH_ICON}"/>
+                            </svg>
+                        </button>
+                    </div>
+                </div>
+
+                <h3 class="qa-question">${qa.highlights ? qa.highlights.question : escapeHTML(qa.question)}</h3>
+                <div class="qa-answer collapsed" data-id="${id}">
+                    ${this.renderAnswerText(qa, false, this.getAnswerPreview(qa.answer))}
+                </div>
+
+                <div class="qa-footer">
+                    <span>🗑️ Deleted ${escapeHTML(formatDate(qa.deletedAt))}</span>
+                    <span>${purgeNote}</span>
+                </div>
+            </div>
+        `;
+    }
+
+    createQACard(qa) {
+        const isSelected = this.selectedItems.has(qa.id);
+        const isExpanded = this.expandedItems.has(qa.id);
+        const answerPreview = this.getAnswerPreview(qa.answer);
+        const id = escapeAttribute(qa.id);
+        const template = qa.templateId ? this.db.getPrompt(qa.templateId) : null;
+
+        return `
+            <div class="qa-card fade-in glow ${isSelected ? 'selected' : ''}" data-id="${id}" draggable="true">
+                <input type="checkbox" class="checkbox" ${isSelected ? 'checked' : ''}>
+
+                <div class="qa-card-header">
+                    <div class="qa-tags">
+                        ${this.renderCategoryTag(qa.category)}
+                        ${qa.folders.slice(0, 2).map(folderId => `
+                            <span class="tag">${escapeHTML(this.db.getFolder(folderId)?.name || folderId)}</span>
+                        `).join('')}
+                        ${qa.archived ? '<span class="tag">Archived</span>' : ''}
+                        ${isTemplate(qa) ? '<span class="tag" title="Copying or sharing asks for its variables">🧩 Template</span>' : ''}
+                        <span class="tag">⭐ ${qa.score}/10</span>
+                        ${qa.tags.slice(0, 2).map(tag => `<span class="tag">${escapeHTML(tag)}</span>`).join('')}
+                    </div>
+                    <div class="qa-actions">
+                        <button class="action-btn ${qa.favorite ? 'active' : ''}" data-action="toggleFavorite"
+                                title="${qa.favorite ? 'Remove from favorites' : 'Add to favorites'}" aria-pressed="${Boolean(qa.favorite)}">
+                            <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
+                                <path d="${FOLDER_ICONS.star}"/>
+                            </svg>
+                        </button>
+                        <button class="action-btn" data-action="toggleArchived" title="${qa.archived ? 'Unarchive' : 'Archive'}">
+                            <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
+                                <path d="${FOLDER_ICONS.archive}"/>
+                            </svg>
+                        </button>
+                        <button class="action-btn" data-action="editPrompt" title="Edit">
+                            <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
+                                <path d="M3 17.25V21h3.75L17.81 9.94l-3.75-3.75L3 17.25zM20.71 7.04c.39-.39.39-1.02 0-1.41l-2.34-2.34c-.39-.39-1.02-.39-1.41 0l-1.83 1.83 3.75 3.75 1.83-1.83z"/>
+                            </svg>
+                        </button>
+                        <button class="action-btn" data-action="startFollowUp" title="Ask a follow-up">
+                            <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
+                                <path d="M10 9V5l-7 7 7 7v-4.1c5 0 8.5 1.6 11 5.1-1-5-4-10-11-11z"/>
+                            </svg>
+                        </button>
+                        <button class="action-btn" data-action="copyPrompt" title="Copy">
+                            <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
+                                <path d="M16 1H4c-1.1 0-2 .9-2 2v14h2V3h12V1zm3 4H8c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h11c1.1 0 2-.9 2-2V7c0-1.1-.9-2-2-2zm0 16H8V7h11v14z"/>
+                            </svg>
+                        </button>
+                        <button class="action-btn" data-action="sharePrompt" title="Share">
+                            <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
+                                <path d="M18 16.08c-.76 0-1.44.3-1.96.77L8.91 12.7c.05-.23.09-.46.09-.7s-.04-.47-.09-.7l7.05-4.11c.54.5 1.25.81 2.04.81 1.66 0 3-1.34 3-3s-1.34-3-3-3-3 1.34-3 3c0 .24.04.47.09.7L8.04 9.81C7.5 9.31 6.79 9 6 9c-1.66 0-3 1.34-3 3s1.34 3 3 3c.79 0 1.50-.31 2.04-.81l7.12 4.16c-.05.21-.08.43-.08.65 0 1.61 1.31 2.92 2.92 2.92s2.92-1.31 2.92-2.92-1.31-2.92-2.92-2.92z"/>
+                            </svg>
+                        </button>
+                    </div>
+                </div>
+
+                <div class="rating">
+                    ${[1, 2, 3, 4, 5].map(star => `
+                        <svg class="star ${star <= qa.rating ? 'filled' : ''}"
+                             data-action="setRating" data-rating="${star}" viewBox="0 0 24 24">
+                            <path d="M12 2l3.09 6.26L22 9.27l-5 4.87 1.18 6.88L12 17.77l-6.18 3.25L7 14.14 2 9.27l6.91-1.01L12 2z"/>
+                        </svg>
+                    `).join('')}
+                </div>
+
+                <h3 class="qa-question">${qa.highlights ? qa.highlights.question : escapeHTML(qa.question)}</h3>
+                <div class="qa-answer ${!isExpanded ? 'collapsed' : ''} ${qa.answerStatus ? `answer-${qa.answerStatus}` : ''}" data-id="${id}">
+                    ${this.renderAnswerText(qa, isExpanded, answerPreview)}
+                </div>
+                ${qa.answerStatus === 'pending' ? `
+                    <button class="expand-btn" data-action="stopAnswer">■ Stop</button>
+                ` : ''}
+                ${qa.answerStatus === 'failed' || qa.answerStatus === 'stopped' ? `
+                    <div class="answer-error">
+                        ${qa.answerStatus === 'stopped'
+                            ? '⏹ Stopped before the answer was complete'
+                            : `⚠️ ${escapeHTML(qa.answerError || 'Answer generation failed')}`}
+                    </div>
+                    <button class="expand-btn" data-action="retryAnswer">↻ Retry</button>
+                ` : ''}
+
+                ${isExpanded ? this.renderThread(qa) : ''}
+
+                ${answerPreview.truncated || hasFollowUps(qa) ? `
+                    <button class="expand-btn" data-action="toggleExpand">
+                        ${isExpanded ? 'Show less ↑' : 'Show more ↓'}
+                    </button>
+                ` : ''}
+
+                <div class="qa-footer">
+                    <span>👁️ ${qa.views} views</span>
+                    ${hasFollowUps(qa) ? `
+                        <span title="Messages after the first exchange">↩ ${getFollowUps(qa).filter(message => message.role === 'user').length} follow-ups</span>
+                    ` : ''}
+                    ${qa.conversation ? `
+                        <span title="Imported from ${escapeAttribute(CONVERSATION_FORMATS[qa.conversation.source]?.name || qa.conversation.source)}">💬 ${escapeHTML(qa.conversation.title || 'Untitled conversation')}</span>
+                    ` : ''}
+                    ${template ? `
+                        <span title="Filled from a template">🧩 ${escapeHTML(truncateText(template.question, 40))}</span>
+                    ` : ''}
+                    <span>${new Date(qa.timestamp).toLocaleDateString()}</span>
+                </div>
+            </div>
+        `;
+    }
+
+    // Folder names the search box understands, mapped to the ids getPrompts expects
+    getFolderContext() {
+        return [
+            ...this.db.data.folders.map(({ id, name }) => ({ id, name })),
+            ...this.db.data.smartFolders.map(({ name }) => ({ id: name, name }))
+        ];
+    }
+
+    renderSearchErrors() {
+        const { searchError, searchInput } = this.elements;
+        const errors = this.searchErrors;
+
+        searchError.textContent = errors.join(' · ');
+        searchError.classList.toggle('hidden', errors.length === 0);
+        searchInput.setAttribute('aria-invalid', errors.length > 0 ? 'true' : 'false');
+    }
+
+    // Collapsed cards show the search snippet when the answer matched the query
+    renderAnswerText(qa, isExpanded, answerPreview) {
+        if (qa.answerStatus === 'pending' && !qa.answer) {
+            return 'Generating answer…';
+        }
+        if (!isExpanded && qa.highlights && qa.highlights.answer.includes('<mark>')) {
+            return qa.highlights.answer;
+        }
+        return isExpanded ? renderMarkdown(qa.answer) : answerPreview.html;
+    }
+
+    // Rendered start of an answer that ends between blocks: { html, truncated }
+    getAnswerPreview(answer) {
+        return renderMarkdownPreview(answer);
+    }
+
+    // Append streamed text to the visible card without re-rendering the grid; `index` is set for
+    // replies in the thread, which only show on expanded cards
+    renderStreamingAnswer(id, answer, index = null) {
+        if (index !== null && index !== undefined) {
+            const message = this.elements.qaGrid.querySelector(
+                `.thread-message[data-id="${CSS.escape(id)}"][data-index="${index}"] .thread-content`
+            );
+            if (message) message.innerHTML = renderMarkdown(answer);
+            return;
+        }
+
+        const answerElement = this.elements.qaGrid.querySelector(`.qa-answer[data-id="${CSS.escape(id)}"]`);
+        if (!answerElement) return;
+
+        answerElement.innerHTML = this.expandedItems.has(id) ? renderMarkdown(answer) : this.getAnswerPreview(answer).html;
+    }
+
+    // Follow-up messages of an expanded card, and the box for asking the next one
+    renderThread(qa) {
+        const id = escapeAttribute(qa.id);
+        const pending = this.db.isAnswerPending(qa.id) || qa.answerStatus === 'pending';
+
+        const messages = getFollowUps(qa).map((message, index) => `
+            <div class="thread-message thread-${message.role} ${message.status ? `answer-${message.status}` : ''}"
+                 data-id="${id}" data-index="${index}">
+                <div class="thread-role">
+                    ${message.role === 'user' ? 'Follow-up' : 'Answer'}
+                    ${message.role === 'user' ? `
+                        <button class="thread-remove" data-action="removeFollowUp"
+                                title="Remove this follow-up and its answer">×</button>
+                    ` : ''}
+                </div>
+                <div class="thread-content">${message.status === 'pending' && !message.content
+                    ? 'Generating answer…'
+                    : message.role === 'assistant' ? renderMarkdown(message.content) : escapeHTML(message.content)}</div>
+                ${message.status === 'pending' ? `
+                    <button class="expand-btn" data-action="stopAnswer">■ Stop</button>
+                ` : ''}
+                ${message.status === 'failed' || message.status === 'stopped' ? `
+                    <div class="answer-error">
+                        ${message.status === 'stopped'
+                            ? '⏹ Stopped before the answer was complete'
+                            : `⚠️ ${escapeHTML(message.error || 'Answer generation failed')}`}
+                    </div>
+                    <button class="expand-btn" data-action="retryFollowUp">↻ Retry</button>
+                ` : ''}
+            </div>
+        `).join('');
+
+        return `
+            <div class="qa-thread">
+                ${messages}
+                <form class="follow-up-form">
+                    <input type="text" class="form-input follow-up-input" placeholder="Ask a follow-up…"
+                           aria-label="Follow-up question" ${pending ? 'disabled' : ''} />
+                    <button type="submit" class="btn" ${pending ? 'disabled' : ''}>Ask</button>
+                </form>
+            </div>
+        `;
+    }
+
+    renderFolders() {
+        const { folderList } = this.elements;
+        const currentFolder = this.db.data.settings.currentFolder;
+        const counts = this.db.getFolderCounts();
+
+        // Depth-first walk; collapsed folders hide their branch
+        const renderBranch = (parentId, depth) => this.db.getFolderChildren(parentId).map(folder => {
+            const hasChildren = this.db.getFolderChildren(folder.id).length > 0;
+            const isCollapsed = this.collapsedFolders.has(folder.id);
+            return this.createFolderItem(folder, {
+                depth,
+                count: counts[folder.id] || 0,
+                isActive: folder.id === currentFolder,
+                hasChildren,
+                isCollapsed
+            }) + (hasChildren && !isCollapsed ? renderBranch(folder.id, depth + 1) : '');
+        }).join('');
+
+        const allFolder = this.db.getFolder('all');
+        const folderItems = this.createFolderItem(allFolder, {
+            depth: 0,
+            count: counts.all,
+            isActive: currentFolder === 'all'
+        }) + renderBranch(null, 0);
+
+        // Smart folders are filters, so they get their own icon and can only be removed, not filled
+        const smartItems = this.db.data.smartFolders.map(({ name }) => `
+            <div class="folder-item smart ${name === currentFolder ? 'active' : ''}" data-folder="${escapeAttribute(name)}" title="Smart folder" role="treeitem">
+                <span class="folder-toggle-spacer"></span>
+                <svg class="folder-icon" viewBox="0 0 24 24">
+                    <path d="M10 18h4v-2h-4v2zM3 6v2h18V6H3zm3 7h12v-2H6v2z"/>
+                </svg>
+                <span class="folder-name">${escapeHTML(name)}</span>
+                <span class="folder-count">${counts[name] || 0}</span>
+                <button class="folder-delete" data-folder="${escapeAttribute(name)}" title="Delete smart folder" aria-label="Delete smart folder ${escapeAttribute(name)}">&times;</button>
+            </div>
+        `);
+
+        const trashItem = `
+            <div class="folder-item trash ${currentFolder === TRASH_FOLDER_ID ? 'active' : ''}" data-folder="${TRASH_FOLDER_ID}" title="Deleted prompts" role="treeitem">
+                <span class="folder-toggle-spacer"></span>
+                <svg class="folder-icon" viewBox="0 0 24 24">
+                    <path d="${TRASH_ICON}"/>
+                </svg>
+                <span class="folder-name">Trash</span>
+                <span class="folder-count">${counts[TRASH_FOLDER_ID]}</span>
+            </div>
+        `;
+
+        folderList.innerHTML = folderItems + smartItems.join('') + trashItem;
+    }
+
+    createFolderItem(folder, { depth, count, isActive, hasChildren = false, isCollapsed = false }) {
+        const id = escapeAttribute(folder.id);
+        const name = escapeAttribute(folder.name);
+        const isCustom = !isSystemFolder(folder.id);
+
+        return `
+            <div class="folder-item ${isActive ? 'active' : ''}" data-folder="${id}" role="treeitem"
+                 aria-level="${depth + 1}" ${hasChildren ? `aria-expanded="${!isCollapsed}"` : ''}
+                 style="padding-left: ${16 + depth * 16}px;" ${isCustom ? 'draggable="true"' : ''}>
+                ${hasChildren ? `
+                    <button class="folder-toggle" data-folder="${id}" aria-label="${isCollapsed ? 'Expand' : 'Collapse'} ${name}">${isCollapsed ? '▸' : '▾'}</button>
+                ` : '<span class="folder-toggle-spacer"></span>'}
+                <svg class="folder-icon" viewBox="0 0 24 24" ${folder.color ? `style="color: ${folder.color};"` : ''}>
+                    <path d="${FOLDER_ICONS[folder.icon] || FOLDER_ICONS.folder}"/>
+                </svg>
+                <span class="folder-name">${name}</span>
+                <span class="folder-count">${count}</span>
+                ${folder.id !== 'all' ? `
+                    <button class="folder-edit" data-folder="${id}" title="Edit folder" aria-label="Edit folder ${name}">✎</button>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    // Folders that can hold prompts, in tree order, labelled with their full path
+    getFolderOptions(excludedIds = new Set()) {
+        const options = [];
+        const walk = (parentId) => this.db.getFolderChildren(parentId).forEach(folder => {
+            if (excludedIds.has(folder.id) || isVirtualFolder(folder.id)) return;
+            options.push({ id: folder.id, label: getFolderPath(this.db.data.folders, folder.id).join(' / ') });
+            walk(folder.id);
+        });
+
+        walk(null);
+        return options;
+    }
+
+    renderAnalytics() {
+        const analytics = this.db.getAnalytics();
+        const { categoryStats } = analytics;
+
+        const topCategory = Object.keys(categoryStats).reduce((a, b) =>
+            categoryStats[a] > categoryStats[b] ? a : b, null);
+
+        this.elements.analyticsGrid.innerHTML = `
+            <div class="analytics-card">
+                <div class="analytics-value">${analytics.totalPrompts}</div>
+                <div class="analytics-label">Total Prompts</div>
+            </div>
+            <div class="analytics-card">
+                <div class="analytics-value">${analytics.totalViews}</div>
+                <div class="analytics-label">Total Views</div>
+            </div>
+            <div class="analytics-card">
+                <div class="analytics-value">${analytics.averageScore}</div>
+                <div class="analytics-label">Avg Score</div>
+            </div>
+            <div class="analytics-card">
+                <div class="analytics-value">${analytics.averageRating}</div>
+                <div class="analytics-label">Avg Rating</div>
+            </div>
+            <div class="analytics-card">
+                <div class="analytics-value">${escapeHTML(topCategory ? this.getCategoryName(topCategory) : 'none')}</div>
+                <div class="analytics-label">Top Category</div>
+            </div>
+            <div class="analytics-card">
+                <div class="analytics-value">${Object.keys(categoryStats).length}</div>
+                <div class="analytics-label">Categories</div>
+            </div>
+        `;
+    }
+
+    renderBatchActions() {
+        const { batchActions, batchCount } = this.elements;
+        const selectedCount = this.selectedItems.size;
+
+        if (selectedCount > 0) {
+            const isTrash = this.db.data.settings.currentFolder === TRASH_FOLDER_ID;
+            batchActions.classList.add('show');
+            batchCount.textContent = `${selectedCount} selected`;
+            batchActions.querySelectorAll('.live-only').forEach(el => el.classList.toggle('hidden', isTrash));
+            batchActions.querySelectorAll('.trash-only').forEach(el => el.classList.toggle('hidden', !isTrash));
+            document.getElementById('batchArchiveBtn').textContent =
+                this.db.data.settings.currentFolder === 'archive' ? 'Unarchive' : 'Archive';
+            document.getElementById('batchFolder').innerHTML = [{ id: '', label: 'Add to folder…' }, ...this.getFolderOptions()]
+                .map(({ id, label }) => `<option value="${escapeAttribute(id)}">${escapeHTML(label)}</option>`)
+                .join('');
+        } else {
+            batchActions.classList.remove('show');
+        }
+    }
+
+    // Reflect sort and category settings on their buttons
+    renderControls() {
+        const { sortBy, currentCategory } = this.db.data.settings;
+
+        document.querySelectorAll('[data-sort]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.sort === sortBy);
+        });
+
+        this.elements.categoryFilter.querySelectorAll('.category-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.category === currentCategory);
+        });
+    }
+
+    // Category filter buttons and the edit modal's category select, built from the category records
+    renderCategories() {
+        const { currentCategory } = this.db.data.settings;
+        const categories = this.db.data.categories;
+
+        this.elements.categoryFilter.innerHTML = [{ id: '', name: 'All', icon: '' }, ...categories]
+            .map(({ id, name, icon }) => `
+                <button class="category-btn ${id === currentCategory ? 'active' : ''}" data-category="${escapeAttribute(id)}">${icon ? `${escapeHTML(icon)} ` : ''}${escapeHTML(name)}</button>
+            `).join('');
+
+        const select = document.getElementById('editCategory');
+        const selected = select.value;
+        select.innerHTML = categories
+            .map(({ id, name }) => `<option value="${escapeAttribute(id)}">${escapeHTML(name)}</option>`)
+            .join('');
+        select.value = selected;
+    }
+
+    getCategoryName(id) {
+        return this.db.getCategory(id)?.name || id;
+    }
+
+    // A prompt's category as a tag in the category's color
+    renderCategoryTag(id) {
+        const category = this.db.getCategory(id);
+        if (!category) {
+            return `<span class="tag">${escapeHTML(id)}</span>`;
+        }
+        return `<span class="tag" style="border-color: ${category.color}; color: ${category.color};">` +
+            `${category.icon ? `${escapeHTML(category.icon)} ` : ''}${escapeHTML(category.name)}</span>`;
+    }
+
+    // `action` ({ label, handler }) adds a button to the toast and keeps it up a little longer
+    showToast(message, type = 'success', action = null) {
+        const toast = document.createElement('div');
+        toast.className = `toast ${type}`;
+        toast.textContent = message;
+        document.body.appendChild(toast);
+
+        const hide = () => {
+            toast.classList.remove('show');
+            setTimeout(() => toast.remove(), 300);
+        };
+
+        if (action) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'toast-action';
+            button.textContent = action.label;
+            button.addEventListener('click', () => {
+                hide();
+                action.handler();
+            });
+            toast.appendChild(button);
+        }
+
+        setTimeout(() => toast.classList.add('show'), 100);
+        setTimeout(hide, action ? 6000 : 3000);
+    }
+
+    // Add a prompt typed into the search box; a close match to an existing prompt asks first
+    createPrompt(question, { allowDuplicate = false } = {}) {
+        let qa;
+        try {
+            qa = this.db.addPrompt(question, null, { allowDuplicate });
+        } catch (error) {
+            if (error.duplicates) {
+                this.showDuplicateWarning(question, error.duplicates);
+            } else {
+                this.showToast(`Could not add prompt: ${error.message}`, 'error');
+            }
+            return null;
+        }
+
+        this.elements.searchInput.value = '';
+        this.db.updateSettings({ searchTerm: '' });
+        this.setCategory(qa.category);
+
+        // When the classifier is unsure, name the runners-up so a wrong pick is easy to spot
+        const name = this.getCategoryName(qa.category);
+        const alternatives = this.db.suggestCategories(question)
+            .filter(({ category }) => category !== qa.category)
+            .map(({ category }) => this.getCategoryName(category));
+        this.showToast(alternatives.length > 0
+            ? `Prompt added to ${name} category (or maybe ${alternatives.join(' or ')}? Edit it to change)`
+            : `Prompt added to ${name} category`, 'success');
+        return qa;
+    }
+
+    showDuplicateWarning(question, duplicates) {
+        this.pendingQuestion = question;
+        document.getElementById('duplicateQuestion').textContent = question;
+        document.getElementById('duplicateMatches').innerHTML = duplicates.map(({ qa, score }) => `
+            <div class="duplicate-match">
+                <div class="duplicate-score">${Math.round(score * 100)}% similar</div>
+                ${this.createQACard(qa)}
+            </div>
+        `).join('');
+        this.openModal(this.elements.duplicateModal, document.getElementById('addDuplicateBtn'));
+    }
+
+    closeDuplicateModal() {
+        this.closeModal(this.elements.duplicateModal);
+    }
+
+    addDuplicateAnyway() {
+        const question = this.pendingQuestion;
+        this.closeDuplicateModal();
+        if (question) {
+            this.createPrompt(question, { allowDuplicate: true });
+        }
+    }
+
+    // Find duplicates tool
+    showDuplicatesTool() {
+        this.findDuplicates();
+        this.openModal(this.elements.duplicatesModal, document.getElementById('mergeAllDuplicatesBtn'));
+    }
+
+    closeDuplicatesTool() {
+        this.closeModal(this.elements.duplicatesModal);
+    }
+
+    // Each cluster remembers which prompt to keep; by default the best rated, then most viewed, then oldest
+    findDuplicates() {
+        this.duplicateClusters = this.db.findDuplicateClusters().map(cluster => ({
+            ...cluster,
+            keepId: pickPrimary(cluster.items.map(item => item.qa)).id
+        }));
+        this.renderDuplicates();
+    }
+
+    setDuplicateKeeper(index, id) {
+        if (this.duplicateClusters[index]) {
+            this.duplicateClusters[index].keepId = id;
+        }
+    }
+
+    renderDuplicates() {
+        const clusters = this.duplicateClusters;
+        const duplicateCount = clusters.reduce((sum, cluster) => sum + cluster.items.length - 1, 0);
+
+        document.getElementById('duplicatesSummary').textContent = clusters.length === 0
+            ? 'No duplicates found.'
+            : `${clusters.length} groups of similar prompts, ${duplicateCount} duplicates. Merging keeps the selected prompt, combines tags and folders, keeps the higher rating and sums views; the others go to the trash.`;
+
+        document.getElementById('duplicateClusters').innerHTML = clusters.map((cluster, index) => `
+            <div class="duplicate-cluster">
+                <div class="duplicate-cluster-header">
+                    <span>${cluster.items.length} prompts · up to ${Math.round(cluster.score * 100)}% similar</span>
+                    <button type="button" class="btn" onclick="app.mergeDuplicateCluster(${index})">Merge</button>
+                </div>
+                ${cluster.items.map(({ qa }) => `
+                    <label class="duplicate-item">
+                        <input type="radio" name="duplicateKeep${index}" value="${escapeAttribute(qa.id)}"
+                               ${qa.id === cluster.keepId ? 'checked' : ''}
+                               onchange="app.setDuplicateKeeper(${index}, this.value)">
+                        <span class="duplicate-item-text">
+                            <span class="duplicate-item-question">${escapeHTML(qa.question)}</span>
+                            <span class="duplicate-item-meta">
+                                ${escapeHTML(qa.category)} · ${qa.rating || 0}★ · ${qa.views || 0} views · ${escapeHTML(formatDate(qa.createdAt))}
+                            </span>
+                        </span>
+                    </label>
+                `).join('')}
+            </div>
+        `).join('');
+
+        document.getElementById('mergeAllDuplicatesBtn').disabled = clusters.length === 0;
+    }
+
+    // Snippet library: code blocks from every answer, filtered by language and searched by code
+    showSnippets() {
+        this.renderSnippets();
+        this.openModal(this.elements.snippetsModal, document.getElementById('snippetSearch'));
+    }
+
+    closeSnippets() {
+        this.closeModal(this.elements.snippetsModal);
+    }
+
+    renderSnippets() {
+        const languageSelect = document.getElementById('snippetLanguage');
+        const languages = this.db.getSnippetLanguages();
+        const total = languages.reduce((sum, { count }) => sum + count, 0);
+        const language = languages.some(entry => entry.language === languageSelect.value) ? languageSelect.value : '';
+
+        languageSelect.innerHTML = [
+            `<option value="">All languages (${total})</option>`,
+            ...languages.map(entry => `<option value="${escapeAttribute(entry.language)}">${escapeHTML(entry.language)} (${entry.count})</option>`)
+        ].join('');
+        languageSelect.value = language;
+
+        const search = document.getElementById('snippetSearch').value;
+        const snippets = this.db.getSnippets({ language: language || null, search });
+        const shown = snippets.slice(0, MAX_SNIPPETS_SHOWN);
+
+        document.getElementById('snippetsSummary').textContent = total === 0
+            ? 'No code blocks in your answers yet.'
+            : `${snippets.length} snippets${search.trim() ? ` containing "${search.trim()}"` : ''}` +
+                (shown.length < snippets.length ? `, showing the first ${shown.length}` : '');
+
+        document.getElementById('snippetList').innerHTML = shown.map(snippet => {
+            const qa = this.db.getPrompt(snippet.qaId);
+            const name = resolveLanguage(snippet.language);
+            return `
+                <div class="code-block snippet">
+                    <div class="code-header">
+                        <span class="code-language">${escapeHTML(snippet.language)}</span>
+                        <button type="button" class="snippet-source" data-id="${escapeAttribute(snippet.qaId)}"
+                                title="Open the prompt">${escapeHTML(truncateText(qa ? qa.question : '', 60))}</button>
+                        <button type="button" class="code-copy" onclick="app.copyCodeBlock(this)" title="Copy code">Copy</button>
+                    </div>
+                    <pre><code${name ? ` class="language-${name}"` : ''}>${highlightCode(snippet.code, snippet.language)}</code></pre>
+                </div>
+            `;
+        }).join('');
+
+        const exportButton = document.getElementById('exportSnippetsBtn');
+        exportButton.textContent = language ? `Export ${language}` : 'Export All';
+        exportButton.disabled = total === 0;
+    }
+
+    openSnippetPrompt(id) {
+        this.closeSnippets();
+        this.editPrompt(id);
+    }
+
+    // One file per snippet of the selected language; all languages export a directory each
+    exportSnippets() {
+        const language = document.getElementById('snippetLanguage').value || null;
+
+        try {
+            downloadData(
+                this.db.exportSnippets(language),
+                `snippets-${language ? `${language.replace(/[^a-z0-9+#-]+/g, '')}-` : ''}${new Date().toISOString().split('T')[0]}.zip`,
+                'application/zip'
+            );
+            this.showToast('Snippets exported successfully', 'success');
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    mergeDuplicateCluster(index) {
+        this.mergeDuplicateClusters([this.duplicateClusters[index]]);
+    }
+
+    mergeAllDuplicates() {
+        this.mergeDuplicateClusters(this.duplicateClusters);
+    }
+
+    mergeDuplicateClusters(clusters) {
+        if (clusters.length === 0) return;
+
+        try {
+            const merged = this.db.mergeDuplicates(clusters.map(cluster => ({
+                keepId: cluster.keepId,
+                ids: cluster.items.map(item => item.qa.id).filter(id => id !== cluster.keepId)
+            })));
+            const removed = merged.reduce((sum, group) => sum + group.removed.length, 0);
+            this.showUndoToast(`Merged ${removed} duplicates into ${merged.length} prompts`);
+            this.findDuplicates();
+        } catch (error) {
+            this.showToast(`Merge failed: ${error.message}`, 'error');
+        }
+    }
+
+    // Toast for destructive operations, offering to undo them
+    showUndoToast(message) {
+        this.showToast(message, 'success', { label: 'Undo', handler: () => this.undo() });
+    }
+
+    // Undo/redo
+    undo() {
+        if (!this.db.undo()) {
+            this.showToast('Nothing to undo', 'error');
+        }
+    }
+
+    redo() {
+        if (!this.db.redo()) {
+            this.showToast('Nothing to redo', 'error');
+        }
+    }
+
+    // Settings
+    setSortBy(sortBy) {
+        this.db.updateSettings({ sortBy });
+    }
+
+    setCategory(category) {
+        this.db.updateSettings({ currentCategory: category });
+    }
+
+    setCurrentFolder(folder) {
+        this.selectedItems.clear();
+        this.db.updateSettings({ currentFolder: folder });
+
+        this.elements.folderList.querySelectorAll('.folder-item').forEach(item => {
+            item.classList.toggle('active', item.dataset.folder === folder);
+        });
+    }
+
+    toggleFolderCollapsed(id) {
+        if (this.collapsedFolders.has(id)) {
+            this.collapsedFolders.delete(id);
+        } else {
+            this.collapsedFolders.add(id);
+        }
+        this.renderFolders();
+    }
+
+    toggleAnalytics() {
+        const { analyticsSection } = this.elements;
+        const isVisible = analyticsSection.style.display !== 'none';
+        analyticsSection.style.display = isVisible ? 'none' : 'block';
+    }
+
+    async saveNow() {
+        const success = await this.db.saveData(true);
+        if (success) {
+            this.showToast('Data saved successfully', 'success');
+        }
+    }
+
+    // Card interactions
+    toggleSelection(id) {
+        if (this.selectedItems.has(id)) {
+            this.selectedItems.delete(id);
+        } else {
+            this.selectedItems.add(id);
+        }
+        this.scheduleRender();
+    }
+
+    toggleExpand(id) {
+        if (this.expandedItems.has(id)) {
+            this.expandedItems.delete(id);
+            this.scheduleRender();
+        } else {
+            this.expandedItems.add(id);
+            this.db.incrementViews(id);
+        }
+    }
+
+    setRating(id, rating) {
+        const qa = this.db.getPrompt(id);
+        if (qa) {
+            this.db.updateRating(id, qa.rating === rating ? 0 : rating);
+        }
+    }
+
+    // Templates ask for their variables first
+    async copyPrompt(id) {
+        const qa = this.db.getPrompt(id);
+        if (!qa) return;
+
+        if (isTemplate(qa)) {
+            this.showTemplateForm(id, 'copy');
+            return;
+        }
+        await this.copyText(qa);
+    }
+
+    async sharePrompt(id) {
+        const qa = this.db.getPrompt(id);
+        if (!qa) return;
+
+        if (isTemplate(qa)) {
+            this.showTemplateForm(id, 'share');
+            return;
+        }
+        await this.shareText(id, qa);
+    }
+
+    // The whole thread is copied, as "Q: …" and "A: …" paragraphs
+    async copyText(qa) {
+        const copied = await copyToClipboard(formatThread(qa));
+        this.showToast(copied ? 'Copied to clipboard' : 'Failed to copy', copied ? 'success' : 'error');
+    }
+
+    async shareText(id, qa) {
+        const result = await shareContent({
+            title: qa.question,
+            text: hasFollowUps(qa) ? formatThread(qa) : qa.answer,
+            url: `${window.location.origin}${window.location.pathname}?id=${encodeURIComponent(id)}`
+        });
+
+        if (result.method === 'clipboard') {
+            this.showToast(result.message, result.success ? 'success' : 'error');
+        }
+    }
+
+    // Template fill-in form, opened by copy ('copy') or share ('share')
+    showTemplateForm(id, mode) {
+        const qa = this.db.getPrompt(id);
+        this.templateFill = { id, mode };
+
+        const variables = syncVariables(qa.question, qa.variables);
+        document.getElementById('templateFields').innerHTML = variables.map(variable => `
+            <div class="form-group">
+                <label class="form-label" for="templateVar-${escapeAttribute(variable.name)}">${escapeHTML(variable.name)}</label>
+                <input type="text" class="form-input template-value" id="templateVar-${escapeAttribute(variable.name)}"
+                       data-name="${escapeAttribute(variable.name)}" placeholder="${escapeAttribute(variable.default)}" />
+                ${variable.description ? `<p class="form-hint">${escapeHTML(variable.description)}</p>` : ''}
+            </div>
+        `).join('');
+        document.getElementById('templateSubmitBtn').textContent = mode === 'share' ? 'Share' : 'Copy';
+
+        const instances = this.db.getTemplateInstances(id).length;
+        document.getElementById('templateSaveHint').textContent = instances > 0
+            ? `${instances} saved from this template so far`
+            : '';
+
+        this.renderTemplatePreview();
+        this.openModal(this.elements.templateModal, document.querySelector('#templateFields .template-value'));
+    }
+
+    closeTemplateModal() {
+        this.closeModal(this.elements.templateModal);
+    }
+
+    getTemplateValues() {
+        const values = {};
+        document.querySelectorAll('#templateFields .template-value').forEach(input => {
+            values[input.dataset.name] = input.value;
+        });
+        return values;
+    }
+
+    // Show the question as it will be copied; placeholders still missing a value stay marked
+    renderTemplatePreview() {
+        if (!this.templateFill) return;
+
+        const qa = this.db.getPrompt(this.templateFill.id);
+        const values = this.getTemplateValues();
+        let error = '';
+        try {
+            document.getElementById('templatePreview').textContent = this.db.fillTemplatePrompt(qa.id, values).question;
+        } catch (e) {
+            document.getElementById('templatePreview').textContent = qa.question;
+            error = e.message;
+        }
+        document.getElementById('templateError').textContent = error;
+        document.getElementById('templateSubmitBtn').disabled = Boolean(error);
+    }
+
+    async submitTemplateForm() {
+        if (!this.templateFill) return;
+
+        const { id, mode } = this.templateFill;
+        const values = this.getTemplateValues();
+        const save = document.getElementById('templateSave').checked;
+
+        try {
+            const filled = this.db.fillTemplatePrompt(id, values);
+            if (save) {
+                this.db.addPromptFromTemplate(id, values);
+            }
+            this.closeTemplateModal();
+
+            if (mode === 'share') {
+                await this.shareText(id, filled);
+            } else {
+                await this.copyText(filled);
+            }
+            if (save) {
+                this.showUndoToast('Saved as a new prompt');
+            }
+        } catch (error) {
+            errorHandler.log(error, 'submitTemplateForm');
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    stopAnswer(id) {
+        this.db.cancelAnswer(id);
+    }
+
+    // Copy button of a rendered code block
+    async copyCodeBlock(button) {
+        const code = button.closest('.code-block').querySelector('code').textContent;
+        const copied = await copyToClipboard(code);
+        this.showToast(copied ? 'Code copied to clipboard' : 'Failed to copy', copied ? 'success' : 'error');
+    }
+
+    // Expand the card so its thread and follow-up box show, then focus the box
+    startFollowUp(id) {
+        if (!this.expandedItems.has(id)) {
+            this.toggleExpand(id);
+        }
+
+        // Render now rather than on the next frame, so the box exists and keeps focus
+        if (this.renderFrame) {
+            cancelAnimationFrame(this.renderFrame);
+            this.renderFrame = null;
+        }
+        this.render();
+        const input = this.elements.qaGrid.querySelector(`.qa-card[data-id="${CSS.escape(id)}"] .follow-up-input`);
+        if (input) input.focus();
+    }
+
+    askFollowUp(event, id) {
+        event.preventDefault();
+        const input = event.target.querySelector('.follow-up-input');
+
+        try {
+            this.db.addFollowUp(id, input.value);
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    retryFollowUp(id, index) {
+        this.db.generateAnswer(id, index);
+    }
+
+    removeFollowUp(id, index) {
+        try {
+            this.db.removeFollowUp(id, index);
+            this.showUndoToast('Follow-up removed');
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    retryAnswer(id) {
+        this.db.retryAnswer(id);
+    }
+
+    toggleFavorite(id) {
+        const qa = this.db.getPrompt(id);
+        if (qa) {
+            this.db.setFavorite([id], !qa.favorite);
+        }
+    }
+
+    toggleArchived(id) {
+        const qa = this.db.getPrompt(id);
+        if (qa) {
+            this.db.setArchived([id], !qa.archived);
+            if (qa.archived) {
+                this.showUndoToast('Prompt archived');
+            } else {
+                this.showToast('Prompt restored from archive', 'success');
+            }
+        }
+    }
+
+    // Batch actions
+    favoriteSelected() {
+        const flagged = this.db.setFavorite(Array.from(this.selectedItems), true);
+        this.selectedItems.clear();
+        this.scheduleRender();
+        this.showToast(`Added ${flagged.length} prompts to Favorites`, 'success');
+    }
+
+    // In the Archive view the same button restores prompts
+    archiveSelected() {
+        const archive = this.db.data.settings.currentFolder !== 'archive';
+        const flagged = this.db.setArchived(Array.from(this.selectedItems), archive);
+        this.selectedItems.clear();
+        this.scheduleRender();
+        if (archive) {
+            this.showUndoToast(`Archived ${flagged.length} prompts`);
+        } else {
+            this.showToast(`Restored ${flagged.length} prompts`, 'success');
+        }
+    }
+
+    addSelectedToFolder(folder) {
+        if (!folder) return;
+
+        try {
+            const added = this.db.addToFolder(Array.from(this.selectedItems), folder);
+            this.selectedItems.clear();
+            this.scheduleRender();
+            this.showToast(`Added ${added.length} prompts to ${this.db.getFolder(folder).name}`, 'success');
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    moveSelectedToFolder(folder) {
+        try {
+            const moved = this.db.moveToFolder(Array.from(this.selectedItems), folder);
+            this.selectedItems.clear();
+            this.scheduleRender();
+            this.showUndoToast(`Moved ${moved.length} prompts to ${this.db.getFolder(folder).name}`);
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    deleteSelected() {
+        if (confirm(`Are you sure you want to delete ${this.selectedItems.size} prompts?`)) {
+            const deleted = this.db.batchDelete(Array.from(this.selectedItems));
+            this.selectedItems.clear();
+            this.scheduleRender();
+            this.showUndoToast(`Moved ${deleted.length} prompts to the trash`);
+        }
+    }
+
+    // Trash
+    restorePrompt(id) {
+        const restored = this.db.restoreFromTrash([id]);
+        if (restored.length > 0) {
+            this.showToast('Prompt restored', 'success');
+        }
+    }
+
+    purgePrompt(id) {
+        if (confirm('Delete this prompt permanently?')) {
+            this.db.purgeFromTrash([id]);
+            this.showUndoToast('Prompt deleted permanently');
+        }
+    }
+
+    restoreSelected() {
+        const restored = this.db.restoreFromTrash(Array.from(this.selectedItems));
+        this.selectedItems.clear();
+        this.scheduleRender();
+        this.showToast(`Restored ${restored.length} prompts`, 'success');
+    }
+
+    purgeSelected() {
+        if (confirm(`Delete ${this.selectedItems.size} prompts permanently?`)) {
+            const purged = this.db.purgeFromTrash(Array.from(this.selectedItems));
+            this.selectedItems.clear();
+            this.scheduleRender();
+            this.showUndoToast(`Deleted ${purged.length} prompts permanently`);
+        }
+    }
+
+    emptyTrash() {
+        if (confirm(`Permanently delete all ${this.db.data.trash.length} prompts in the trash?`)) {
+            const purged = this.db.emptyTrash();
+            this.showUndoToast(`Deleted ${purged.length} prompts permanently`);
+        }
+    }
+
+    setTrashRetention(days) {
+        try {
+            this.db.setTrashRetentionDays(days);
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    // Modals
+    openModal(modal, focusTarget = null) {
+        modal.classList.add('active');
+        focusManager.push(focusTarget);
+    }
+
+    closeModal(modal) {
+        if (!modal.classList.contains('active')) return;
+        modal.classList.remove('active');
+        focusManager.pop();
+
+        if (modal === this.elements.editModal) {
+            this.currentEditId = null;
+        } else if (modal === this.elements.addFolderModal) {
+            this.currentFolderEditId = null;
+            document.getElementById('addFolderForm').reset();
+        } else if (modal === this.elements.smartFolderModal) {
+            document.getElementById('smartFolderForm').reset();
+        } else if (modal === this.elements.importModal) {
+            document.getElementById('importData').value = '';
+            document.getElementById('importFiles').value = '';
+        } else if (modal === this.elements.csvImportModal) {
+            this.csvImport = null;
+            document.getElementById('csvFile').value = '';
+            document.getElementById('csvText').value = '';
+        } else if (modal === this.elements.mergeModal) {
+            this.mergePlan = null;
+        } else if (modal === this.elements.duplicateModal) {
+            this.pendingQuestion = null;
+        } else if (modal === this.elements.duplicatesModal) {
+            this.duplicateClusters = [];
+        } else if (modal === this.elements.templateModal) {
+            this.templateFill = null;
+            document.getElementById('templateForm').reset();
+        } else if (modal === this.elements.categoryModal) {
+            this.currentCategoryEditId = null;
+            document.getElementById('categoryForm').reset();
+        } else if (modal === this.elements.recategorizeModal) {
+            this.recategorizePlan = [];
+        }
+    }
+
+    editPrompt(id) {
+        const qa = this.db.getPrompt(id);
+        if (!qa) return;
+
+        this.currentEditId = id;
+        this.populateEditForm(qa);
+        this.openModal(this.elements.editModal, document.getElementById('editQuestion'));
+    }
+
+    populateEditForm(qa) {
+        document.getElementById('editQuestion').value = qa.question;
+        document.getElementById('editAnswer').value = qa.answer;
+        document.getElementById('editCategory').value = qa.category;
+        document.getElementById('editTags').value = qa.tags.join(', ');
+        document.getElementById('editFolders').innerHTML = this.getFolderOptions()
+            .map(({ id: folderId, label }) => `
+                <label>
+                    <input type="checkbox" value="${escapeAttribute(folderId)}" ${qa.folders.includes(folderId) ? 'checked' : ''} />
+                    ${escapeHTML(label)}
+                </label>
+            `).join('');
+        document.getElementById('editFavorite').checked = Boolean(qa.favorite);
+        document.getElementById('editArchived').checked = Boolean(qa.archived);
+        this.renderVariableFields(qa.variables || []);
+        this.renderCategorySuggestions();
+        this.renderTagSuggestions();
+        this.renderRevisionPanel();
+    }
+
+    // Revision history: pick any two versions to compare; "From" defaults to the previous version
+    renderRevisionPanel() {
+        const versions = this.db.getPromptVersions(this.currentEditId);
+        const panel = document.getElementById('revisionPanel');
+        panel.classList.toggle('hidden', versions.length < 2);
+        document.getElementById('revisionCount').textContent = versions.length;
+        if (versions.length < 2) return;
+
+        const options = versions.map(version => {
+            const label = version.isCurrent ? 'current' : version.index === 0 ? 'original' : '';
+            return `<option value="${version.index}">v${version.index + 1} · ${escapeHTML(formatDate(version.timestamp))}${label ? ` (${label})` : ''}</option>`;
+        }).join('');
+
+        const from = document.getElementById('revisionFrom');
+        const to = document.getElementById('revisionTo');
+        from.innerHTML = options;
+        to.innerHTML = options;
+        from.value = String(versions.length - 2);
+        to.value = String(versions.length - 1);
+        this.renderRevisionDiff();
+    }
+
+    renderRevisionDiff() {
+        const versions = this.db.getPromptVersions(this.currentEditId);
+        const from = versions[Number(document.getElementById('revisionFrom').value)];
+        const to = versions[Number(document.getElementById('revisionTo').value)];
+        const diff = document.getElementById('revisionDiff');
+        if (!from || !to) return;
+
+        document.getElementById('restoreRevisionBtn').disabled = from.isCurrent;
+
+        const fields = [
+            ['Question', from.question, to.question],
+            ['Answer', from.answer, to.answer],
+            ['Category', from.category, to.category],
+            ['Tags', (from.tags || []).join(', '), (to.tags || []).join(', ')]
+        ].filter(([, before, after]) => before !== after);
+
+        if (fields.length === 0) {
+            diff.innerHTML = '<p class="revision-empty">These versions are identical.</p>';
+            return;
+        }
+
+        const markers = { equal: ' ', removed: '-', added: '+' };
+        diff.innerHTML = fields.map(([name, before, after]) => `
+            <div class="revision-field">
+                <div class="revision-field-name">${name}</div>
+                <pre class="revision-lines">${diffLines(before, after).map(({ type, line }) =>
+                    `<span class="diff-${type}">${markers[type]} ${escapeHTML(line)}</span>`
+                ).join('')}</pre>
+            </div>
+        `).join('');
+    }
+
+    restoreSelectedRevision() {
+        const index = Number(document.getElementById('revisionFrom').value);
+
+        try {
+            const restored = this.db.restoreRevision(this.currentEditId, index);
+            this.populateEditForm(restored);
+            this.showUndoToast(`Restored version ${index + 1}`);
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    closeEditModal() {
+        this.closeModal(this.elements.editModal);
+    }
+
+    saveEditedPrompt() {
+        if (!this.currentEditId) return;
+
+        const updates = {
+            question: document.getElementById('editQuestion').value.trim(),
+            answer: document.getElementById('editAnswer').value.trim(),
+            category: document.getElementById('editCategory').value,
+            tags: this.parseTagInput(document.getElementById('editTags').value),
+            folders: Array.from(document.querySelectorAll('#editFolders input:checked')).map(input => input.value),
+            favorite: document.getElementById('editFavorite').checked,
+            archived: document.getElementById('editArchived').checked,
+            variables: this.readVariableFields()
+        };
+
+        try {
+            this.db.updatePrompt(this.currentEditId, updates);
+            this.showToast('Prompt updated successfully', 'success');
+            this.closeEditModal();
+        } catch (error) {
+            errorHandler.log(error, 'saveEditedPrompt');
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    // One row per {{placeholder}} in the edited question, keeping what was typed for names still present
+    renderVariableFields(variables = this.readVariableFields()) {
+        const synced = syncVariables(document.getElementById('editQuestion').value, variables);
+        document.getElementById('editVariablesGroup').classList.toggle('hidden', synced.length === 0);
+        document.getElementById('editVariables').innerHTML = synced.map(variable => `
+            <div class="template-variable" data-name="${escapeAttribute(variable.name)}">
+                <code>{{${escapeHTML(variable.name)}}}</code>
+                <input type="text" class="form-input variable-default" value="${escapeAttribute(variable.default)}"
+                       placeholder="Default value" aria-label="Default for ${escapeAttribute(variable.name)}" />
+                <input type="text" class="form-input variable-description" value="${escapeAttribute(variable.description)}"
+                       placeholder="Description" aria-label="Description of ${escapeAttribute(variable.name)}" />
+            </div>
+        `).join('');
+    }
+
+    readVariableFields() {
+        return Array.from(document.querySelectorAll('#editVariables .template-variable')).map(row => ({
+            name: row.dataset.name,
+            default: row.querySelector('.variable-default').value.trim(),
+            description: row.querySelector('.variable-description').value.trim()
+        }));
+    }
+
+    deleteCurrentPrompt() {
+        if (this.currentEditId && confirm('Are you sure you want to delete this prompt?')) {
+            this.db.deletePrompt(this.currentEditId);
+            this.showUndoToast('Prompt moved to the trash');
+            this.closeEditModal();
+        }
+    }
+
+    // New folders go inside the folder currently open in the sidebar
+    showAddFolderDialog() {
+        const currentFolder = this.db.getFolder(this.db.data.settings.currentFolder);
+        this.openFolderDialog(null, currentFolder && !isVirtualFolder(currentFolder.id) ? currentFolder.id : null);
+    }
+
+    showEditFolderDialog(id) {
+        const folder = this.db.getFolder(id);
+        if (folder) {
+            this.openFolderDialog(folder, folder.parentId);
+        }
+    }
+
+    // One dialog creates and edits folders; system folders keep their name and place
+    openFolderDialog(folder, parentId) {
+        const isSystem = Boolean(folder) && isSystemFolder(folder.id);
+        const excluded = folder ? getDescendantIds(this.db.data.folders, folder.id) : new Set();
+        const parentSelect = document.getElementById('folderParent');
+
+        this.currentFolderEditId = folder ? folder.id : null;
+        parentSelect.innerHTML = [{ id: '', label: 'Top level' }, ...this.getFolderOptions(excluded)]
+            .map(({ id, label }) => `<option value="${escapeAttribute(id)}">${escapeHTML(label)}</option>`)
+            .join('');
+        document.getElementById('folderIcon').innerHTML = Object.keys(FOLDER_ICONS)
+            .map(icon => `<option value="${icon}">${icon.charAt(0).toUpperCase() + icon.slice(1)}</option>`)
+            .join('');
+
+        document.getElementById('folderModalTitle').textContent = folder ? 'Edit Folder' : 'Add New Folder';
+        document.getElementById('folderSubmitBtn').textContent = folder ? 'Save Folder' : 'Create Folder';
+        document.getElementById('folderName').value = folder ? folder.name : '';
+        document.getElementById('folderName').disabled = isSystem;
+        parentSelect.value = parentId && parentId !== 'all' ? parentId : '';
+        parentSelect.disabled = isSystem;
+        document.getElementById('folderColor').value = folder && folder.color ? folder.color : '';
+        document.getElementById('folderIcon').value = folder ? folder.icon : 'folder';
+        document.getElementById('deleteFolderBtn').classList.toggle('hidden', !folder || isSystem);
+
+        this.openModal(this.elements.addFolderModal, document.getElementById(isSystem ? 'folderColor' : 'folderName'));
+    }
+
+    closeAddFolderModal() {
+        this.closeModal(this.elements.addFolderModal);
+    }
+
+    saveFolder() {
+        const name = document.getElementById('folderName').value.trim();
+        const parentId = document.getElementById('folderParent').value || null;
+        const color = document.getElementById('folderColor').value;
+        const icon = document.getElementById('folderIcon').value;
+
+        try {
+            if (this.currentFolderEditId) {
+                const id = this.currentFolderEditId;
+                const folder = this.db.getFolder(id);
+                if (!isSystemFolder(id) && parentId !== folder.parentId) {
+                    this.db.moveFolder(id, parentId);
+                }
+                this.db.updateFolder(id, { name, color, icon });
+                this.showToast(`Folder "${name}" updated`, 'success');
+            } else if (this.db.addFolder(name, { parentId, color, icon })) {
+                this.collapsedFolders.delete(parentId);
+                this.showToast(`Folder "${name}" created`, 'success');
+            } else {
+                throw new Error(`A folder named "${name}" already exists here`);
+            }
+            this.closeAddFolderModal();
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    deleteCurrentFolder() {
+        const folder = this.db.getFolder(this.currentFolderEditId);
+        if (!folder) return;
+
+        const parent = this.db.getFolder(folder.parentId);
+        const destination = parent ? parent.name : this.db.getFolder('default').name;
+        if (confirm(`Delete folder "${folder.name}"? Its prompts move to ${destination} and its subfolders move up one level.`)) {
+            this.db.deleteFolder(folder.id);
+            this.showUndoToast(`Folder "${folder.name}" deleted`);
+            this.closeAddFolderModal();
+        }
+    }
+
+    // Tags: the edit modal's comma-separated input plus suggestions, and the tag manager
+    setupTagEditing() {
+        ['editQuestion', 'editTags', 'editCategory'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this.renderTagSuggestions());
+        });
+        document.getElementById('editQuestion').addEventListener('input', () => this.renderVariableFields());
+        ['editQuestion', 'editCategory'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this.renderCategorySuggestions());
+        });
+
+        document.getElementById('editCategorySuggestions').addEventListener('click', (e) => {
+            const suggestion = e.target.closest('.tag-suggestion');
+            if (!suggestion) return;
+
+            document.getElementById('editCategory').value = suggestion.dataset.category;
+            this.renderCategorySuggestions();
+            this.renderTagSuggestions();
+        });
+
+        document.getElementById('editTagSuggestions').addEventListener('click', (e) => {
+            const suggestion = e.target.closest('.tag-suggestion');
+            if (!suggestion) return;
+
+            const input = document.getElementById('editTags');
+            input.value = [...this.parseTagInput(input.value), suggestion.dataset.tag].join(', ');
+            this.renderTagSuggestions();
+        });
+
+        const tagList = document.getElementById('tagList');
+        tagList.addEventListener('change', (e) => {
+            if (e.target.classList.contains('tag-name-input')) {
+                this.renameTag(e.target.dataset.tag, e.target.value);
+            }
+        });
+        tagList.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && e.target.classList.contains('tag-name-input')) {
+                e.preventDefault();
+                e.target.blur();
+            }
+        });
+        tagList.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+
+            if (button.dataset.action === 'delete') {
+                this.deleteTag(button.dataset.tag);
+            } else if (button.dataset.action === 'filter') {
+                this.filterByTag(button.dataset.tag);
+            }
+        });
+
+        document.getElementById('tagMergeForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.mergeSelectedTags();
+        });
+    }
+
+    parseTagInput(value) {
+        return this.db.normalizeTags(value.split(','));
+    }
+
+    renderTagSuggestions() {
+        const suggestions = this.db.suggestTags(
+            document.getElementById('editQuestion').value,
+            document.getElementById('editCategory').value,
+            this.parseTagInput(document.getElementById('editTags').value)
+        );
+
+        document.getElementById('editTagSuggestions').innerHTML = suggestions
+            .map(tag => `<button type="button" class="tag-suggestion" data-tag="${escapeAttribute(tag)}">+ ${escapeHTML(tag)}</button>`)
+            .join('');
+    }
+
+    // The classifier's picks for the edited question, with its confidence in each
+    renderCategorySuggestions() {
+        const current = document.getElementById('editCategory').value;
+        const suggestions = this.db.suggestCategories(document.getElementById('editQuestion').value);
+
+        document.getElementById('editCategorySuggestions').innerHTML = suggestions
+            .map(({ category, confidence }) => `
+                <button type="button" class="tag-suggestion${category === current ? ' active' : ''}" data-category="${escapeAttribute(category)}"
+                        aria-pressed="${category === current}">${escapeHTML(this.getCategoryName(category))} · ${Math.round(confidence * 100)}%</button>
+            `).join('');
+    }
+
+    showTagManager() {
+        this.renderTagManager();
+        this.openModal(this.elements.tagManagerModal, document.getElementById('tagMergeTarget'));
+    }
+
+    closeTagManager() {
+        this.closeModal(this.elements.tagManagerModal);
+    }
+
+    renderTagManager() {
+        const tags = this.db.getTagCounts();
+        const tagList = document.getElementById('tagList');
+
+        if (tags.length === 0) {
+            tagList.innerHTML = '<p class="tag-manager-help">No tags yet.</p>';
+            return;
+        }
+
+        tagList.innerHTML = tags.map(({ tag, count }) => {
+            const value = escapeAttribute(tag);
+            return `
+                <div class="tag-row">
+                    <input type="checkbox" class="tag-select" value="${value}" aria-label="Select ${value}" />
+                    <input type="text" class="form-input tag-name-input" value="${value}" data-tag="${value}" aria-label="Rename ${value}" />
+                    <span class="tag-count" title="Used by ${count} prompts">${count}</span>
+                    <button type="button" class="btn btn-secondary" data-action="filter" data-tag="${value}">Show</button>
+                    <button type="button" class="btn btn-danger" data-action="delete" data-tag="${value}">Delete</button>
+                </div>
+            `;
+        }).join('');
+    }
+
+    renameTag(from, to) {
+        to = to.trim();
+        if (!to || to === from) return;
+
+        try {
+            const changed = this.db.renameTag(from, to);
+            this.showToast(`Renamed "${from}" to "${to}" on ${changed.length} prompts`, 'success');
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    mergeSelectedTags() {
+        const sources = Array.from(document.querySelectorAll('#tagList .tag-select:checked')).map(input => input.value);
+        const target = document.getElementById('tagMergeTarget').value.trim() || sources[0];
+        if (sources.length < 2) {
+            this.showToast('Select at least two tags to merge', 'error');
+            return;
+        }
+
+        try {
+            const changed = this.db.mergeTags(sources, target);
+            document.getElementById('tagMergeTarget').value = '';
+            this.showUndoToast(`Merged ${sources.length} tags into "${target}" on ${changed.length} prompts`);
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    deleteTag(tag) {
+        if (confirm(`Remove the tag "${tag}" from every prompt?`)) {
+            const changed = this.db.deleteTag(tag);
+            this.showUndoToast(`Removed "${tag}" from ${changed.length} prompts`);
+        }
+    }
+
+    // Categories: the manager lists them with their rules; one dialog creates and edits them
+    showCategoryManager() {
+        this.renderCategoryManager();
+        this.openModal(this.elements.categoryManagerModal, document.getElementById('newCategoryBtn'));
+    }
+
+    closeCategoryManager() {
+        this.closeModal(this.elements.categoryManagerModal);
+    }
+
+    renderCategoryManager() {
+        const counts = this.db.getCategoryCounts();
+
+        document.getElementById('categoryList').innerHTML = this.db.data.categories.map(category => {
+            const rules = [
+                category.keywords.length > 0 ? `keywords: ${category.keywords.length}` : '',
+                category.patterns.length > 0 ? `patterns: ${category.patterns.length}` : ''
+            ].filter(Boolean).join(' · ') || 'No rules';
+            const count = counts[category.id] || 0;
+
+            return `
+                <div class="tag-row">
+                    <span class="category-swatch" style="background: ${category.color};"></span>
+                    <span class="category-name">${category.icon ? `${escapeHTML(category.icon)} ` : ''}${escapeHTML(category.name)}</span>
+                    <span class="category-rules">${rules}</span>
+                    <span class="tag-count" title="Used by ${count} prompts">${count}</span>
+                    <button type="button" class="btn btn-secondary" data-category="${escapeAttribute(category.id)}">Edit</button>
+                </div>
+            `;
+        }).join('');
+    }
+
+    editCategory(id) {
+        const category = this.db.getCategory(id);
+        if (category) {
+            this.openCategoryDialog(category);
+        }
+    }
+
+    openCategoryDialog(category = null) {
+        const colorSelect = document.getElementById('categoryColor');
+        const colors = { ...CATEGORY_COLORS };
+        if (category && !colors[category.color]) {
+            colors[category.color] = 'Custom';
+        }
+
+        this.currentCategoryEditId = category ? category.id : null;
+        colorSelect.innerHTML = Object.entries(colors)
+            .map(([value, label]) => `<option value="${value}">${label}</option>`)
+            .join('');
+
+        document.getElementById('categoryModalTitle').textContent = category ? 'Edit Category' : 'New Category';
+        document.getElementById('categorySubmitBtn').textContent = category ? 'Save Category' : 'Create Category';
+        document.getElementById('categoryName').value = category ? category.name : '';
+        document.getElementById('categoryIcon').value = category ? category.icon : '';
+        colorSelect.value = category ? category.color : Object.keys(CATEGORY_COLORS)[0];
+        document.getElementById('categoryKeywords').value = category ? category.keywords.join(', ') : '';
+        document.getElementById('categoryPatterns').value = category ? category.patterns.join('\n') : '';
+        document.getElementById('deleteCategoryBtn').classList.toggle('hidden', !category || category.id === DEFAULT_CATEGORY_ID);
+
+        this.openModal(this.elements.categoryModal, document.getElementById('categoryName'));
+    }
+
+    closeCategoryDialog() {
+        this.closeModal(this.elements.categoryModal);
+    }
+
+    // New rules only apply to prompts added from now on, so the toast offers to re-run them
+    saveCategory() {
+        const values = {
+            name: document.getElementById('categoryName').value.trim(),
+            icon: document.getElementById('categoryIcon').value.trim(),
+            color: document.getElementById('categoryColor').value,
+            keywords: document.getElementById('categoryKeywords').value.split(','),
+            patterns: document.getElementById('categoryPatterns').value.split('\n')
+        };
+
+        try {
+            if (this.currentCategoryEditId) {
+                this.db.updateCategory(this.currentCategoryEditId, values);
+            } else {
+                this.db.addCategory(values.name, values);
+            }
+            this.showToast(
+                `Category "${values.name}" ${this.currentCategoryEditId ? 'updated' : 'created'}`,
+                'success',
+                { label: 'Recategorize', handler: () => this.showRecategorize() }
+            );
+            this.closeCategoryDialog();
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    deleteCurrentCategory() {
+        const category = this.db.getCategory(this.currentCategoryEditId);
+        if (!category) return;
+
+        const count = this.db.getCategoryCounts()[category.id] || 0;
+        const general = this.getCategoryName(DEFAULT_CATEGORY_ID);
+        if (confirm(`Delete category "${category.name}"? Its ${count} prompts move to ${general}.`)) {
+            this.db.deleteCategory(category.id);
+            this.showUndoToast(`Category "${category.name}" deleted`);
+            this.closeCategoryDialog();
+        }
+    }
+
+    // Recategorize all: preview what the current rules and classifier would change, then apply
+    // the ticked changes
+    showRecategorize() {
+        document.getElementById('recategorizeLabelled').checked = false;
+        this.renderRecategorizePreview();
+        this.openModal(this.elements.recategorizeModal, document.getElementById('recategorizeLabelled'));
+    }
+
+    closeRecategorize() {
+        this.closeModal(this.elements.recategorizeModal);
+    }
+
+    renderRecategorizePreview() {
+        this.recategorizePlan = this.db.planRecategorization({
+            includeLabelled: document.getElementById('recategorizeLabelled').checked
+        });
+        const plan = this.recategorizePlan;
+
+        const unsure = plan.filter(change => !change.confident).length;
+        const percent = confidence => `${Math.round(confidence * 100)}%`;
+
+        document.getElementById('recategorizeSummary').textContent = plan.length === 0
+            ? 'Every prompt is already in the category its rules and the classifier pick.'
+            : `${plan.length} prompts would move to a different category. Untick any to leave them where they are.` +
+                (unsure > 0 ? ` ${unsure} uncertain ones are left unticked; pick one of their suggestions to move them.` : '');
+        // Confident changes are ticked; uncertain ones offer their top suggestions and start unticked
+        document.getElementById('recategorizeList').innerHTML = plan.map((change, index) => `
+            <li class="merge-item">
+                <input type="checkbox" class="recategorize-select" value="${index}" ${change.confident ? 'checked' : ''}
+                       aria-label="Recategorize ${escapeAttribute(truncateText(change.question, 60))}" />
+                <div class="merge-details">
+                    <div class="merge-question">${escapeHTML(change.question.slice(0, 140))}</div>
+                    <div class="merge-dates">
+                        ${escapeHTML(this.getCategoryName(change.from))} →
+                        ${change.confident ? `${escapeHTML(this.getCategoryName(change.to))} · ${percent(change.confidence)} sure` : `
+                            <select class="form-select recategorize-target" data-index="${index}" aria-label="Suggested categories">
+                                ${change.suggestions.map(({ category, confidence }) => `
+                                    <option value="${escapeAttribute(category)}">${escapeHTML(this.getCategoryName(category))} (${percent(confidence)})</option>
+                                `).join('')}
+                            </select>
+                            · unsure`}
+                    </div>
+                </div>
+            </li>
+        `).join('');
+        document.getElementById('recategorizeApplyBtn').disabled = plan.length === 0;
+    }
+
+    applyRecategorization() {
+        const changes = Array.from(document.querySelectorAll('#recategorizeList .recategorize-select:checked'))
+            .map(input => {
+                const change = this.recategorizePlan[Number(input.value)];
+                const target = document.querySelector(`#recategorizeList .recategorize-target[data-index="${input.value}"]`);
+                return target ? { ...change, to: target.value } : change;
+            })
+            .filter(change => change.to !== change.from);
+        if (changes.length === 0) {
+            this.showToast('Select at least one prompt to recategorize', 'error');
+            return;
+        }
+
+        const prompts = this.db.applyRecategorization(changes);
+        this.showUndoToast(`Recategorized ${prompts.length} prompts`);
+        this.closeRecategorize();
+    }
+
+    // Tags may contain spaces, so quote them for the search box
+    filterByTag(tag) {
+        const searchTerm = /\s/.test(tag) ? `tag:"${tag}"` : `tag:${tag}`;
+        this.elements.searchInput.value = searchTerm;
+        this.db.updateSettings({ searchTerm });
+        this.closeTagManager();
+    }
+
+    // Smart folders start from whatever the search box currently filters on
+    showSmartFolderDialog() {
+        const { filters } = parseSearchQuery(this.db.data.settings.searchTerm, {
+            categories: this.db.getCategoryIds(),
+            folders: this.getFolderContext()
+        });
+        const category = filters.category || this.db.data.settings.currentCategory || '';
+
+        document.getElementById('smartFolderCategory').innerHTML = [{ id: '', name: 'Any' }, ...this.db.data.categories]
+            .map(({ id, name }) => `<option value="${escapeAttribute(id)}">${escapeHTML(name)}</option>`)
+            .join('');
+        document.getElementById('smartFolderCategory').value = category;
+        document.getElementById('smartFolderSearch').value = filters.search;
+        document.getElementById('smartFolderTags').value = filters.tags.join(', ');
+
+        this.openModal(this.elements.smartFolderModal, document.getElementById('smartFolderName'));
+    }
+
+    closeSmartFolderModal() {
+        this.closeModal(this.elements.smartFolderModal);
+    }
+
+    addSmartFolder() {
+        const name = document.getElementById('smartFolderName').value.trim();
+        const from = parseDateBounds(document.getElementById('smartFolderFrom').value);
+        const to = parseDateBounds(document.getElementById('smartFolderTo').value);
+
+        try {
+            this.db.addSmartFolder(name, {
+                search: document.getElementById('smartFolderSearch').value,
+                category: document.getElementById('smartFolderCategory').value,
+                tags: document.getElementById('smartFolderTags').value.split(','),
+                rating: Number(document.getElementById('smartFolderRating').value),
+                dateRange: { start: from ? from.start : null, end: to ? to.end : null }
+            });
+            this.closeSmartFolderModal();
+            this.setCurrentFolder(name);
+            this.showToast(`Smart folder "${name}" created`, 'success');
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    deleteSmartFolder(name) {
+        if (confirm(`Delete smart folder "${name}"? Prompts in it are not affected.`)) {
+            this.db.deleteSmartFolder(name);
+            this.showUndoToast(`Smart folder "${name}" deleted`);
+        }
+    }
+
+    // Answer provider settings
+    showProviderDialog() {
+        const config = this.db.providerConfig || {};
+        document.getElementById('providerType').value = config.type || 'template';
+        document.getElementById('providerBaseUrl').value = config.baseUrl || '';
+        document.getElementById('providerModel').value = config.model || '';
+        document.getElementById('providerApiKey').value = config.apiKey || '';
+        this.openModal(this.elements.providerModal, document.getElementById('providerType'));
+    }
+
+    closeProviderModal() {
+        this.closeModal(this.elements.providerModal);
+    }
+
+    async saveProviderSettings() {
+        const type = document.getElementById('providerType').value;
+        const config = { type };
+
+        ['baseUrl', 'model', 'apiKey'].forEach(field => {
+            const id = `provider${field.charAt(0).toUpperCase()}${field.slice(1)}`;
+            const value = document.getElementById(id).value.trim();
+            if (value) config[field] = value;
+        });
+
+        const provider = await this.db.setAnswerProvider(config);
+        this.showToast(`Answers will be generated by the ${provider.name} provider`, 'success');
+        this.closeProviderModal();
+    }
+
+    // Import / export
+    // Repair report: what the last repair pass fixed, plus everything currently quarantined
+    showRepairReport() {
+        this.renderRepairReport();
+        this.openModal(this.elements.repairModal);
+    }
+
+    closeRepairModal() {
+        this.closeModal(this.elements.repairModal);
+    }
+
+    renderRepairReport() {
+        const fixes = this.repairReport ? this.repairReport.fixes : [];
+        const quarantine = this.db.getQuarantine();
+        const shownFixes = fixes.slice(0, 200);
+
+        document.getElementById('repairFixes').innerHTML = fixes.length === 0
+            ? '<li>Nothing needed fixing.</li>'
+            : shownFixes.map(({ id, message }) => `<li>${id ? `<code>${escapeHTML(id)}</code>: ` : ''}${escapeHTML(message)}</li>`).join('') +
+                (fixes.length > shownFixes.length ? `<li>…and ${fixes.length - shownFixes.length} more</li>` : '');
+
+        document.getElementById('repairQuarantine').innerHTML = quarantine.length === 0
+            ? '<li>No quarantined records.</li>'
+            : quarantine.map(({ record, reason }) => {
+                const preview = JSON.stringify(record) || String(record);
+                return `<li><span class="repair-reason">${escapeHTML(reason)}</span> — <code>${escapeHTML(preview.slice(0, 120))}</code></li>`;
+            }).join('');
+
+        document.getElementById('downloadQuarantineBtn').disabled = quarantine.length === 0;
+        document.getElementById('discardQuarantineBtn').disabled = quarantine.length === 0;
+    }
+
+    downloadQuarantine() {
+        downloadData(JSON.stringify(this.db.getQuarantine(), null, 2), `qa-quarantine-${new Date().toISOString().split('T')[0]}.json`);
+    }
+
+    discardQuarantine() {
+        const count = this.db.getQuarantine().length;
+        if (confirm(`Permanently discard ${count} quarantined records?`)) {
+            this.db.clearQuarantine();
+            this.renderRepairReport();
+            this.showToast(`Discarded ${count} quarantined records`, 'success');
+        }
+    }
+
+    showImportDialog() {
+        this.openModal(this.elements.importModal, document.getElementById('importData'));
+    }
+
+    closeImportModal() {
+        this.closeModal(this.elements.importModal);
+    }
+
+    async importData() {
+        const files = Array.from(document.getElementById('importFiles').files);
+        if (files.length > 0) {
+            await this.importFiles(files);
+            return;
+        }
+
+        const importData = document.getElementById('importData').value.trim();
+        if (!importData) return;
+
+        if (document.getElementById('importMerge').checked) {
+            this.showMergePreview(importData);
+            return;
+        }
+
+        try {
+            const result = await this.db.importData(importData);
+            const { fromVersion, steps } = result.migration;
+            this.showUndoToast(`Imported ${result.imported} prompts${steps.length > 0 ? ` (upgraded from version ${fromVersion})` : ''}`);
+            this.closeImportModal();
+        } catch (error) {
+            this.showToast(`Import failed: ${error.message}`, 'error');
+        }
+    }
+
+    exportData() {
+        downloadData(this.db.exportData(), `qa-synthesizer-${new Date().toISOString().split('T')[0]}.json`);
+        this.showToast('Data exported successfully', 'success');
+    }
+
+    // A merge import is planned first so every incoming prompt can be reviewed before anything changes
+    showMergePreview(jsonData) {
+        try {
+            this.mergePlan = this.db.planImport(jsonData);
+        } catch (error) {
+            this.showToast(`Import failed: ${error.message}`, 'error');
+            return;
+        }
+
+        this.closeImportModal();
+        this.renderMergePreview();
+        this.openModal(this.elements.mergeModal, document.getElementById('applyMergeBtn'));
+    }
+
+    closeMergeModal() {
+        this.closeModal(this.elements.mergeModal);
+    }
+
+    // Apply one action to every prompt with the given status
+    setMergeAction(status, action) {
+        if (!this.mergePlan || !action) return;
+        this.mergePlan.entries.forEach(entry => {
+            if (entry.status === status) entry.action = action;
+        });
+        this.renderMergePreview();
+    }
+
+    setMergeEntryAction(index, action) {
+        if (!this.mergePlan) return;
+        this.mergePlan.entries[index].action = action;
+        this.renderMergePreview();
+    }
+
+    renderMergePreview() {
+        if (!this.mergePlan) return;
+        const { entries, counts } = this.mergePlan;
+        const statuses = Object.keys(MERGE_STATUSES).filter(status => counts[status] > 0);
+        const actionOptions = (status, selected) => MERGE_STATUSES[status].actions
+            .map(action => `<option value="${action}" ${action === selected ? 'selected' : ''}>${MERGE_ACTIONS[action]}</option>`)
+            .join('');
+
+        document.getElementById('mergeSummary').textContent = entries.length === 0
+            ? 'The file has no prompts.'
+            : `${entries.length} prompts: ${statuses.map(status => `${counts[status]} ${MERGE_STATUSES[status].label.toLowerCase()}`).join(', ')}`;
+
+        document.getElementById('mergeBulk').innerHTML = statuses
+            .filter(status => MERGE_STATUSES[status].actions.length > 1)
+            .map(status => {
+                const actions = new Set(entries.filter(entry => entry.status === status).map(entry => entry.action));
+                const selected = actions.size === 1 ? [...actions][0] : '';
+                return `
+                    <label>
+                        All ${MERGE_STATUSES[status].label.toLowerCase()} (${counts[status]})
+                        <select class="form-select" onchange="app.setMergeAction('${status}', this.value)">
+                            ${selected ? '' : '<option value="" selected>Mixed</option>'}
+                            ${actionOptions(status, selected)}
+                        </select>
+                    </label>
+                `;
+            }).join('');
+
+        // Identical prompts need no decision
+        const reviewable = entries
+            .map((entry, index) => ({ entry, index }))
+            .filter(({ entry }) => entry.status !== 'identical');
+        const shown = reviewable.slice(0, 300);
+        document.getElementById('mergeList').innerHTML = shown.map(({ entry, index }) => `
+            <li class="merge-item">
+                <span class="merge-status status-${entry.status}">${MERGE_STATUSES[entry.status].label}</span>
+                <div class="merge-details">
+                    <div class="merge-question">${escapeHTML(entry.incoming.question.slice(0, 140))}</div>
+                    ${entry.local ? `
+                        <div class="merge-dates">
+                            Yours: ${escapeHTML(formatDate(entry.local.updatedAt))} · Incoming: ${escapeHTML(formatDate(entry.incoming.updatedAt))}
+                        </div>
+                    ` : ''}
+                </div>
+                <select class="form-select" aria-label="Action" onchange="app.setMergeEntryAction(${index}, this.value)">
+                    ${actionOptions(entry.status, entry.action)}
+                </select>
+            </li>
+        `).join('') + (reviewable.length > shown.length
+            ? `<li class="merge-item">…and ${reviewable.length - shown.length} more, handled by the choices above</li>`
+            : '');
+
+        const changes = entries.filter(entry => ['add', 'incoming', 'both'].includes(entry.action)).length;
+        const applyBtn = document.getElementById('applyMergeBtn');
+        applyBtn.textContent = `Apply ${changes} changes`;
+        applyBtn.disabled = changes === 0;
+    }
+
+    async applyMerge() {
+        if (!this.mergePlan) return;
+
+        try {
+            const result = await this.db.applyImportPlan(this.mergePlan);
+            const parts = [
+                result.added > 0 ? `added ${result.added}` : '',
+                result.updated > 0 ? `updated ${result.updated}` : '',
+                result.copied > 0 ? `copied ${result.copied}` : '',
+                result.kept > 0 ? `left ${result.kept} unchanged` : ''
+            ].filter(Boolean);
+            const { fromVersion, steps } = result.migration;
+            this.showUndoToast(`Merged: ${parts.join(', ')}${steps.length > 0 ? ` (upgraded from version ${fromVersion})` : ''}`);
+            this.closeMergeModal();
+        } catch (error) {
+            this.showToast(`Import failed: ${error.message}`, 'error');
+        }
+    }
+
+    // Markdown files can be picked one by one or inside zip archives. A conversations.json from
+    // ChatGPT or Claude, on its own or inside their export zip, is split into Q&A pairs.
+    async importFiles(files) {
+        try {
+            const decoder = new TextDecoder();
+            const markdown = [];
+            const summaries = [];
+
+            for (const file of files) {
+                if (/\.zip$/i.test(file.name)) {
+                    const entries = (await readZip(await file.arrayBuffer()))
+                        .filter(entry => !entry.name.split('/').some(part => part.startsWith('.')));
+                    const conversations = entries.find(entry => /(^|\/)conversations\.json$/i.test(entry.name));
+                    if (conversations) {
+                        summaries.push(await this.importConversations(decoder.decode(conversations.data), file.name));
+                    }
+                    entries
+                        .filter(entry => /\.md$/i.test(entry.name))
+                        .forEach(entry => markdown.push({ name: entry.name, content: decoder.decode(entry.data) }));
+                } else if (/\.json$/i.test(file.name)) {
+                    summaries.push(await this.importConversations(await file.text(), file.name));
+                } else {
+                    markdown.push({ name: file.webkitRelativePath || file.name, content: await file.text() });
+                }
+            }
+
+            if (markdown.length > 0) {
+                const result = await this.db.importMarkdown(markdown);
+                const skipped = result.skipped.length > 0 ? `, skipped ${result.skipped.length} unreadable files` : '';
+                summaries.push(`Imported ${result.imported} of ${markdown.length} Markdown files${skipped}`);
+            }
+
+            if (summaries.length === 0) {
+                throw new Error('No Markdown files or conversations found');
+            }
+            this.showUndoToast(summaries.join('; '));
+            this.closeImportModal();
+        } catch (error) {
+            this.showToast(`Import failed: ${error.message}`, 'error');
+        }
+    }
+
+    async importConversations(json, fileName) {
+        let data;
+        try {
+            data = JSON.parse(json);
+        } catch (error) {
+            throw new Error(`${fileName} is not valid JSON`);
+        }
+        if (!detectConversationFormat(data)) {
+            throw new Error(`${fileName} is not a ChatGPT or Claude conversation export; paste app backups into the box above`);
+        }
+
+        const result = await this.db.importConversations(data);
+        const duplicates = result.duplicates > 0 ? ` (${result.duplicates} already in your library)` : '';
+        return `Imported ${result.imported} of ${result.exchanges} ${result.formatName} exchanges${duplicates}`;
+    }
+
+    exportMarkdown() {
+        downloadData(this.db.exportMarkdown(), `qa-synthesizer-${new Date().toISOString().split('T')[0]}.zip`, 'application/zip');
+        this.showToast('Markdown exported successfully', 'success');
+    }
+
+    // CSV/TSV exports hold the prompts in the current view, with its folder, search and sort applied
+    exportDelimited(delimiter = ',') {
+        const filters = this.getFilters();
+        const count = this.db.getPrompts(filters).length;
+        const isTSV = delimiter === '\t';
+        downloadData(
+            this.db.exportDelimited(filters, delimiter),
+            `qa-synthesizer-${new Date().toISOString().split('T')[0]}.${isTSV ? 'tsv' : 'csv'}`,
+            isTSV ? 'text/tab-separated-values' : 'text/csv'
+        );
+        this.showToast(`Exported ${count} prompts as ${isTSV ? 'TSV' : 'CSV'}`, 'success');
+    }
+
+    showCsvImport() {
+        this.closeImportModal();
+        this.csvImport = null;
+        document.getElementById('csvDelimiter').value = 'auto';
+        document.getElementById('csvHasHeader').checked = true;
+        this.renderCsvImport();
+        this.openModal(this.elements.csvImportModal, document.getElementById('csvFile'));
+    }
+
+    closeCsvImportModal() {
+        this.closeModal(this.elements.csvImportModal);
+    }
+
+    async loadCsvFile(file) {
+        if (!file) return;
+        document.getElementById('csvText').value = '';
+        this.loadCsvText(await file.text(), /\.tsv$/i.test(file.name) ? '\t' : null);
+    }
+
+    loadCsvText(text, delimiter = null) {
+        if (delimiter) {
+            document.getElementById('csvDelimiter').value = delimiter;
+        }
+        this.csvImport = text.trim() ? { text } : null;
+        this.parseCsvImport();
+    }
+
+    // Re-parse with the chosen delimiter and header option; column mapping is guessed again from the header
+    parseCsvImport() {
+        if (!this.csvImport) {
+            this.renderCsvImport();
+            return;
+        }
+
+        const choice = document.getElementById('csvDelimiter').value;
+        const hasHeader = document.getElementById('csvHasHeader').checked;
+        const { text } = this.csvImport;
+
+        try {
+            const delimiter = choice === 'auto' ? detectDelimiter(text) : choice;
+            const rows = parseDelimited(text, delimiter);
+            const columns = rows.reduce((max, row) => Math.max(max, row.length), 0);
+            const headers = hasHeader && rows.length > 0
+                ? Array.from({ length: columns }, (_, index) => rows[0][index] || `Column ${index + 1}`)
+                : Array.from({ length: columns }, (_, index) => `Column ${index + 1}`);
+            const mapping = hasHeader ? guessColumnMapping(headers) : headers.map((_, index) => ['question', 'answer'][index] || null);
+
+            this.csvImport = {
+                text,
+                delimiter,
+                headers,
+                mapping,
+                rows: hasHeader ? rows.slice(1) : rows,
+                firstRow: hasHeader ? 2 : 1,
+                error: null
+            };
+        } catch (error) {
+            this.csvImport = { text, error: error.message };
+        }
+
+        this.renderCsvImport();
+    }
+
+    // Each field can be mapped to one column; picking it again moves it
+    setCsvMapping(index, field) {
+        if (!this.csvImport || !this.csvImport.mapping) return;
+        this.csvImport.mapping = this.csvImport.mapping.map((current, column) => {
+            if (column === index) return field || null;
+            return current === field ? null : current;
+        });
+        this.renderCsvImport();
+    }
+
+    renderCsvImport() {
+        const preview = document.getElementById('csvPreview');
+        const errorList = document.getElementById('csvErrors');
+        const importBtn = document.getElementById('csvImportBtn');
+        const importState = this.csvImport;
+
+        importBtn.disabled = true;
+        importBtn.textContent = 'Import';
+        errorList.innerHTML = '';
+
+        if (!importState || importState.error) {
+            preview.innerHTML = '';
+            if (importState) {
+                errorList.innerHTML = `<li><span class="repair-reason">${escapeHTML(importState.error)}</span></li>`;
+            }
+            return;
+        }
+
+        const { headers, mapping, rows, firstRow, delimiter } = importState;
+        const fieldOptions = selected => [
+            `<option value="">Ignore</option>`,
+            ...Object.entries(IMPORT_FIELDS).map(([field, { label }]) =>
+                `<option value="${field}" ${field === selected ? 'selected' : ''}>${label}</option>`)
+        ].join('');
+        const previewRows = rows.slice(0, 5);
+
+        preview.innerHTML = `
+            <p class="form-hint">${rows.length} rows, ${DELIMITERS[delimiter] || 'custom'} separated. Showing the first ${previewRows.length}.</p>
+            <div class="csv-table-wrap">
+                <table class="csv-table">
+                    <thead>
+                        <tr>
+                            <th></th>
+                            ${headers.map((header, index) => `
+                                <th>
+                                    <select class="form-select" aria-label="Field for ${escapeAttribute(header)}"
+                                            onchange="app.setCsvMapping(${index}, this.value)">
+                                        ${fieldOptions(mapping[index])}
+                                    </select>
+                                    <div class="csv-header">${escapeHTML(header)}</div>
+                                </th>
+                            `).join('')}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${previewRows.map((row, rowIndex) => `
+                            <tr>
+                                <th>${firstRow + rowIndex}</th>
+                                ${headers.map((_, index) => `
+                                    <td class="${mapping[index] ? '' : 'csv-ignored'}">${escapeHTML(String(row[index] || '').slice(0, 80))}</td>
+                                `).join('')}
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+
+        if (!mapping.includes('question')) {
+            errorList.innerHTML = '<li><span class="repair-reason">Map a column to Question</span></li>';
+            return;
+        }
+
+        const plan = this.db.planDelimitedImport(rows, mapping, { firstRow });
+        const errors = plan.records.flatMap(record => record.errors);
+        const shownErrors = errors.slice(0, 100);
+        errorList.innerHTML = errors.length === 0
+            ? `<li>All ${plan.records.length} rows are valid.</li>`
+            : shownErrors.map(error => `<li><span class="repair-reason">${escapeHTML(error)}</span></li>`).join('') +
+                (errors.length > shownErrors.length ? `<li>…and ${errors.length - shownErrors.length} more</li>` : '');
+
+        importBtn.disabled = plan.valid === 0;
+        importBtn.textContent = plan.valid === plan.records.length
+            ? `Import ${plan.valid} rows`
+            : `Import ${plan.valid} valid rows, skip ${plan.records.length - plan.valid}`;
+    }
+
+    async commitCsvImport() {
+        if (!this.csvImport || !this.csvImport.rows) return;
+        const { rows, mapping, firstRow } = this.csvImport;
+
+        try {
+            const result = await this.db.importDelimited(rows, mapping, { firstRow });
+            const skipped = result.skipped > 0 ? `, skipped ${result.skipped} invalid rows` : '';
+            this.showUndoToast(`Imported ${result.imported} rows${skipped}`);
+            this.closeCsvImportModal();
+        } catch (error) {
+            this.showToast(`Import failed: ${error.message}`, 'error');
+        }
+    }
+}
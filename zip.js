@@ -0,0 +1,155 @@
+/**
+ * Zip Archives for ChatGPT Q&A Synthesizer
+ * Minimal zip writer (stored entries) and reader (stored and deflated entries)
+ */
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const UTF8_FLAG = 0x0800;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS date and time as stored in zip headers
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+// Build a zip archive from [{ name, content }] where content is a string or Uint8Array.
+// Entries are stored uncompressed; Markdown is small and this keeps the writer simple.
+export function createZip(files, modified = new Date()) {
+    const encoder = new TextEncoder();
+    const { time, date } = dosDateTime(modified);
+    const chunks = [];
+    const central = [];
+    let offset = 0;
+
+    files.forEach(({ name, content }) => {
+        const nameBytes = encoder.encode(name);
+        const data = typeof content === 'string' ? encoder.encode(content) : content;
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, LOCAL_HEADER, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(6, UTF8_FLAG, true);
+        local.setUint16(8, 0, true);
+        local.setUint16(10, time, true);
+        local.setUint16(12, date, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, nameBytes.length, true);
+        local.setUint16(28, 0, true);
+
+        const header = new DataView(new ArrayBuffer(46));
+        header.setUint32(0, CENTRAL_HEADER, true);
+        header.setUint16(4, 20, true);
+        header.setUint16(6, 20, true);
+        header.setUint16(8, UTF8_FLAG, true);
+        header.setUint16(10, 0, true);
+        header.setUint16(12, time, true);
+        header.setUint16(14, date, true);
+        header.setUint32(16, crc, true);
+        header.setUint32(20, data.length, true);
+        header.setUint32(24, data.length, true);
+        header.setUint16(28, nameBytes.length, true);
+        header.setUint32(42, offset, true);
+
+        chunks.push(new Uint8Array(local.buffer), nameBytes, data);
+        central.push(new Uint8Array(header.buffer), nameBytes);
+        offset += 30 + nameBytes.length + data.length;
+    });
+
+    const centralSize = central.reduce((sum, chunk) => sum + chunk.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, END_OF_CENTRAL_DIRECTORY, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...chunks, ...central, new Uint8Array(end.buffer)];
+    const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let position = 0;
+    parts.forEach(part => {
+        zip.set(part, position);
+        position += part.length;
+    });
+    return zip;
+}
+
+async function inflateRaw(bytes) {
+    if (typeof DecompressionStream === 'undefined') {
+        throw new Error('This browser cannot read compressed zip files');
+    }
+    const stream = new Response(bytes).body.pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Read a zip archive into [{ name, data }], skipping directory entries
+export async function readZip(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const decoder = new TextDecoder();
+
+    let endOffset = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+        if (view.getUint32(i, true) === END_OF_CENTRAL_DIRECTORY) {
+            endOffset = i;
+            break;
+        }
+    }
+    if (endOffset === -1) {
+        throw new Error('Not a zip file');
+    }
+
+    const count = view.getUint16(endOffset + 10, true);
+    let offset = view.getUint32(endOffset + 16, true);
+    const entries = [];
+
+    for (let i = 0; i < count; i++) {
+        if (view.getUint32(offset, true) !== CENTRAL_HEADER) {
+            throw new Error('Corrupt zip central directory');
+        }
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/')) continue;
+
+        const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        const raw = bytes.subarray(dataStart, dataStart + compressedSize);
+        if (method === 0) {
+            entries.push({ name, data: raw.slice() });
+        } else if (method === 8) {
+            entries.push({ name, data: await inflateRaw(raw) });
+        } else {
+            throw new Error(`Unsupported compression in zip entry "${name}"`);
+        }
+    }
+
+    return entries;
+}